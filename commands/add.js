@@ -0,0 +1,29 @@
+/**
+ * /add (admin) - queues another player, ignoring the queue lock
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { withQueueOption } = require('../utils/command_options');
+
+module.exports = {
+  data: withQueueOption(new SlashCommandBuilder().setName('add').setDescription('Add a player to the queue (admin)')
+    .addUserOption(option =>
+      option.setName('user').setDescription('Player to add').setRequired(true))),
+  admin: true,
+
+  async execute(interaction, bot) {
+    const { guildId, channelId } = interaction;
+    const queue = bot.queueOption(interaction);
+    const target = interaction.options.getUser('user');
+
+    if (bot.lobby.has(guildId, queue.name, target.id)) {
+      await interaction.reply({ content: `${target.username} is already in the ${queue.name} queue.`, ephemeral: true });
+      return;
+    }
+
+    const player = { userId: target.id, username: target.username, channelId, captain: false };
+    if (await bot.addToQueue(queue, player, interaction, 'was added to')) {
+      await bot.audit(interaction, `added ${target.username} (<@${target.id}>) to ${queue.name}`);
+    }
+  }
+};
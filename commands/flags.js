@@ -0,0 +1,75 @@
+/**
+ * /flags (admin) - shows the feature flags and turns them on or off for the guild
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { flagChoices } = require('../utils/command_options');
+const { rolloutBucket } = require('../utils/feature_flags');
+
+// One line per flag, e.g. "✅ late_join_swap — 50% rollout, turned on here"
+function describeFlag(flag) {
+  const rollout = flag.enabled ? `${flag.rolloutPercentage}% rollout` : 'disabled in config';
+  const override = flag.override === null ? '' : `, turned ${flag.override ? 'on' : 'off'} here`;
+  const rolledBack = flag.rolledBack ? `\n  ⚠️ rolled back: ${flag.rolledBack}` : '';
+  return `${flag.on ? '✅' : '⬜'} **${flag.name}** — ${rollout}${override}${rolledBack}` +
+    (flag.description ? `\n  ${flag.description}` : '');
+}
+
+const flagOption = option =>
+  option.setName('flag').setDescription('Feature flag').setRequired(true).addChoices(...flagChoices);
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('flags').setDescription('Show or change feature flags for this server (admin)')
+    .addSubcommand(sub => sub.setName('list').setDescription('Show every flag and whether it is on here'))
+    .addSubcommand(sub => sub.setName('set').setDescription('Turn a flag on or off here, whatever its rollout')
+      .addStringOption(flagOption)
+      .addBooleanOption(option => option.setName('on').setDescription('On or off').setRequired(true)))
+    .addSubcommand(sub => sub.setName('clear').setDescription('Go back to the flag\'s rollout here')
+      .addStringOption(flagOption))
+    .addSubcommand(sub => sub.setName('check').setDescription('Show whether a flag is on for a player')
+      .addStringOption(flagOption)
+      .addUserOption(option => option.setName('player').setDescription('Player to check').setRequired(true)))
+    .addSubcommand(sub => sub.setName('restore').setDescription('Turn a rolled back flag back on everywhere')
+      .addStringOption(flagOption)),
+  admin: true,
+
+  async execute(interaction, bot) {
+    const { guildId } = interaction;
+    const { featureFlags } = bot;
+    const subcommand = interaction.options.getSubcommand();
+    const name = interaction.options.getString('flag');
+    const { flagOverrides } = bot.settings.get(guildId);
+
+    if (subcommand === 'set') {
+      const on = interaction.options.getBoolean('on');
+      await bot.settings.update(guildId, { flagOverrides: { ...flagOverrides, [name]: on } });
+      await interaction.reply(`🚩 ${name} is now ${on ? 'on' : 'off'} for everyone here.`);
+      await bot.audit(interaction, `turned the ${name} feature flag ${on ? 'on' : 'off'}`);
+    } else if (subcommand === 'clear') {
+      const { [name]: removed, ...others } = flagOverrides;
+      await bot.settings.update(guildId, { flagOverrides: others });
+      await interaction.reply(`🚩 ${name} follows its rollout here again ` +
+        `(${featureFlags.isEnabled(name, { guildId }) ? 'on' : 'off'} for the server).`);
+      await bot.audit(interaction, `cleared the ${name} feature flag override`);
+    } else if (subcommand === 'check') {
+      const player = interaction.options.getUser('player');
+      const on = featureFlags.isEnabled(name, { guildId, userId: player.id });
+      await interaction.reply({
+        content: `🚩 ${name} is ${on ? 'on' : 'off'} for ${player.username} (rollout bucket ${rolloutBucket(name, player.id)}).`,
+        ephemeral: true
+      });
+    } else if (subcommand === 'restore') {
+      if (!featureFlags.restore(name)) {
+        await interaction.reply({ content: `${name} isn't rolled back.`, ephemeral: true });
+        return;
+      }
+      await interaction.reply(`🚩 ${name} is restored and follows its rollout again.`);
+      await bot.audit(interaction, `restored the rolled back ${name} feature flag`);
+    } else {
+      await interaction.reply({
+        content: `🚩 **Feature flags**\n${featureFlags.describe(guildId).map(describeFlag).join('\n')}`,
+        ephemeral: true
+      });
+    }
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * /forcestart (admin) - starts a match with whoever is queued, skipping the ready check
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { withQueueOption } = require('../utils/command_options');
+
+module.exports = {
+  data: withQueueOption(new SlashCommandBuilder().setName('forcestart').setDescription('Start a match with the players queued now, skipping the ready check (admin)')),
+  admin: true,
+  text: true,
+
+  async execute(interaction, bot) {
+    const queue = bot.queueOption(interaction);
+
+    // Players in a running ready check count too; the forced start replaces the check
+    const players = bot.nextPlayers(queue, bot.lobby.list(interaction.guildId, queue.name), queue.capacity);
+    if (players.length < queue.teams) {
+      await interaction.reply({ content: `Need at least ${queue.teams} players to start ${queue.name}.`, ephemeral: true });
+      return;
+    }
+
+    bot.readyChecks.get(queue.key)?.cancel();
+    await interaction.reply(`⏩ Force starting ${queue.name} with ${players.map(player => player.username).join(', ')}.`);
+    await bot.audit(interaction, `force started ${queue.name} with ${players.length} player(s)`);
+    await bot.launchMatch(queue, players, interaction.channel);
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * /join - joins a queue, optionally volunteering to captain, unless the player is banned from queueing.
+ * A party member joins with their whole party. First-time players are then shown the onboarding wizard.
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { withQueueOption } = require('../utils/command_options');
+
+module.exports = {
+  data: withQueueOption(new SlashCommandBuilder().setName('join').setDescription('Join the lobby'))
+    .addBooleanOption(option =>
+      option.setName('captain').setDescription('Volunteer to captain in draft queues')),
+  text: true,
+
+  async execute(interaction, bot) {
+    const { user, channelId, guildId } = interaction;
+    const queue = bot.queueOption(interaction);
+    const { ban } = bot.standingOf(guildId, user.id);
+    const party = bot.parties.of(guildId, user.id);
+    const members = party ? party.members : [{ userId: user.id, username: user.username }];
+    // Party members who already queued keep their place
+    const partners = members.filter(member => member.userId !== user.id && !bot.lobby.has(guildId, queue.name, member.userId));
+    const bannedMember = partners.find(member => bot.standingOf(guildId, member.userId).ban);
+    // Partners didn't ask to queue, so joining mustn't pull them out of a match or another queue's ready check
+    const busyMember = partners.find(member => bot.inMatch(guildId, member.userId) ||
+      [...bot.readyChecks.values()].some(check => check.includes(member.userId)));
+
+    if (ban) {
+      await interaction.reply({
+        content: `You are banned from queueing until <t:${Math.floor(ban.until / 1000)}:t> (<t:${Math.floor(ban.until / 1000)}:R>). ` +
+          'See /standing for your strikes.',
+        ephemeral: true
+      });
+    } else if (bannedMember) {
+      await interaction.reply({ content: `${bannedMember.username} in your party is banned from queueing right now.`, ephemeral: true });
+    } else if (busyMember) {
+      await interaction.reply({
+        content: `${busyMember.username} in your party is in a match or ready check right now; join once they're free.`,
+        ephemeral: true
+      });
+    } else if (bot.settings.get(guildId).lockedQueues.includes(queue.name)) {
+      await interaction.reply({ content: `The ${queue.name} queue is locked.`, ephemeral: true });
+    } else if (bot.lobby.has(guildId, queue.name, user.id)) {
+      await interaction.reply({ content: `You are already in the ${queue.name} queue.`, ephemeral: true });
+    } else if (members.length > queue.maxPartySize) {
+      const limit = queue.maxPartySize > 1 ? `takes parties of up to ${queue.maxPartySize}` : 'doesn\'t take parties';
+      await interaction.reply({
+        content: `The ${queue.name} queue ${limit} and yours has ${members.length} players. Use /party leave to queue alone.`,
+        ephemeral: true
+      });
+    } else {
+      const captain = interaction.options.getBoolean('captain') || false;
+      // The player joining comes first
+      const players = [{ userId: user.id, username: user.username, channelId, captain },
+        ...partners.map(member => ({ ...member, channelId, captain: false }))];
+      if (await bot.addToQueue(queue, players, interaction, 'joined')) {
+        await bot.offerOnboarding(interaction);
+      }
+    }
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * /kick (admin) - removes a player from one queue, or from every queue
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { queueChoices } = require('../utils/command_options');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('kick').setDescription('Remove a player from the queue (admin)')
+    .addUserOption(option =>
+      option.setName('user').setDescription('Player to remove').setRequired(true))
+    .addStringOption(option =>
+      option.setName('queue').setDescription('Queue to remove them from (default: every queue)').addChoices(...queueChoices)),
+  admin: true,
+
+  async execute(interaction, bot) {
+    const { guildId } = interaction;
+    const target = interaction.options.getUser('user');
+    const named = interaction.options.getString('queue');
+    const targets = named ? [bot.queueOption(interaction)] : [...bot.queuesFor(guildId).values()];
+    const removedFrom = [];
+
+    for (const q of targets) {
+      if (await bot.lobby.remove(guildId, q.name, target.id)) removedFrom.push(q.name);
+      bot.readyChecks.get(q.key)?.remove(target.id);
+    }
+
+    if (removedFrom.length === 0) {
+      await interaction.reply({ content: `${target.username} is not queued${named ? ` in ${named}` : ''}.`, ephemeral: true });
+      return;
+    }
+
+    await interaction.reply(`👢 ${target.username} was removed from ${removedFrom.join(', ')}.`);
+    await bot.audit(interaction, `kicked ${target.username} (<@${target.id}>) from ${removedFrom.join(', ')}`);
+  }
+};
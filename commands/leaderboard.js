@@ -0,0 +1,30 @@
+/**
+ * /leaderboard - ranks the guild's players by rating, optionally for one queue or season
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { queueChoices, seasonChoices } = require('../utils/command_options');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('leaderboard').setDescription('Show the player rankings')
+    .addStringOption(option =>
+      option.setName('queue').setDescription('Only count matches from this queue (default: all queues)').addChoices(...queueChoices))
+    .addStringOption(option =>
+      option.setName('season').setDescription('Only count matches from this season (default: all time)').addChoices(...seasonChoices))
+    .addIntegerOption(option =>
+      option.setName('min-games').setDescription('Games a player needs to be ranked').setMinValue(0))
+    .addIntegerOption(option =>
+      option.setName('page').setDescription('Page to show').setMinValue(1)),
+  text: true,
+
+  async execute(interaction, bot) {
+    const minGames = interaction.options.getInteger('min-games');
+
+    await interaction.reply(bot.leaderboardMessage(interaction.guildId, {
+      page: interaction.options.getInteger('page') || 1,
+      queue: interaction.options.getString('queue'),
+      season: interaction.options.getString('season'),
+      ...(minGames === null ? {} : { minGames })
+    }));
+  }
+};
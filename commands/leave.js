@@ -0,0 +1,35 @@
+/**
+ * /leave - leaves a queue, and its ready check if one is running (which earns a strike).
+ * A party member takes their whole party out of the queue.
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { withQueueOption } = require('../utils/command_options');
+
+module.exports = {
+  data: withQueueOption(new SlashCommandBuilder().setName('leave').setDescription('Leave the lobby')),
+  text: true,
+
+  async execute(interaction, bot) {
+    const { user, guildId } = interaction;
+    const queue = bot.queueOption(interaction);
+
+    const check = bot.readyChecks.get(queue.key);
+    const inCheck = check?.includes(user.id);
+    const partners = (bot.parties.of(guildId, user.id)?.members || [])
+      .filter(member => member.userId !== user.id && bot.lobby.has(guildId, queue.name, member.userId));
+    const withParty = partners.length > 0 ? ` with ${partners.map(member => member.username).join(', ')}` : '';
+
+    for (const player of [{ userId: user.id }, ...partners]) {
+      await bot.lobby.remove(guildId, queue.name, player.userId);
+      check?.remove(player.userId);
+    }
+    if (inCheck) {
+      // The queue popped, so leaving now holds everyone else up; only the player who left is struck
+      const banned = await bot.giveStrike(guildId, { userId: user.id, username: user.username }, 'left_started_match');
+      await interaction.reply(`${user.username} left the ${queue.name} queue${withParty} during its ready check and gets a strike.${banned}`);
+      return;
+    }
+    await interaction.reply(`${user.username} left the ${queue.name} queue${withParty}.`);
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * /lobby (admin) - posts or removes the live lobby message in the current channel
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('lobby').setDescription('Manage the live lobby message in this channel (admin)')
+    .addSubcommand(sub => sub.setName('post').setDescription('Post the live lobby message with Join and Leave buttons here'))
+    .addSubcommand(sub => sub.setName('remove').setDescription('Remove the live lobby message from this channel')),
+  admin: true,
+
+  async execute(interaction, bot) {
+    const { guildId, channelId } = interaction;
+    const { lobbyMessages } = bot.settings.get(guildId);
+    const { [channelId]: previous, ...others } = lobbyMessages;
+    const subcommand = interaction.options.getSubcommand();
+
+    // Only one live lobby message per channel; posting again replaces it
+    if (previous) {
+      await interaction.channel.messages.delete(previous).catch(() => {});
+    }
+
+    if (subcommand === 'post') {
+      await interaction.reply({ content: '📌 Posting the live lobby message.', ephemeral: true });
+      const message = await interaction.channel.send(bot.lobbyMessage(guildId));
+      await bot.settings.update(guildId, { lobbyMessages: { ...others, [channelId]: message.id } });
+      await bot.audit(interaction, `posted the live lobby message in <#${channelId}>`);
+    } else if (previous) {
+      await bot.settings.update(guildId, { lobbyMessages: others });
+      await interaction.reply({ content: '🗑️ The live lobby message was removed from this channel.', ephemeral: true });
+      await bot.audit(interaction, `removed the live lobby message from <#${channelId}>`);
+    } else {
+      await interaction.reply({ content: 'There is no live lobby message in this channel.', ephemeral: true });
+    }
+  }
+};
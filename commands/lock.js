@@ -0,0 +1,35 @@
+/**
+ * /lock and /unlock (admin) - stop or allow joining a queue
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { withQueueOption } = require('../utils/command_options');
+
+async function setLocked(interaction, bot, lock) {
+  const { guildId } = interaction;
+  const queue = bot.queueOption(interaction);
+  const locked = bot.settings.get(guildId).lockedQueues.filter(name => name !== queue.name);
+  if (lock) locked.push(queue.name);
+
+  await bot.settings.update(guildId, { lockedQueues: locked });
+  bot.scheduleLobbyRefresh(guildId);
+  await interaction.reply(lock
+    ? `🔒 The ${queue.name} queue is locked; nobody can join until it is unlocked.`
+    : `🔓 The ${queue.name} queue is unlocked.`);
+  await bot.audit(interaction, `${lock ? 'lock' : 'unlock'}ed the ${queue.name} queue`);
+}
+
+module.exports = [
+  {
+    data: withQueueOption(new SlashCommandBuilder().setName('lock').setDescription('Stop players from joining a queue (admin)')),
+    admin: true,
+    text: true,
+    execute: (interaction, bot) => setLocked(interaction, bot, true)
+  },
+  {
+    data: withQueueOption(new SlashCommandBuilder().setName('unlock').setDescription('Let players join a locked queue again (admin)')),
+    admin: true,
+    text: true,
+    execute: (interaction, bot) => setLocked(interaction, bot, false)
+  }
+];
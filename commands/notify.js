@@ -0,0 +1,64 @@
+/**
+ * /notify - opts in or out of a queue's notify role, pinged when the queue is nearly full,
+ * and optionally a DM as well
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { withQueueOption } = require('../utils/command_options');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('notify').setDescription('Get pinged when a queue is nearly full')
+    .addSubcommand(sub => withQueueOption(sub.setName('on').setDescription('Get pinged when a queue is nearly full'))
+      .addBooleanOption(option => option.setName('dm').setDescription('Also get a DM (default: no)')))
+    .addSubcommand(sub => withQueueOption(sub.setName('off').setDescription('Stop getting pinged about a queue'))),
+  text: true,
+
+  async execute(interaction, bot) {
+    const { user, member, guildId } = interaction;
+    const queue = bot.queueOption(interaction);
+    const roleId = bot.settings.get(guildId).notifyRoles[queue.name];
+    const { notifyQueues } = bot.preferences.get(user.id);
+
+    if (interaction.options.getSubcommand() === 'off') {
+      const { [queue.key]: removed, ...others } = notifyQueues;
+      await bot.preferences.update(user.id, { notifyQueues: others });
+      if (roleId) {
+        await member.roles.remove(roleId).catch(error =>
+          console.error(`Failed to remove the ${queue.name} notify role from ${user.username}: ${error.message}`));
+      }
+      await interaction.reply({ content: `🔕 You won't hear about the ${queue.name} queue filling up any more.`, ephemeral: true });
+      return;
+    }
+
+    const dm = interaction.options.getBoolean('dm') || false;
+    if (queue.notifyAt === 0) {
+      await interaction.reply({ content: `The ${queue.name} queue doesn't ping when it is filling up.`, ephemeral: true });
+      return;
+    }
+    if (!roleId && !dm) {
+      await interaction.reply({
+        content: `The ${queue.name} queue has no notify role yet. An admin can set one with /settings notify-role, ` +
+          'or use the dm option to get a DM instead.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (roleId) {
+      try {
+        await member.roles.add(roleId);
+      } catch (error) {
+        console.error(`Failed to give ${user.username} the ${queue.name} notify role: ${error.message}`);
+        await interaction.reply({ content: 'I couldn\'t give you the notify role; ask an admin to check my permissions.', ephemeral: true });
+        return;
+      }
+    }
+
+    await bot.preferences.update(user.id, { notifyQueues: { ...notifyQueues, [queue.key]: { dm } } });
+    const how = [roleId && 'pinged', dm && 'sent a DM'].filter(Boolean).join(' and ');
+    await interaction.reply({
+      content: `🔔 You'll be ${how} when the ${queue.name} queue reaches ${queue.notifyAt}/${queue.capacity}.`,
+      ephemeral: true
+    });
+  }
+};
@@ -0,0 +1,92 @@
+/**
+ * /party - invites players to a premade party, accepts an invite or leaves the party.
+ * A party joins and leaves queues together and always plays on the same team.
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('party').setDescription('Queue together with friends')
+    .addSubcommand(sub => sub.setName('invite').setDescription('Invite a player to your party')
+      .addUserOption(option => option.setName('player').setDescription('Player to invite').setRequired(true)))
+    .addSubcommand(sub => sub.setName('accept').setDescription('Accept a party invite')
+      .addUserOption(option => option.setName('from').setDescription('Whose invite to accept (default: the latest)')))
+    .addSubcommand(sub => sub.setName('leave').setDescription('Leave your party')),
+
+  async execute(interaction, bot) {
+    const { user, guildId } = interaction;
+    const { parties } = bot;
+    const subcommand = interaction.options.getSubcommand();
+    const party = parties.of(guildId, user.id);
+    // A party can grow as large as the queue that takes the biggest parties allows
+    const maxSize = Math.max(...[...bot.queuesFor(guildId).values()].map(queue => queue.maxPartySize));
+
+    if (subcommand === 'invite') {
+      const target = interaction.options.getUser('player');
+
+      if (maxSize < 2) {
+        await interaction.reply({ content: 'None of the queues take parties.', ephemeral: true });
+      } else if (target.id === user.id || target.bot) {
+        await interaction.reply({ content: 'Invite another player.', ephemeral: true });
+      } else if (party && party.leaderId !== user.id) {
+        await interaction.reply({ content: 'Only your party leader can invite players.', ephemeral: true });
+      } else if (party && party.members.length >= maxSize) {
+        await interaction.reply({ content: `Your party is full (up to ${maxSize} players).`, ephemeral: true });
+      } else if (parties.of(guildId, target.id)) {
+        await interaction.reply({ content: `${target.username} is already in a party.`, ephemeral: true });
+      } else {
+        const invite = parties.invite(guildId,
+          { userId: user.id, username: user.username },
+          { userId: target.id, username: target.username });
+        await interaction.reply({
+          content: `📨 <@${target.id}>, ${user.username} invited you to their party. ` +
+            `Use /party accept to join (expires <t:${Math.floor(invite.expiresAt / 1000)}:R>).`,
+          allowedMentions: { users: [target.id] }
+        });
+      }
+      return;
+    }
+
+    if (subcommand === 'accept') {
+      const from = interaction.options.getUser('from');
+      const invite = parties.inviteFor(guildId, user.id, from?.id);
+      const inviterParty = invite && parties.of(guildId, invite.from.userId);
+
+      if (party) {
+        await interaction.reply({ content: 'You are already in a party; use /party leave first.', ephemeral: true });
+      } else if (!invite) {
+        await interaction.reply({
+          content: from ? `You have no open invite from ${from.username}.` : 'You have no open party invites.',
+          ephemeral: true
+        });
+      } else if (inviterParty && inviterParty.members.length >= maxSize) {
+        await interaction.reply({ content: `${invite.from.username}'s party is full.`, ephemeral: true });
+      } else {
+        const joined = parties.accept(invite);
+        if (!joined) {
+          await interaction.reply({
+            content: `${invite.from.username} has changed parties since inviting you; ask them for a new invite.`,
+            ephemeral: true
+          });
+          return;
+        }
+        const members = joined.members.map(member => member.username).join(', ');
+        await interaction.reply(`🎉 ${user.username} joined ${invite.from.username}'s party (${members}). ` +
+          'You now queue together and play on the same team.');
+      }
+      return;
+    }
+
+    if (!party) {
+      await interaction.reply({ content: 'You are not in a party.', ephemeral: true });
+      return;
+    }
+
+    // Leaving the party doesn't leave the queue; everyone stays queued on their own
+    parties.leave(guildId, user.id);
+    const rest = party.members.length > 1
+      ? `The party is now ${party.members.map(member => member.username).join(', ')}.`
+      : 'The party was disbanded.';
+    await interaction.reply(`👋 ${user.username} left their party. ${rest}`);
+  }
+};
@@ -0,0 +1,60 @@
+/**
+ * /profile - shows a player's record, rating history, favourite maps and recent matches, along with
+ * the region and classes they picked. /profile edit reopens the onboarding wizard to change those.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { playerProfile } = require('../utils/player_stats');
+
+const OUTCOMES = { win: 'Win', loss: 'Loss', draw: 'Draw' };
+
+// One line per recent match, e.g. "#12 4v4 on well6 — Win (+16) 2 hours ago"
+function describeRecent({ match, outcome, before, after }) {
+  const delta = `${after >= before ? '+' : ''}${after - before}`;
+  const map = match.map ? ` on ${match.map}` : '';
+  return `#${match.id} ${match.queue}${map} — ${OUTCOMES[outcome]} (${delta}) <t:${Math.floor(match.completedAt / 1000)}:R>`;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('profile').setDescription('Show a player\'s stats')
+    .addUserOption(option =>
+      option.setName('user').setDescription('Player to show (default: you)'))
+    .addBooleanOption(option =>
+      option.setName('edit').setDescription('Change your region, classes and DM settings instead')),
+  text: true,
+
+  async execute(interaction, bot) {
+    if (interaction.options.getBoolean('edit')) {
+      await interaction.reply({ ...bot.onboardingWizard(interaction.user.id, { welcome: false, editing: true }), ephemeral: true });
+      return;
+    }
+
+    const user = interaction.options.getUser('user') || interaction.user;
+    const profile = playerProfile(bot.matches.list(match => match.guildId === interaction.guildId), user.id);
+
+    if (profile.games === 0) {
+      await interaction.reply({ content: `${user.username} hasn't played any rated matches yet.`, ephemeral: true });
+      return;
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(`📊 ${user.username}`)
+      .addFields(
+        { name: 'Rating', value: String(profile.rating), inline: true },
+        { name: 'Games', value: `${profile.games} (${profile.wins}W ${profile.losses}L ${profile.draws}D)`, inline: true },
+        { name: 'Win rate', value: `${Math.round(profile.winRate * 100)}%`, inline: true },
+        { name: 'Rating history', value: profile.ratingHistory.join(' → ') },
+        {
+          name: 'Favourite maps',
+          value: profile.favouriteMaps.map(({ map, games }) => `${map} (${games})`).join(', ') || 'none yet'
+        },
+        { name: 'Recent matches', value: profile.recent.map(describeRecent).join('\n') }
+      );
+
+    const { regions, classes } = bot.preferences.get(user.id);
+    const plays = [regions.preferred && `🌍 ${regions.preferred}`, classes.length > 0 && classes.join(', ')].filter(Boolean);
+    if (plays.length > 0) embed.addFields({ name: 'Plays', value: plays.join(' · ') });
+
+    await interaction.reply({ embeds: [embed] });
+  }
+};
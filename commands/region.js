@@ -0,0 +1,55 @@
+/**
+ * /region - sets the server regions a player wants to play in
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { regionChoices } = require('../utils/command_options');
+
+const ACCEPTABLE_OPTIONS = ['acceptable', 'acceptable_2', 'acceptable_3'];
+
+// Describes a player's regions for a reply
+function describeRegions({ preferred, acceptable }) {
+  if (!preferred) return 'any region';
+
+  const also = acceptable.length > 0 ? `, also ${acceptable.join(', ')}` : '';
+  return `${preferred} preferred${also}`;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('region').setDescription('Choose the server regions you want to play in')
+    .addSubcommand(sub => {
+      sub.setName('set').setDescription('Set your preferred region and any others you will play in')
+        .addStringOption(option =>
+          option.setName('preferred').setDescription('Region you would rather play in').setRequired(true).addChoices(...regionChoices));
+      for (const name of ACCEPTABLE_OPTIONS) {
+        sub.addStringOption(option =>
+          option.setName(name).setDescription('Another region you will play in').addChoices(...regionChoices));
+      }
+      return sub;
+    })
+    .addSubcommand(sub => sub.setName('clear').setDescription('Play in whichever region suits the lobby'))
+    .addSubcommand(sub => sub.setName('show').setDescription('Show your regions')),
+
+  async execute(interaction, bot) {
+    const { user } = interaction;
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'set') {
+      const preferred = interaction.options.getString('preferred');
+      const acceptable = [...new Set(ACCEPTABLE_OPTIONS.map(name => interaction.options.getString(name)))]
+        .filter(region => region && region !== preferred);
+
+      const { regions } = await bot.preferences.update(user.id, { regions: { preferred, acceptable } });
+      await interaction.reply({ content: `🌍 Your regions: ${describeRegions(regions)}.`, ephemeral: true });
+      return;
+    }
+
+    if (subcommand === 'clear') {
+      await bot.preferences.update(user.id, { regions: { preferred: null, acceptable: [] } });
+      await interaction.reply({ content: '🌍 Your regions: any region.', ephemeral: true });
+      return;
+    }
+
+    await interaction.reply({ content: `🌍 Your regions: ${describeRegions(bot.preferences.get(user.id).regions)}.`, ephemeral: true });
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * /report - a captain reports their match's result for the other captains to confirm
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('report').setDescription('Report the result of your match')
+    .addIntegerOption(option =>
+      option.setName('winner').setDescription('Winning team number (0 for a draw)').setRequired(true).setMinValue(0))
+    .addStringOption(option =>
+      option.setName('score').setDescription('Final score, e.g. 3-1'))
+    .addIntegerOption(option =>
+      option.setName('match').setDescription('Match ID (defaults to your latest live match)')),
+  text: true,
+
+  async execute(interaction, bot) {
+    const { user, guildId } = interaction;
+    const matchId = interaction.options.getInteger('match');
+    const match = matchId
+      ? [bot.matches.get(matchId)].find(m => m?.guildId === guildId)
+      : bot.matches.list(m => m.guildId === guildId && m.status === 'live' && m.captains.includes(user.id))[0];
+    const winner = interaction.options.getInteger('winner');
+    const team = match ? match.captains.indexOf(user.id) : -1;
+
+    if (!match && !matchId) {
+      await interaction.reply({ content: 'You have no live match to report.', ephemeral: true });
+    } else if (!match || team === -1) {
+      await interaction.reply({ content: 'You are not a captain of that match.', ephemeral: true });
+    } else if (match.status !== 'live') {
+      await interaction.reply({ content: `Match #${match.id} has already been reported (${match.status}).`, ephemeral: true });
+    } else if (winner > match.teams.length) {
+      await interaction.reply({ content: `Match #${match.id} only has ${match.teams.length} teams.`, ephemeral: true });
+    } else {
+      const report = {
+        reportedBy: user.id,
+        team,
+        winner: winner === 0 ? null : winner - 1,
+        score: interaction.options.getString('score'),
+        reportedAt: Date.now()
+      };
+      await bot.matches.update(match.id, { status: 'reported', report });
+      await bot.releaseServer(match);
+      await bot.closeVoiceChannels(match);
+
+      const opponents = match.captains.filter((_, i) => i !== team).map(id => `<@${id}>`).join(', ');
+      await interaction.reply({
+        content: `📋 ${user.username} reported match #${match.id}: ${bot.describeResult(match)}.\n` +
+          `${opponents}, please confirm or dispute.`,
+        components: bot.reportButtons(match, ['confirm', 'dispute'])
+      });
+    }
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * /reset (admin) - empties a queue and cancels its ready check or draft
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { withQueueOption } = require('../utils/command_options');
+
+module.exports = {
+  data: withQueueOption(new SlashCommandBuilder().setName('reset').setDescription('Empty a queue and cancel its ready check or draft (admin)')),
+  admin: true,
+  text: true,
+
+  async execute(interaction, bot) {
+    const queue = bot.queueOption(interaction);
+    const removed = await bot.lobby.clear(interaction.guildId, queue.name);
+    bot.readyChecks.get(queue.key)?.cancel();
+    bot.drafts.get(queue.key)?.cancel();
+
+    const names = removed.map(entry => entry.username).join(', ') || 'nobody';
+    await interaction.reply(`🧹 The ${queue.name} queue was reset. Removed: ${names}.`);
+    await bot.audit(interaction, `reset the ${queue.name} queue (removed: ${names})`);
+  }
+};
@@ -0,0 +1,112 @@
+/**
+ * /schedule - schedules pickups that sign-ups are moved into the queue for when they start,
+ * lists the upcoming ones and exports them as a calendar file. Creating and cancelling is admin only.
+ */
+
+const { SlashCommandBuilder, AttachmentBuilder } = require('discord.js');
+const { withQueueOption } = require('../utils/command_options');
+const { parseStartTime, toIcs } = require('../utils/schedule');
+
+const ADMIN_SUBCOMMANDS = ['create', 'cancel'];
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('schedule').setDescription('Scheduled pickups')
+    .addSubcommand(sub => withQueueOption(sub.setName('create').setDescription('Schedule a pickup and post its sign-ups (admin)')
+      .addStringOption(option =>
+        option.setName('time').setDescription('Start time, YYYY-MM-DD HH:MM').setRequired(true)))
+      .addIntegerOption(option =>
+        option.setName('capacity').setDescription('How many can sign up (default: the queue size)').setMinValue(2))
+      .addStringOption(option =>
+        option.setName('title').setDescription('Name of the pickup, e.g. Friday night pickup').setMaxLength(100)))
+    .addSubcommand(sub => sub.setName('cancel').setDescription('Cancel a scheduled pickup (admin)')
+      .addIntegerOption(option => option.setName('pickup').setDescription('Pickup number').setRequired(true)))
+    .addSubcommand(sub => sub.setName('list').setDescription('Show the upcoming pickups'))
+    .addSubcommand(sub => sub.setName('export').setDescription('Get the upcoming pickups as a calendar (.ics) file')),
+
+  async execute(interaction, bot) {
+    const { guildId } = interaction;
+    const { schedules, scheduleConfig } = bot;
+    const subcommand = interaction.options.getSubcommand();
+    const upcoming = schedules.list(event => event.guildId === guildId && event.status === 'scheduled');
+
+    if (ADMIN_SUBCOMMANDS.includes(subcommand) && !bot.isAdmin(interaction)) {
+      await interaction.reply({ content: 'Only admins can use this command.', ephemeral: true });
+      return;
+    }
+
+    if (subcommand === 'create') {
+      const queue = bot.queueOption(interaction);
+      const time = interaction.options.getString('time');
+      const capacity = interaction.options.getInteger('capacity') || queue.capacity;
+      const startsAt = parseStartTime(time, scheduleConfig.timezone);
+
+      if (startsAt === null) {
+        await interaction.reply({
+          content: `Couldn't read "${time}"; use YYYY-MM-DD HH:MM (${scheduleConfig.timezone}), e.g. 2026-10-23 20:00.`,
+          ephemeral: true
+        });
+        return;
+      }
+      if (startsAt <= Date.now()) {
+        await interaction.reply({ content: `<t:${Math.floor(startsAt / 1000)}:F> has already passed.`, ephemeral: true });
+        return;
+      }
+      if (capacity > queue.capacity) {
+        await interaction.reply({ content: `The ${queue.name} queue only holds ${queue.capacity} players.`, ephemeral: true });
+        return;
+      }
+
+      const event = await schedules.create({
+        guildId,
+        queue: queue.name,
+        capacity,
+        startsAt,
+        title: interaction.options.getString('title') || `${queue.name} pickup`,
+        channelId: interaction.channelId,
+        createdBy: interaction.user.id,
+        // Reminders that would already be due are skipped; the sign-up post is reminder enough
+        remindersSent: scheduleConfig.remindersMinutes.filter(minutes => startsAt - minutes * 60 * 1000 <= Date.now())
+      });
+      await interaction.reply(bot.scheduleMessage(event));
+      const message = await interaction.fetchReply();
+      await schedules.update(event.id, { messageId: message.id });
+      await bot.audit(interaction, `scheduled pickup #${event.id} (${event.title}) for <t:${Math.floor(startsAt / 1000)}:F>`);
+      return;
+    }
+
+    if (subcommand === 'cancel') {
+      const event = upcoming.find(e => e.id === interaction.options.getInteger('pickup'));
+      if (!event) {
+        await interaction.reply({ content: 'There is no upcoming pickup with that number.', ephemeral: true });
+        return;
+      }
+
+      await schedules.update(event.id, { status: 'cancelled' });
+      await bot.refreshScheduleMessage(event);
+      const mentions = event.signups.map(player => `<@${player.userId}>`).join(' ');
+      await interaction.reply(`🗑️ **${event.title}** was cancelled.${mentions ? ` ${mentions}` : ''}`);
+      await bot.audit(interaction, `cancelled pickup #${event.id} (${event.title})`);
+      return;
+    }
+
+    if (upcoming.length === 0) {
+      await interaction.reply({ content: 'No pickups are scheduled.', ephemeral: true });
+      return;
+    }
+
+    if (subcommand === 'export') {
+      const file = new AttachmentBuilder(Buffer.from(toIcs(upcoming, scheduleConfig)), { name: 'pickups.ics' });
+      await interaction.reply({
+        content: `🗓️ ${upcoming.length} upcoming pickup${upcoming.length === 1 ? '' : 's'}; open the file to add them to your calendar.`,
+        files: [file],
+        ephemeral: true
+      });
+      return;
+    }
+
+    const lines = upcoming.map(event =>
+      `#${event.id} **${event.title}** <t:${Math.floor(event.startsAt / 1000)}:F> — ` +
+      `${event.queue}, ${event.signups.length}/${event.capacity} signed up`);
+    await interaction.reply({ content: `🗓️ **Upcoming pickups**\n${lines.join('\n')}`, ephemeral: true });
+  }
+};
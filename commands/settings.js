@@ -0,0 +1,167 @@
+/**
+ * /settings - per-guild bot settings (Manage Server only)
+ */
+
+const { SlashCommandBuilder, ChannelType, PermissionFlagsBits } = require('discord.js');
+const { queueChoices } = require('../utils/command_options');
+const { resizeQueue } = require('../utils/queue_config');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('settings').setDescription('Change the bot settings for this server')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(sub => sub.setName('queue-size').setDescription('Set how many players a queue holds')
+      .addStringOption(option =>
+        option.setName('queue').setDescription('Queue to resize').setRequired(true).addChoices(...queueChoices))
+      .addIntegerOption(option =>
+        option.setName('size').setDescription('Number of players (0 restores the configured size)').setRequired(true).setMinValue(0)))
+    .addSubcommand(sub => sub.setName('announce-channel').setDescription('Set where drafts, map votes and matches are posted')
+      .addChannelOption(option =>
+        option.setName('channel').setDescription('Announce channel (leave empty to post where the queue fills)')
+          .addChannelTypes(ChannelType.GuildText)))
+    .addSubcommand(sub => sub.setName('admin-role').setDescription('Set the role allowed to use admin commands')
+      .addRoleOption(option =>
+        option.setName('role').setDescription('Admin role (leave empty for Manage Server only)')))
+    .addSubcommand(sub => sub.setName('audit-channel').setDescription('Set where admin actions are logged')
+      .addChannelOption(option =>
+        option.setName('channel').setDescription('Audit channel (leave empty to stop logging)')
+          .addChannelTypes(ChannelType.GuildText)))
+    .addSubcommand(sub => sub.setName('sub-role').setDescription('Set the role pinged when a match needs a substitute')
+      .addRoleOption(option =>
+        option.setName('role').setDescription('Sub role (leave empty to ping the players waiting in the queue)')))
+    .addSubcommand(sub => sub.setName('voice').setDescription('Set where team voice channels are created')
+      .addChannelOption(option =>
+        option.setName('category').setDescription('Category for team channels (leave empty for no team channels)')
+          .addChannelTypes(ChannelType.GuildCategory))
+      .addChannelOption(option =>
+        option.setName('lobby').setDescription('Voice channel players are moved from when their match starts')
+          .addChannelTypes(ChannelType.GuildVoice)))
+    .addSubcommand(sub => sub.setName('notify-role').setDescription('Set the role /notify gives for a queue')
+      .addStringOption(option =>
+        option.setName('queue').setDescription('Queue the role is for').setRequired(true).addChoices(...queueChoices))
+      .addRoleOption(option =>
+        option.setName('role').setDescription('Notify role (leave empty for none)')))
+    .addSubcommand(sub => sub.setName('show').setDescription('Show the current settings')),
+
+  async execute(interaction, bot) {
+    const { guildId } = interaction;
+    const { settings, queues, audit } = bot;
+
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      await interaction.reply({ content: 'Only admins can change the bot settings.', ephemeral: true });
+      return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const current = settings.get(guildId);
+
+    if (subcommand === 'queue-size') {
+      const name = interaction.options.getString('queue');
+      const size = interaction.options.getInteger('size');
+      const queueSizes = { ...current.queueSizes };
+      delete queueSizes[name];
+
+      if (size === 0) {
+        await settings.update(guildId, { queueSizes });
+        bot.scheduleLobbyRefresh(guildId);
+        await interaction.reply(`⚙️ The ${name} queue is back to its configured size (${queues.get(name).capacity}).`);
+        await audit(interaction, `restored the ${name} queue size to ${queues.get(name).capacity}`);
+        return;
+      }
+
+      try {
+        resizeQueue(queues.get(name), size);
+      } catch (error) {
+        await interaction.reply({ content: error.message, ephemeral: true });
+        return;
+      }
+
+      await settings.update(guildId, { queueSizes: { ...queueSizes, [name]: size } });
+      bot.scheduleLobbyRefresh(guildId);
+      await interaction.reply(`⚙️ The ${name} queue now holds ${size} players.`);
+      await audit(interaction, `set the ${name} queue size to ${size}`);
+    }
+
+    if (subcommand === 'announce-channel') {
+      const channel = interaction.options.getChannel('channel');
+      await settings.update(guildId, { announceChannelId: channel?.id || null });
+      await interaction.reply(channel
+        ? `⚙️ Drafts, map votes and matches will be posted in <#${channel.id}>.`
+        : '⚙️ Drafts, map votes and matches will be posted where the queue fills.');
+      await audit(interaction, `set the announce channel to ${channel ? `<#${channel.id}>` : 'none'}`);
+    }
+
+    if (subcommand === 'admin-role') {
+      const role = interaction.options.getRole('role');
+      await settings.update(guildId, { adminRoleId: role?.id || null });
+      await interaction.reply(role
+        ? `⚙️ Members with <@&${role.id}> can now use admin commands.`
+        : '⚙️ Only members with Manage Server can use admin commands now.');
+      await audit(interaction, `set the admin role to ${role ? `<@&${role.id}>` : 'none'}`);
+    }
+
+    if (subcommand === 'audit-channel') {
+      const channel = interaction.options.getChannel('channel');
+      await settings.update(guildId, { auditChannelId: channel?.id || null });
+      await interaction.reply(channel
+        ? `⚙️ Admin actions will be logged in <#${channel.id}>.`
+        : '⚙️ Admin actions will no longer be logged to a channel.');
+      await audit(interaction, `set the audit channel to ${channel ? `<#${channel.id}>` : 'none'}`);
+    }
+
+    if (subcommand === 'sub-role') {
+      const role = interaction.options.getRole('role');
+      await settings.update(guildId, { subRoleId: role?.id || null });
+      await interaction.reply(role
+        ? `⚙️ <@&${role.id}> will be pinged when a match needs a substitute.`
+        : '⚙️ Players waiting in the queue will be pinged when a match needs a substitute.');
+      await audit(interaction, `set the sub role to ${role ? `<@&${role.id}>` : 'none'}`);
+    }
+
+    if (subcommand === 'voice') {
+      const category = interaction.options.getChannel('category');
+      const lobby = interaction.options.getChannel('lobby');
+      await settings.update(guildId, { voiceCategoryId: category?.id || null, lobbyVoiceChannelId: lobby?.id || null });
+      await interaction.reply(category
+        ? `⚙️ Team voice channels will be created under <#${category.id}>` +
+          `${lobby ? `, moving players from <#${lobby.id}>` : ''}.`
+        : '⚙️ Matches will no longer get team voice channels.');
+      await audit(interaction, `set the team voice category to ${category ? `<#${category.id}>` : 'none'}` +
+        ` and the lobby voice channel to ${lobby ? `<#${lobby.id}>` : 'none'}`);
+    }
+
+    if (subcommand === 'notify-role') {
+      const name = interaction.options.getString('queue');
+      const role = interaction.options.getRole('role');
+      const { [name]: removed, ...notifyRoles } = current.notifyRoles;
+      await settings.update(guildId, { notifyRoles: role ? { ...notifyRoles, [name]: role.id } : notifyRoles });
+      await interaction.reply(role
+        ? `⚙️ /notify gives <@&${role.id}>, pinged when the ${name} queue is nearly full.`
+        : `⚙️ The ${name} queue no longer has a notify role.`);
+      await audit(interaction, `set the ${name} notify role to ${role ? `<@&${role.id}>` : 'none'}`);
+    }
+
+    if (subcommand === 'show') {
+      const sizes = [...bot.queuesFor(guildId).values()].map(q =>
+        `${q.name}: ${q.capacity}${current.queueSizes[q.name] ? '' : ' (default)'}`);
+      const channel = current.announceChannelId ? `<#${current.announceChannelId}>` : 'where the queue fills';
+      const adminRole = current.adminRoleId ? `<@&${current.adminRoleId}>` : 'Manage Server only';
+      const auditChannel = current.auditChannelId ? `<#${current.auditChannelId}>` : 'off';
+      const subRole = current.subRoleId ? `<@&${current.subRoleId}>` : 'players waiting in the queue';
+      const voice = current.voiceCategoryId
+        ? `under <#${current.voiceCategoryId}>${current.lobbyVoiceChannelId ? `, from <#${current.lobbyVoiceChannelId}>` : ''}`
+        : 'off';
+      const notifyRoles = Object.entries(current.notifyRoles).map(([name, id]) => `${name}: <@&${id}>`).join(', ') || 'none';
+      // Alias counts are kept per process, not per guild, and reset on restart
+      const aliasUsage = Object.entries(bot.aliases.usageByAlias())
+        .map(([alias, count]) => `\`${alias}\` ×${count}`).join(', ') || 'none';
+      await interaction.reply({
+        content: `⚙️ **Settings**\nQueue sizes: ${sizes.join(', ')}\nAnnouncements: ${channel}\n` +
+          `Admin role: ${adminRole}\nAudit log: ${auditChannel}\nSub pings: ${subRole}\nTeam voice: ${voice}\n` +
+          `Notify roles: ${notifyRoles}\n` +
+          `Locked queues: ${current.lockedQueues.join(', ') || 'none'}\n` +
+          `Alias usage since restart (all servers): ${aliasUsage}`,
+        ephemeral: true
+      });
+    }
+  }
+};
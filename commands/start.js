@@ -0,0 +1,24 @@
+/**
+ * /start - starts a ready check with the players waiting in a queue
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { withQueueOption } = require('../utils/command_options');
+
+module.exports = {
+  data: withQueueOption(new SlashCommandBuilder().setName('start').setDescription('Start the match')),
+  text: true,
+
+  async execute(interaction, bot) {
+    const queue = bot.queueOption(interaction);
+    const players = bot.nextPlayers(queue, bot.waitingPlayers(queue), queue.capacity);
+
+    if (bot.readyChecks.has(queue.key)) {
+      await interaction.reply({ content: `A ${queue.name} ready check is already in progress.`, ephemeral: true });
+    } else if (players.length < queue.teams) {
+      await interaction.reply(`Need at least ${queue.teams} players to start ${queue.name}.`);
+    } else {
+      await bot.beginReadyCheck(queue, players, interaction);
+    }
+  }
+};
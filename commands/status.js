@@ -0,0 +1,33 @@
+/**
+ * /status - shows who is waiting in each of the guild's queues and the regions they prefer
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { regionMix } = require('../utils/regions');
+
+// Summarises the preferred regions of the players waiting, e.g. "eu_west 3 · na_east 1"
+function describeMix(bot, entries) {
+  const mix = regionMix(entries.map(entry => bot.preferences.get(entry.userId).regions));
+  return [...mix].map(([region, count]) => `${region || 'any'} ${count}`).join(' · ');
+}
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('status').setDescription('Show current lobby status'),
+  text: true,
+
+  async execute(interaction, bot) {
+    const { guildId } = interaction;
+
+    const lines = [...bot.queuesFor(guildId).values()].map(q => {
+      const entries = bot.waitingPlayers(q);
+      const players = entries.map(entry => entry.username);
+      const regions = entries.length > 0 ? ` 🌍 ${describeMix(bot, entries)}` : '';
+      const check = bot.readyChecks.get(q.key);
+      const checking = check ? ` — ready check: ${check.list().map(player => player.username).join(', ')}` : '';
+      const drafting = bot.drafts.has(q.key) ? ' — draft in progress' : '';
+      const locked = bot.settings.get(guildId).lockedQueues.includes(q.name) ? ' 🔒' : '';
+      return `**${q.name}**${locked} (${players.length}/${q.capacity}): ${players.join(', ') || 'empty'}${regions}${checking}${drafting}`;
+    });
+    await interaction.reply(`Current lobby:\n${lines.join('\n')}`);
+  }
+};
@@ -0,0 +1,80 @@
+/**
+ * /standing - shows a player their strikes and any queue ban
+ * /strikes (admin) - shows, adds or pardons a player's strikes
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { REASONS, pardon, formatDuration } = require('../utils/penalties');
+
+// Describes where a player stands, one line per active strike
+function describeStanding(bot, guildId, userId, name) {
+  const { strikeDecayHours, banThreshold } = bot.penaltyRules;
+  const { strikes, active, ban } = bot.standingOf(guildId, userId);
+
+  const lines = [`⚖️ ${name} ${name === 'You' ? 'have' : 'has'} ${strikes} active strike${strikes === 1 ? '' : 's'} ` +
+    `(a queue ban comes at ${banThreshold}).`];
+  for (const strike of active) {
+    const expires = Math.floor((strike.at + strikeDecayHours * 60 * 60 * 1000) / 1000);
+    lines.push(`• ${REASONS[strike.reason] || strike.reason} (${strike.weight}), expires <t:${expires}:R>`);
+  }
+  if (ban) lines.push(`⛔ Banned from queueing until <t:${Math.floor(ban.until / 1000)}:f>.`);
+  return lines.join('\n');
+}
+
+module.exports = [
+  {
+    data: new SlashCommandBuilder().setName('standing').setDescription('Show your strikes and any queue ban'),
+    text: true,
+
+    async execute(interaction, bot) {
+      await interaction.reply({
+        content: describeStanding(bot, interaction.guildId, interaction.user.id, 'You'),
+        ephemeral: true
+      });
+    }
+  },
+  {
+    data: new SlashCommandBuilder().setName('strikes').setDescription('Manage player strikes (admin)')
+      .addSubcommand(sub => sub.setName('show').setDescription('Show a player\'s strikes and any queue ban')
+        .addUserOption(option => option.setName('player').setDescription('Player to show').setRequired(true)))
+      .addSubcommand(sub => sub.setName('add').setDescription('Give a player strikes')
+        .addUserOption(option => option.setName('player').setDescription('Player to strike').setRequired(true))
+        .addIntegerOption(option =>
+          option.setName('count').setDescription('Strikes to give (default: 1)').setMinValue(1).setMaxValue(10)))
+      .addSubcommand(sub => sub.setName('pardon').setDescription('Remove a player\'s strikes and lift their queue ban')
+        .addUserOption(option => option.setName('player').setDescription('Player to pardon').setRequired(true))
+        .addIntegerOption(option =>
+          option.setName('count').setDescription('Strikes to remove, newest first (default: all)').setMinValue(1))),
+    admin: true,
+
+    async execute(interaction, bot) {
+      const { guildId } = interaction;
+      const subcommand = interaction.options.getSubcommand();
+      const target = interaction.options.getUser('player');
+      const count = interaction.options.getInteger('count');
+
+      if (subcommand === 'add') {
+        const player = { userId: target.id, username: target.username };
+        const banned = await bot.giveStrike(guildId, player, 'admin', { weight: count || 1, by: interaction.user.id });
+        await interaction.reply(`⚖️ ${target.username} was given ${count || 1} strike${count > 1 ? 's' : ''}.${banned}`);
+        await bot.audit(interaction, `gave <@${target.id}> ${count || 1} strike(s)`);
+        return;
+      }
+
+      if (subcommand === 'pardon') {
+        const record = bot.strikes.get(guildId, target.id);
+        await bot.strikes.set(guildId, target.id, pardon(record, bot.penaltyRules, count || Infinity));
+        await interaction.reply(`🕊️ ${target.username} was pardoned` +
+          `${count ? ` of ${count} strike${count === 1 ? '' : 's'}` : ''}; any queue ban is lifted.`);
+        await bot.audit(interaction, `pardoned <@${target.id}>${count ? ` of ${count} strike(s)` : ''}`);
+        return;
+      }
+
+      const history = bot.strikes.get(guildId, target.id).bans;
+      const bans = history.length > 0
+        ? `\nPast bans: ${history.map(ban => formatDuration(ban.minutes)).join(', ')}.`
+        : '';
+      await interaction.reply({ content: describeStanding(bot, guildId, target.id, target.username) + bans, ephemeral: true });
+    }
+  }
+];
@@ -0,0 +1,61 @@
+/**
+ * /sub - asks for a volunteer to replace a player who didn't connect to a live match.
+ * A player can also /sub themselves to leave a live match, which earns a strike.
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { teamOf } = require('../utils/substitution');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('sub').setDescription('Ask for a substitute for a player who did not show up, or for yourself')
+    .addUserOption(option =>
+      option.setName('player').setDescription('Player to replace').setRequired(true))
+    .addIntegerOption(option =>
+      option.setName('match').setDescription('Match ID (defaults to the player\'s live match)')),
+
+  async execute(interaction, bot) {
+    const { user, guildId } = interaction;
+    const { substitution } = bot;
+    const target = interaction.options.getUser('player');
+    const matchId = interaction.options.getInteger('match');
+    const match = matchId
+      ? [bot.matches.get(matchId)].find(m => m?.guildId === guildId)
+      : bot.matches.list(m => m.guildId === guildId && m.status === 'live' && teamOf(m, target.id) !== -1)[0];
+
+    if (!match || teamOf(match, target.id) === -1) {
+      await interaction.reply({ content: `${target.username} is not in a live match.`, ephemeral: true });
+      return;
+    }
+
+    if (match.status !== 'live') {
+      await interaction.reply({ content: `Match #${match.id} is no longer live.`, ephemeral: true });
+      return;
+    }
+
+    // Anyone may ask to be replaced themselves; asking for someone else follows requested_by
+    const allowed = target.id === user.id || (substitution.requestedBy === 'captains'
+      ? match.captains.includes(user.id)
+      : teamOf(match, user.id) !== -1);
+    if (!allowed && !bot.isAdmin(interaction)) {
+      const who = substitution.requestedBy === 'captains' ? 'captains' : 'players';
+      await interaction.reply({ content: `Only the ${who} of match #${match.id} can ask for a substitute.`, ephemeral: true });
+      return;
+    }
+
+    const open = [...bot.subRequests.values()].filter(request => request.matchId === match.id);
+    if (open.some(request => request.player.userId === target.id)) {
+      await interaction.reply({ content: `A substitute for ${target.username} has already been asked for.`, ephemeral: true });
+      return;
+    }
+
+    if ((match.subs || []).length + open.length >= substitution.maxSubsPerMatch) {
+      await interaction.reply({
+        content: `Match #${match.id} has used all ${substitution.maxSubsPerMatch} of its substitutions.`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    await bot.beginSubRequest(match, { userId: target.id, username: target.username }, interaction);
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * /voice - points a player to their team's voice channel, moving them there if they are in voice
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { teamOf } = require('../utils/substitution');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('voice').setDescription('Go to your team\'s voice channel'),
+  text: true,
+
+  async execute(interaction, bot) {
+    const { user, guildId } = interaction;
+    const match = bot.matches.list(m => m.guildId === guildId && m.status === 'live' && teamOf(m, user.id) !== -1)[0];
+
+    if (!match) {
+      await interaction.reply({ content: 'You are not in a live match.', ephemeral: true });
+      return;
+    }
+    if (!match.voiceChannels || match.voiceClosedAt) {
+      await interaction.reply({ content: `Match #${match.id} has no team voice channels.`, ephemeral: true });
+      return;
+    }
+
+    const channelId = match.voiceChannels[teamOf(match, user.id)];
+    const voice = interaction.member?.voice;
+    if (voice?.channelId && voice.channelId !== channelId) {
+      try {
+        await voice.setChannel(channelId);
+        await interaction.reply({ content: `🔊 Moved you to <#${channelId}>.`, ephemeral: true });
+        return;
+      } catch (error) {
+        console.error(`Failed to move ${user.username} to their team channel: ${error.message}`);
+      }
+    }
+    await interaction.reply({ content: `🔊 Your team's voice channel is <#${channelId}>.`, ephemeral: true });
+  }
+};
@@ -1,54 +1,1903 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits, REST, Routes, SlashCommandBuilder } = require('discord.js');
+const path = require('path');
+const {
+  Client, GatewayIntentBits, Partials, REST,
+  ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, PermissionFlagsBits, EmbedBuilder, ChannelType
+} = require('discord.js');
+const { createLobbyStore } = require('./utils/lobby_store');
+const { loadQueueConfig, resizeQueue } = require('./utils/queue_config');
+const { createGuildSettingsStore } = require('./utils/guild_settings_store');
+const { loadDmNotificationConfig, getTrigger, getKeepAliveIdleMinutes, renderTemplate } = require('./utils/notification_config');
+const ReadyCheck = require('./utils/ready_check');
+const { createRatingStore } = require('./utils/rating_store');
+const { balanceTeams, winProbabilities } = require('./utils/team_balancer');
+const { Draft, chooseCaptains } = require('./utils/draft');
+const { Parties, takeWithParties } = require('./utils/parties');
+const { createMatchStore } = require('./utils/match_store');
+const { canAnswerReport } = require('./utils/match_report');
+const { loadMapConfig } = require('./utils/map_config');
+const { MapVote, mapCandidates } = require('./utils/map_vote');
+const { AliasResolver, loadAliasConfig } = require('./utils/command_aliases');
+const MessageInteraction = require('./utils/message_interaction');
+const { createQueueHistoryStore } = require('./utils/queue_history_store');
+const QueueKeepAlive = require('./utils/queue_keep_alive');
+const QueueNotifier = require('./utils/queue_notifier');
+const SuperLoader = require('./utils/super_loader');
+const CommandRegistry = require('./utils/command_registry');
+const notificationCommands = require('./utils/notification_commands');
+const { createPlayerPreferencesStore } = require('./utils/player_preferences_store');
+const { loadSubstitutionConfig } = require('./utils/substitution_config');
+const { SubRequest, substitute, teamOf } = require('./utils/substitution');
+const { loadFeatureFlags } = require('./utils/feature_flags');
+const { loadLateJoinSwapConfig, findLateJoinSwap, applySwap } = require('./utils/late_join_swap');
+const { loadServerConfig } = require('./utils/server_config');
+const { createServerProvider } = require('./utils/server_provider');
+const { loadRegionConfig, pickRegion, acceptsRegion } = require('./utils/regions');
+const { loadOnboardingConfig, shouldOnboard, onboardingMessage, sendOnboarding } = require('./utils/onboarding');
+const { loadVoiceConfig, teamChannelName, matchIdFromChannel, teamOverwrites } = require('./utils/voice_ops');
+const { createScheduleStore } = require('./utils/schedule_store');
+const { loadScheduleConfig, dueReminders } = require('./utils/schedule');
+const { loadStatsConfig } = require('./utils/stats_config');
+const { leaderboard } = require('./utils/player_stats');
+const { createStrikeStore } = require('./utils/strike_store');
+const { loadPenaltyConfig, addStrike, standing, formatDuration, REASONS } = require('./utils/penalties');
 
-const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+// DirectMessages lets players answer the pre_game DM with `!ready`;
+// GuildMessages and MessageContent are needed for QWTF-style text commands
+const client = new Client({
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.MessageContent,
+    GatewayIntentBits.DirectMessages,
+    GatewayIntentBits.GuildVoiceStates
+  ],
+  partials: [Partials.Channel]
+});
 
-const commands = [
-  new SlashCommandBuilder().setName('join').setDescription('Join the lobby'),
-  new SlashCommandBuilder().setName('leave').setDescription('Leave the lobby'),
-  new SlashCommandBuilder().setName('status').setDescription('Show current lobby status'),
-  new SlashCommandBuilder().setName('start').setDescription('Start the match'),
-].map(cmd => cmd.toJSON());
+const { defaultQueue, queues } = loadQueueConfig(process.env.QUEUE_CONFIG_PATH);
+const dmConfig = loadDmNotificationConfig(process.env.DM_NOTIFICATION_CONFIG_PATH);
+const preGame = getTrigger(dmConfig, 'pre_game');
+const matchQueue = getTrigger(dmConfig, 'match_queue');
+const queueFilling = getTrigger(dmConfig, 'queue_filling');
+const scheduledPickup = getTrigger(dmConfig, 'scheduled_pickup');
+const mapConfig = loadMapConfig(process.env.MAP_CONFIG_PATH);
+const serverConfig = loadServerConfig(process.env.SERVER_CONFIG_PATH);
+const substitution = loadSubstitutionConfig(process.env.SUBSTITUTION_CONFIG_PATH);
+const lateJoinSwap = loadLateJoinSwapConfig(process.env.QWTF_PARITY_CONFIG_PATH);
+const regionConfig = loadRegionConfig(process.env.QWTF_PARITY_CONFIG_PATH);
+const statsConfig = loadStatsConfig(process.env.STATS_CONFIG_PATH);
+const penaltyRules = loadPenaltyConfig(process.env.REPUTATION_CONFIG_PATH);
+const onboardingConfig = loadOnboardingConfig(process.env.ONBOARDING_CONFIG_PATH, process.env.QWTF_PARITY_CONFIG_PATH);
+const voiceConfig = loadVoiceConfig(process.env.VOICE_OPS_CONFIG_PATH);
+const scheduleConfig = loadScheduleConfig(process.env.SCHEDULE_CONFIG_PATH);
 
 const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
 
+// Slash commands live one per module in commands/; the notification upgrade
+// adds more at startup through SuperLoader's command_registry step
+const commandRegistry = new CommandRegistry({ rest, handlers: notificationCommands });
+commandRegistry.loadDirectory(path.join(__dirname, 'commands'));
+
+// Commands that can also be typed as `!name`; the others need slash-command options
+const textCommands = commandRegistry.list().filter(command => command.text).map(command => command.name);
+
+const aliases = new AliasResolver(loadAliasConfig(process.env.QWTF_PARITY_CONFIG_PATH), textCommands);
+
+// State saved before it was partitioned per guild belongs to the old single GUILD_ID
+const lobby = createLobbyStore(process.env.LOBBY_STORE || 'file', {
+  filePath: process.env.LOBBY_STORE_PATH,
+  legacyGuildId: process.env.GUILD_ID
+});
+
+const ratings = createRatingStore(process.env.RATING_STORE || 'file', {
+  filePath: process.env.RATING_STORE_PATH,
+  legacyGuildId: process.env.GUILD_ID
+});
+
+const matches = createMatchStore(process.env.MATCH_STORE || 'file', {
+  filePath: process.env.MATCH_STORE_PATH,
+  legacyGuildId: process.env.GUILD_ID
+});
+
+const settings = createGuildSettingsStore(process.env.GUILD_SETTINGS_STORE || 'file', {
+  filePath: process.env.GUILD_SETTINGS_STORE_PATH
+});
+
+// Flags are evaluated per guild and player; guilds can override them with /flags
+const featureFlags = loadFeatureFlags(process.env.QWTF_PARITY_CONFIG_PATH, {
+  overrides: guildId => settings.get(guildId).flagOverrides
+});
+featureFlags.on('rollback', ({ name, reason }) => {
+  console.error(`🚨 Feature flag ${name} rolled back: ${reason}. Restore it with /flags restore once fixed.`);
+});
+
+const queueHistory = createQueueHistoryStore(process.env.QUEUE_HISTORY_STORE || 'file', {
+  filePath: process.env.QUEUE_HISTORY_STORE_PATH
+});
+
+const preferences = createPlayerPreferencesStore(process.env.PLAYER_PREFERENCES_STORE || 'file', {
+  filePath: process.env.PLAYER_PREFERENCES_STORE_PATH
+});
+
+const strikes = createStrikeStore(process.env.STRIKE_STORE || 'file', {
+  filePath: process.env.STRIKE_STORE_PATH
+});
+
+const schedules = createScheduleStore(process.env.SCHEDULE_STORE || 'file', {
+  filePath: process.env.SCHEDULE_STORE_PATH
+});
+
+const servers = createServerProvider(process.env.SERVER_PROVIDER || 'docker', serverConfig);
+
+// Ready checks in progress, keyed by queue key (guild ID and queue name)
+const readyChecks = new Map();
+
+// Captain drafts in progress, keyed by queue key (guild ID and queue name)
+const drafts = new Map();
+
+// Map votes in progress, keyed by vote ID
+const mapVotes = new Map();
+
+// Timers releasing the servers of unreported matches, keyed by match ID
+const serverTimers = new Map();
+
+// Open calls for a substitute, keyed by request ID
+const subRequests = new Map();
+
+// Late join swaps waiting for the captains, keyed by proposal ID
+const swapProposals = new Map();
+
+// Premade parties and their open invites
+const parties = new Parties();
+
+// Pending live lobby message edits, keyed by guild ID
+const lobbyRefreshTimers = new Map();
+
+// What the queue_keep_alive_processing step needs to judge an idle player.
+// Presence is only known with the GuildPresences intent; without it every
+// player counts as online.
+const loaderDependencies = {
+  discord: {
+    getUser: async userId => ({
+      presence: client.guilds.cache.map(guild => guild.presences.cache.get(userId)).find(Boolean) || null
+    })
+  },
+  database: {
+    getUserQueueHistory: async (userId, since) => queueHistory.summary(userId, since)
+  },
+  queueManager: {
+    getQueueStatus: async queueKey => {
+      const [guildId, name] = queueKey.split(':');
+      const queue = queuesFor(guildId).get(name);
+      return queue && { percentage: (waitingPlayers(queue).length / queue.capacity) * 100 };
+    }
+  }
+};
+
+const superLoader = new SuperLoader({ dependencies: loaderDependencies });
+
+const keepAlive = new QueueKeepAlive({
+  lobby,
+  loader: superLoader,
+  idleMs: getKeepAliveIdleMinutes(dmConfig) * 60 * 1000,
+  timeoutMs: matchQueue.timeoutSeconds * 1000,
+  isBusy: userId => [...readyChecks.values()].some(check => check.includes(userId))
+});
+
+// The keep-alive object is the agent manager the step reports to; the
+// player state agent answers recent activity from it and notification
+// tiers from the player's preferences
+loaderDependencies.agentManager = keepAlive;
+loaderDependencies.playerStateAgent = {
+  getLastActiveTime: userId => keepAlive.getLastActiveTime(userId),
+  getUserNotificationPreferences: async userId => preferences.get(userId).notification_tiers
+};
+loaderDependencies.commandRegistry = commandRegistry;
+loaderDependencies.featureFlags = featureFlags;
+
+const queueNotifier = new QueueNotifier();
+
+// Guild commands update instantly, so they are registered in every guild the bot is in
+async function registerCommands(guild) {
+  try {
+    await commandRegistry.sync(client.user.id, guild.id);
+    console.log(`✅ Slash commands registered to ${guild.name}.`);
+  } catch (error) {
+    console.error(`Failed to register slash commands in ${guild.name}: ${error.message}`);
+  }
+}
+
+// Runs the command_registry upgrades from the notification super loader
+// config, which add commands such as /notifytier and /notifystatus
+async function loadUpgradeCommands() {
+  try {
+    const config = await superLoader.loadConfig('notification_super_loader.yaml');
+    const upgrades = config.upgrade_sequence.filter(upgrade =>
+      upgrade.steps.every(step => step.type === 'command_registry'));
+
+    for (const upgrade of upgrades) {
+      const result = await superLoader.executeStep(upgrade);
+      if (!result.success) console.error(`Failed to apply ${upgrade.id}: ${result.error}`);
+    }
+  } catch (error) {
+    console.error(`Failed to load upgrade commands: ${error.message}`);
+  }
+}
+
+// Commands are turned away until the stores are loaded, so nothing writes a
+// near-empty store over the saved data (or reuses match IDs) while starting up
+let storesLoaded = false;
+
 client.once('ready', async () => {
   console.log(`✅ Logged in as ${client.user.tag}`);
-  await rest.put(Routes.applicationGuildCommands(client.user.id, process.env.GUILD_ID), { body: commands });
-  console.log('✅ Slash commands registered to guild.');
+
+  await settings.load();
+  await preferences.load();
+  const restored = await lobby.load();
+  console.log(`✅ Lobby restored with ${restored.length} player(s).`);
+  await ratings.load();
+  await matches.load();
+  await queueHistory.load();
+  await strikes.load();
+  await schedules.load();
+  storesLoaded = true;
+
+  await loadUpgradeCommands();
+  for (const guild of client.guilds.cache.values()) await registerCommands(guild);
+
+  // Commands registered or unregistered from now on are synced straight away
+  commandRegistry.on('change', () => {
+    for (const guild of client.guilds.cache.values()) registerCommands(guild);
+  });
+
+  if (matchQueue.enabled) keepAlive.start(30 * 1000);
+
+  for (const match of matches.list(m => m.status === 'live' && m.server && !m.serverReleasedAt)) {
+    scheduleServerTimeout(match);
+  }
+  await resumeMapVotes();
+
+  for (const guild of client.guilds.cache.values()) {
+    await sweepVoiceChannels(guild);
+    await refreshLobbies(guild.id);
+  }
+
+  await runSchedules();
+  setInterval(() => runSchedules().catch(error =>
+    console.error(`Failed to run scheduled pickups: ${error.message}`)), 30 * 1000);
+});
+
+client.on('guildCreate', guild => registerCommands(guild));
+
+// Saved queue sizes that are no longer valid, so each is only logged once
+const invalidQueueSizes = new Set();
+
+// The configured queues with the guild's own queue sizes applied
+function queuesFor(guildId) {
+  const { queueSizes } = settings.get(guildId);
+
+  return new Map([...queues].map(([name, queue]) => {
+    let sized = queue;
+    try {
+      if (queueSizes[name]) sized = resizeQueue(queue, queueSizes[name]);
+    } catch (error) {
+      // A size saved before the rules tightened falls back to the configured one
+      const key = `${guildId}:${name}:${queueSizes[name]}`;
+      if (!invalidQueueSizes.has(key)) console.error(`Ignoring the saved ${name} queue size in ${guildId}: ${error.message}`);
+      invalidQueueSizes.add(key);
+    }
+    return [name, { ...sized, guildId, key: `${guildId}:${name}` }];
+  }));
+}
+
+// Players queued in a queue who aren't already taking part in its ready check
+function waitingPlayers(queue) {
+  const check = readyChecks.get(queue.key);
+  return lobby.list(queue.guildId, queue.name).filter(entry => !check || !check.includes(entry.userId));
+}
+
+// Whether a player is on a team in a match that hasn't finished (voting on its map or live)
+function inMatch(guildId, userId) {
+  return matches.list(m => m.guildId === guildId && ['voting', 'live'].includes(m.status))
+    .some(match => teamOf(match, userId) !== -1);
+}
+
+// Returns the ID of the party a player is in, for keeping parties together
+function partyGroup(guildId) {
+  return player => parties.of(guildId, player.userId)?.id;
+}
+
+// The first `count` players in queue order, passing over parties that don't fit
+function nextPlayers(queue, players, count) {
+  return takeWithParties(players, count, partyGroup(queue.guildId));
+}
+
+// Fill bar for the live lobby message, one segment per player up to 16
+function progressBar(count, capacity) {
+  const width = Math.min(capacity, 16);
+  const filled = Math.min(width, Math.round((count / capacity) * width));
+  return '▰'.repeat(filled) + '▱'.repeat(width - filled);
+}
+
+// The live lobby message: every queue's fill, who is waiting and for how long, and Join/Leave buttons
+function lobbyMessage(guildId) {
+  const { lockedQueues } = settings.get(guildId);
+  const guildQueues = [...queuesFor(guildId).values()];
+
+  const embed = new EmbedBuilder()
+    .setTitle('🎮 Lobby')
+    .setDescription('Press Join or Leave, or use /join and /leave.')
+    .setTimestamp();
+
+  for (const q of guildQueues) {
+    const players = waitingPlayers(q);
+    const locked = lockedQueues.includes(q.name) ? ' 🔒' : '';
+    const lines = [`${progressBar(players.length, q.capacity)} ${players.length}/${q.capacity}`];
+    if (readyChecks.has(q.key)) lines.push('⏳ Ready check in progress');
+    if (drafts.has(q.key)) lines.push('📝 Draft in progress');
+    lines.push(...players.map(player => `• ${player.username} — queued <t:${Math.floor(player.joinedAt / 1000)}:R>`));
+    embed.addFields({ name: `${q.name}${locked}`, value: lines.join('\n') });
+  }
+
+  // Two queues per row keeps every queue's buttons together
+  const buttons = guildQueues.flatMap(q => [
+    new ButtonBuilder().setCustomId(`lobby:join:${q.name}`).setLabel(`Join ${q.name}`)
+      .setStyle(ButtonStyle.Success).setDisabled(lockedQueues.includes(q.name)),
+    new ButtonBuilder().setCustomId(`lobby:leave:${q.name}`).setLabel(`Leave ${q.name}`).setStyle(ButtonStyle.Secondary)
+  ]);
+  const components = [];
+  for (let i = 0; i < buttons.length && components.length < 5; i += 4) {
+    components.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 4)));
+  }
+
+  return { embeds: [embed], components };
+}
+
+// Edits every live lobby message in the guild, forgetting ones that were deleted
+async function refreshLobbies(guildId) {
+  const { lobbyMessages } = settings.get(guildId);
+  const missing = [];
+
+  for (const [channelId, messageId] of Object.entries(lobbyMessages)) {
+    try {
+      const channel = await client.channels.fetch(channelId);
+      const message = await channel.messages.fetch(messageId);
+      await message.edit(lobbyMessage(guildId));
+    } catch (error) {
+      console.error(`Failed to update the lobby message in ${channelId}: ${error.message}`);
+      // Unknown Channel / Unknown Message: it was deleted, so stop trying
+      if ([10003, 10008].includes(error.code)) missing.push(channelId);
+    }
+  }
+
+  if (missing.length > 0) {
+    const kept = Object.fromEntries(Object.entries(settings.get(guildId).lobbyMessages)
+      .filter(([channelId]) => !missing.includes(channelId)));
+    await settings.update(guildId, { lobbyMessages: kept });
+  }
+}
+
+// Joins and leaves often come in bursts, so lobby messages are edited at most once a second
+function scheduleLobbyRefresh(guildId) {
+  if (lobbyRefreshTimers.has(guildId)) return;
+
+  lobbyRefreshTimers.set(guildId, setTimeout(() => {
+    lobbyRefreshTimers.delete(guildId);
+    refreshLobbies(guildId).catch(error => console.error(`Failed to refresh lobby messages: ${error.message}`));
+  }, 1000));
+}
+
+lobby.on('change', ({ guildId }) => scheduleLobbyRefresh(guildId));
+
+// Players can't be in two matches at once, so drop them from every queue in the guild
+async function removeFromQueues(queue, players) {
+  for (const other of queuesFor(queue.guildId).values()) {
+    for (const player of players) {
+      await lobby.remove(other.guildId, other.name, player.userId);
+      if (other.key !== queue.key) readyChecks.get(other.key)?.remove(player.userId);
+    }
+  }
+}
+
+// Starts a game server for the match, or returns null if none could be started
+async function allocateServer(match) {
+  try {
+    const server = await servers.allocate({ matchId: match.id, map: match.map, region: match.region });
+    if (server) {
+      await matches.update(match.id, { server });
+      scheduleServerTimeout(match);
+    }
+    return server;
+  } catch (error) {
+    console.error(`Failed to allocate a server for match #${match.id}: ${error.message}`);
+    return null;
+  }
+}
+
+// Stops the match's game server once it is no longer needed
+async function releaseServer(match) {
+  clearTimeout(serverTimers.get(match.id));
+  serverTimers.delete(match.id);
+  if (!match.server || match.serverReleasedAt) return;
+
+  try {
+    await servers.release(match.server);
+    await matches.update(match.id, { serverReleasedAt: Date.now() });
+  } catch (error) {
+    console.error(`Failed to release the server of match #${match.id}: ${error.message}`);
+  }
+}
+
+// Frees the server of a match nobody reports within match_server_timeout_minutes
+function scheduleServerTimeout(match) {
+  const delay = match.startedAt + serverConfig.matchTimeoutMinutes * 60 * 1000 - Date.now();
+
+  serverTimers.set(match.id, setTimeout(async () => {
+    serverTimers.delete(match.id);
+    const current = matches.get(match.id);
+    if (current.status !== 'live') return;
+
+    await releaseServer(current);
+    try {
+      const channel = await client.channels.fetch(match.channelId);
+      await channel.send(`⌛ Match #${match.id} wasn't reported within ${serverConfig.matchTimeoutMinutes} minutes; ` +
+        `its server has been released. Captains can still /report the result.`);
+    } catch (error) {
+      console.error(`Failed to announce server timeout for match #${match.id}: ${error.message}`);
+    }
+  }, Math.max(delay, 0)));
+}
+
+// Creates a voice channel for each team of a new match under the guild's
+// voice category and moves the players in; returns the channel IDs, or null
+// if the guild has no voice category or they couldn't be created
+async function openVoiceChannels(match) {
+  const { voiceCategoryId } = settings.get(match.guildId);
+  if (!voiceConfig.enabled || !voiceCategoryId) return null;
+
+  const voiceChannels = [];
+  try {
+    const guild = await client.guilds.fetch(match.guildId);
+    for (const [team, players] of match.teams.entries()) {
+      const channel = await guild.channels.create({
+        name: teamChannelName(voiceConfig, match.id, team),
+        type: ChannelType.GuildVoice,
+        parent: voiceCategoryId,
+        permissionOverwrites: teamOverwrites(guild.id, client.user.id, players)
+      });
+      voiceChannels.push(channel.id);
+    }
+  } catch (error) {
+    console.error(`Failed to create voice channels for match #${match.id}: ${error.message}`);
+  }
+
+  // Whatever was created is recorded so it gets cleaned up with the match
+  if (voiceChannels.length === 0) return null;
+  await matches.update(match.id, { voiceChannels });
+  if (voiceChannels.length < match.teams.length) return null;
+
+  await moveToTeamChannels({ ...match, voiceChannels });
+  return voiceChannels;
+}
+
+// Moves players sitting in the lobby voice channel, or in the other team's
+// channel, into their own team's channel
+async function moveToTeamChannels(match) {
+  const { lobbyVoiceChannelId } = settings.get(match.guildId);
+  if (!voiceConfig.movePlayers || !lobbyVoiceChannelId) return;
+
+  const guild = await client.guilds.fetch(match.guildId);
+  const movable = [lobbyVoiceChannelId, ...match.voiceChannels];
+  for (const [team, players] of match.teams.entries()) {
+    for (const player of players) {
+      try {
+        const member = await guild.members.fetch(player.userId);
+        const current = member.voice?.channelId;
+        if (movable.includes(current) && current !== match.voiceChannels[team]) {
+          await member.voice.setChannel(match.voiceChannels[team]);
+        }
+      } catch (error) {
+        console.error(`Failed to move ${player.username} to their team channel: ${error.message}`);
+      }
+    }
+  }
+}
+
+// Lets a match's team channels follow a substitution or swap
+async function syncVoiceChannels(match) {
+  if (!match.voiceChannels || match.voiceClosedAt) return;
+
+  try {
+    for (const [team, players] of match.teams.entries()) {
+      const channel = await client.channels.fetch(match.voiceChannels[team]);
+      await channel.permissionOverwrites.set(teamOverwrites(match.guildId, client.user.id, players));
+    }
+    await moveToTeamChannels(match);
+  } catch (error) {
+    console.error(`Failed to update the voice channels of match #${match.id}: ${error.message}`);
+  }
+}
+
+// Deletes a match's team channels once it is reported or voided, moving
+// anyone still in them back to the lobby voice channel
+async function closeVoiceChannels(match) {
+  if (!match.voiceChannels || match.voiceClosedAt) return;
+  const { lobbyVoiceChannelId } = settings.get(match.guildId);
+
+  try {
+    for (const channelId of match.voiceChannels) {
+      // Channels deleted by hand are already gone
+      const channel = await client.channels.fetch(channelId).catch(() => null);
+      if (!channel) continue;
+
+      if (voiceConfig.returnToLobby && lobbyVoiceChannelId) {
+        for (const member of channel.members.values()) {
+          await member.voice.setChannel(lobbyVoiceChannelId).catch(() => {});
+        }
+      }
+      await channel.delete(`Match #${match.id} is over`);
+    }
+    await matches.update(match.id, { voiceClosedAt: Date.now() });
+  } catch (error) {
+    console.error(`Failed to delete the voice channels of match #${match.id}: ${error.message}`);
+  }
+}
+
+// Deletes team channels left behind by matches that ended while the bot was
+// down, or whose channels were created but never recorded
+async function sweepVoiceChannels(guild) {
+  for (const match of matches.list(m => m.guildId === guild.id && m.status !== 'live' && m.voiceChannels && !m.voiceClosedAt)) {
+    await closeVoiceChannels(match);
+  }
+
+  const { voiceCategoryId } = settings.get(guild.id);
+  if (!voiceCategoryId) return;
+
+  try {
+    const channels = await guild.channels.fetch();
+    for (const channel of channels.values()) {
+      const matchId = channel?.parentId === voiceCategoryId ? matchIdFromChannel(voiceConfig, channel.name) : null;
+      if (matchId === null) continue;
+
+      const match = matches.get(matchId);
+      if (match?.status === 'live' && match.voiceChannels?.includes(channel.id)) continue;
+      await channel.delete('Left over from a match that has ended');
+    }
+  } catch (error) {
+    console.error(`Failed to sweep leftover voice channels in ${guild.name}: ${error.message}`);
+  }
+}
+
+// Tells the match where it is played, pinging players outside their regions when auto_ping is on
+function regionLine(players, region, server) {
+  const elsewhere = server?.region && server.region !== region
+    ? ` — no server was free there, playing on ${server.region}`
+    : '';
+  const outside = players.filter(player => {
+    const preference = preferences.get(player.userId).regions;
+    return preference.preferred && !acceptsRegion(preference, server?.region || region);
+  });
+  const ping = regionConfig.autoPing && outside.length > 0
+    ? `\n${outside.map(player => `<@${player.userId}>`).join(' ')} this match is outside your /region choices.`
+    : '';
+  return `🌍 Region: **${region}**${elsewhere}${ping}`;
+}
+
+// Records the match while its map is voted on, so the players aren't lost if the bot restarts mid-vote
+async function createMatch(queue, teams, captains, channelId) {
+  const players = teams.flat();
+  const { region } = pickRegion(players.map(player => preferences.get(player.userId).regions), regionConfig);
+  return matches.create({
+    guildId: queue.guildId, queue: queue.name, teams, captains: captains.map(c => c.userId), channelId, region, status: 'voting'
+  });
+}
+
+// Starts a voted match on its map and builds the announcement with each team's average rating and win probability
+async function playMatch(match, map) {
+  await matches.update(match.id, { map, status: 'live', startedAt: Date.now() });
+  const server = await allocateServer(match);
+  const voiceChannels = await openVoiceChannels(match);
+
+  const { teams, region } = match;
+  const players = teams.flat();
+  const captains = match.captains.map(userId => players.find(player => player.userId === userId));
+  const averages = teams.map(team =>
+    team.reduce((total, player) => total + ratings.get(match.guildId, player.userId), 0) / team.length);
+  const lines = teams.map((team, i) =>
+    `Team ${i + 1} (avg ${Math.round(averages[i])}): ${team.map(player => player.username).join(', ')}`);
+  const odds = winProbabilities(averages).map((p, i) => `Team ${i + 1} ${Math.round(p * 100)}%`).join(' / ');
+
+  const connect = server
+    ? `🖥️ \`connect ${server.host}:${server.port}\` — password \`${server.password}\``
+    : '⚠️ No game server is free for this match, please host one yourselves.';
+  const voice = voiceChannels
+    ? `\n🔊 Team voice: ${voiceChannels.map(id => `<#${id}>`).join(' / ')}`
+    : '';
+
+  return `${match.queue} match #${match.id} started on **${map}**!\n${lines.join('\n')}\n` +
+    `Predicted win probability: ${odds}\n${regionLine(players, region, server)}\n${connect}${voice}\n` +
+    `Captains (${captains.map(c => c.username).join(', ')}) report the result with /report.`;
+}
+
+function mapVoteMessage(vote) {
+  const counts = vote.tally();
+  const lines = vote.candidates.map(map => `${map}: ${counts[map]}`);
+
+  return {
+    content: `🗺️ **Map vote** (${vote.votes.size}/${vote.voters.size} voted, ${vote.timeoutMs / 1000}s)\n${lines.join('\n')}`,
+    components: vote.finished ? [] : [
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(`mapvote:${vote.id}`)
+          .setPlaceholder('Vote for a map')
+          .addOptions(vote.candidates.slice(0, 25).map(map => ({ label: map, value: map })))
+      )
+    ]
+  };
+}
+
+// The maps a queue's next match can be played on, leaving out its most recent ones
+function mapChoices(guildId, queueName) {
+  const recentMaps = matches.list(match => match.guildId === guildId && match.queue === queueName && match.map)
+    .slice(0, mapConfig.recentCooldown)
+    .map(match => match.map);
+  return mapCandidates(mapConfig.poolFor(queueName), recentMaps);
+}
+
+// Players vote on a map from the queue's pool, then the match is played on the winner
+async function beginMapVote(queue, teams, captains, channel) {
+  const match = await createMatch(queue, teams, captains, channel.id);
+  const vote = new MapVote({
+    id: `${queue.name}-${Date.now().toString(36)}`,
+    candidates: mapChoices(queue.guildId, queue.name),
+    voters: teams.flat().map(player => player.userId),
+    timeoutMs: mapConfig.timeoutSeconds * 1000
+  });
+  mapVotes.set(vote.id, vote);
+
+  const message = await channel.send(mapVoteMessage(vote));
+
+  vote.on('update', () => {
+    message.edit(mapVoteMessage(vote)).catch(error =>
+      console.error(`Failed to update map vote message: ${error.message}`));
+  });
+
+  vote.on('complete', async ({ map, tie }) => {
+    mapVotes.delete(vote.id);
+    try {
+      await message.edit(mapVoteMessage(vote)).catch(() => {});
+      if (tie) await channel.send(`🎲 Map vote tied, ${map} was picked at random.`);
+      await channel.send(await playMatch(match, map));
+    } catch (error) {
+      console.error(`Failed to start match #${match.id} after its map vote: ${error.stack || error.message}`);
+    }
+  });
+
+  vote.start();
+}
+
+// Matches whose map vote was cut short by a restart are played on a random map from the vote's choices
+async function resumeMapVotes() {
+  for (const match of matches.list(m => m.status === 'voting')) {
+    const choices = mapChoices(match.guildId, match.queue);
+    const map = choices[Math.floor(Math.random() * choices.length)];
+    try {
+      const announcement = await playMatch(match, map);
+      const channel = await client.channels.fetch(match.channelId);
+      await channel.send(`🎲 The bot restarted during the map vote, so ${map} was picked at random.\n${announcement}`);
+    } catch (error) {
+      console.error(`Failed to resume match #${match.id} after a restart: ${error.message}`);
+    }
+  }
+}
+
+// Balances the players into teams and moves on to the map vote
+async function startMatch(queue, players, channel) {
+  const ratingOf = player => ratings.get(queue.guildId, player.userId);
+  const { teams } = balanceTeams(players, queue.teams, ratingOf, partyGroup(queue.guildId));
+  await removeFromQueues(queue, players);
+
+  // Without a draft the highest-rated player on each team captains it
+  const captains = teams.map(team => [...team].sort((a, b) => ratingOf(b) - ratingOf(a))[0]);
+  await beginMapVote(queue, teams, captains, channel);
+}
+
+function draftMessage(draft) {
+  const teams = draft.teams.map((team, i) =>
+    `Team ${i + 1}: ${team.map(player => player.username).join(', ')}`);
+  const pool = draft.pool.map(player => `${player.username} (${draft.ratingOf(player)})`);
+  const turn = draft.finished
+    ? '🔒 Teams locked.'
+    : `👉 <@${draft.currentCaptain().userId}> to pick (${draft.timeoutMs / 1000}s).`;
+
+  return {
+    content: `🧢 **${draft.queue} captains draft**\n${teams.join('\n')}\n` +
+      `Available: ${pool.join(', ') || 'nobody'}\n${turn}`,
+    components: draft.finished ? [] : [
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(`draft:${draft.id}`)
+          .setPlaceholder('Pick a player')
+          .addOptions(draft.pool.slice(0, 25).map(player => ({
+            label: player.username,
+            description: `Rating ${draft.ratingOf(player)}`,
+            value: player.userId
+          })))
+      )
+    ]
+  };
+}
+
+// Captains pick the teams in turn; the match starts once the teams are locked
+async function beginDraft(queue, players, channel) {
+  const ratingOf = player => ratings.get(queue.guildId, player.userId);
+  const groupOf = partyGroup(queue.guildId);
+  const captains = chooseCaptains(players, queue.teams, ratingOf, Math.random, groupOf);
+  const draft = new Draft({
+    id: `${queue.name}-${Date.now().toString(36)}`,
+    queue: queue.name,
+    captains,
+    pool: players.filter(player => !captains.includes(player)),
+    pickOrder: queue.pickOrder,
+    timeoutMs: queue.pickTimeoutSeconds * 1000,
+    ratingOf,
+    groupOf
+  });
+  drafts.set(queue.key, draft);
+  scheduleLobbyRefresh(queue.guildId);
+  await removeFromQueues(queue, players);
+
+  const message = await channel.send(draftMessage(draft));
+
+  draft.on('pick', ({ captain, player, partners, reason }) => {
+    const party = partners.length > 0 ? ` (with ${partners.map(partner => partner.username).join(', ')})` : '';
+    if (reason === 'timeout') channel.send(`⏱️ ${player.username}${party} was picked for ${captain.username}.`).catch(() => {});
+    message.edit(draftMessage(draft)).catch(error =>
+      console.error(`Failed to update draft message: ${error.message}`));
+  });
+
+  draft.on('complete', async teams => {
+    drafts.delete(queue.key);
+    scheduleLobbyRefresh(queue.guildId);
+    await beginMapVote(queue, teams, draft.captains, channel);
+  });
+
+  draft.on('cancel', () => {
+    drafts.delete(queue.key);
+    scheduleLobbyRefresh(queue.guildId);
+    message.edit({ content: `🛑 The ${queue.name} captains draft was cancelled.`, components: [] }).catch(() => {});
+  });
+
+  draft.start();
+}
+
+// The guild's announce channel, or the channel the queue filled in if none is set
+async function announceChannel(queue, fallback) {
+  const { announceChannelId } = settings.get(queue.guildId);
+  if (!announceChannelId) return fallback;
+
+  try {
+    return await client.channels.fetch(announceChannelId);
+  } catch (error) {
+    console.error(`Failed to fetch announce channel ${announceChannelId}: ${error.message}`);
+    return fallback;
+  }
+}
+
+// Hands the readied-up players over to the queue's team selection mode
+async function launchMatch(queue, players, channel) {
+  const target = await announceChannel(queue, channel);
+
+  if (queue.mode === 'draft') {
+    await beginDraft(queue, players, target);
+  } else {
+    await startMatch(queue, players, target);
+  }
+}
+
+function readyCheckMessage(check) {
+  const players = check.list().map(player =>
+    `${check.ready.has(player.userId) ? '✅' : '⏳'} ${player.username}`);
+  const open = check.size - check.list().length;
+  if (open > 0) players.push(`… ${open} open slot(s)`);
+
+  return {
+    content: `🎮 **${check.queue} ready check** (${check.ready.size}/${check.size}) — ` +
+      `press Ready within ${preGame.timeoutSeconds} seconds or you'll be removed.\n${players.join('\n')}`,
+    components: check.finished ? [] : [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`ready:${check.id}`).setLabel('Ready').setStyle(ButtonStyle.Success)
+      )
+    ]
+  };
+}
+
+// With enhanced notifications a player only gets the DM tiers they chose with
+// /notifytier; critical (tier 0) DMs such as ready checks always go out
+function wantsDm(guildId, userId, trigger) {
+  if (trigger.tier === 0 || !featureFlags.isEnabled('enhanced_notifications', { guildId, userId })) return true;
+
+  const tiers = preferences.get(userId).notification_tiers;
+  return trigger.tier <= tiers.max_tier && tiers[`tier${trigger.tier}_enabled`] !== false;
+}
+
+// Pings the queue's notify role, and DMs the players who asked for it with
+// /notify, when a join takes the queue to its notify_at threshold
+async function notifyQueueFilling(queue, size, channelId, joined = 1) {
+  if (!queueNotifier.shouldPing(queue, size, Date.now(), joined)) return;
+
+  const roleId = settings.get(queue.guildId).notifyRoles[queue.name];
+  if (roleId) {
+    try {
+      const channel = await announceChannel(queue, null) || await client.channels.fetch(channelId);
+      await channel.send({
+        content: `📣 <@&${roleId}> the ${queue.name} queue is filling up (${size}/${queue.capacity}). Use /join to get in!`,
+        allowedMentions: { roles: [roleId] }
+      });
+    } catch (error) {
+      console.error(`Failed to ping the ${queue.name} notify role: ${error.message}`);
+    }
+  }
+
+  if (!queueFilling.enabled) return;
+  const content = renderTemplate(queueFilling.template, { queue: queue.name, count: size, capacity: queue.capacity });
+  const waiting = lobby.list(queue.guildId, queue.name).map(entry => entry.userId);
+  for (const userId of preferences.list(player => player.notifyQueues[queue.key]?.dm)) {
+    if (waiting.includes(userId) || !wantsDm(queue.guildId, userId, queueFilling)) continue;
+    try {
+      const user = await client.users.fetch(userId);
+      await user.send(content);
+    } catch (error) {
+      console.error(`Failed to DM the ${queue.name} queue filling notice to ${userId}: ${error.message}`);
+    }
+  }
+}
+
+// DMs the pre_game notification, with a Ready button, to each player
+async function notifyReadyCheck(check, players) {
+  if (!preGame.enabled) return;
+
+  const content = renderTemplate(preGame.template, { match_id: check.id, timeout: preGame.timeoutSeconds });
+  const components = readyCheckMessage(check).components;
+
+  for (const player of players) {
+    if (!wantsDm(player.guildId, player.userId, preGame)) continue;
+    try {
+      const user = await client.users.fetch(player.userId);
+      await user.send({ content, components });
+    } catch (error) {
+      console.error(`Failed to DM ready check to ${player.username}: ${error.message}`);
+    }
+  }
+}
+
+// Runs a ready check for the given players; the match is only created once all have confirmed
+async function beginReadyCheck(queue, players, interaction, prefix = '') {
+  const check = new ReadyCheck({
+    id: `${queue.name}-${Date.now().toString(36)}`,
+    queue: queue.name,
+    players,
+    timeoutMs: preGame.timeoutSeconds * 1000
+  });
+  readyChecks.set(queue.key, check);
+  scheduleLobbyRefresh(queue.guildId);
+
+  const initial = readyCheckMessage(check);
+  await interaction.reply({ ...initial, content: `${prefix}${initial.content}` });
+  const message = await interaction.fetchReply();
+  const channel = message.channel;
+
+  check.on('update', () => {
+    message.edit(readyCheckMessage(check)).catch(error =>
+      console.error(`Failed to update ready check message: ${error.message}`));
+  });
+
+  check.on('complete', async readyPlayers => {
+    readyChecks.delete(queue.key);
+    scheduleLobbyRefresh(queue.guildId);
+    await message.edit(readyCheckMessage(check)).catch(() => {});
+    try {
+      await launchMatch(queue, readyPlayers, channel);
+    } catch (error) {
+      console.error(`Failed to launch the ${queue.name} match: ${error.stack || error.message}`);
+    }
+  });
+
+  check.on('cancel', () => {
+    readyChecks.delete(queue.key);
+    scheduleLobbyRefresh(queue.guildId);
+    message.edit(readyCheckMessage(check)).catch(() => {});
+  });
+
+  check.on('timeout', async ({ dropped, missing }) => {
+    try {
+      let bans = '';
+      for (const player of dropped) {
+        await lobby.remove(queue.guildId, queue.name, player.userId);
+        await queueHistory.record({ guildId: queue.guildId, userId: player.userId, type: 'abandoned', queue: queue.name });
+        bans += await giveStrike(queue.guildId, player, 'ready_check_failed');
+      }
+
+      const droppedNames = dropped.map(player => player.username).join(', ');
+      const backfill = nextPlayers(queue, waitingPlayers(queue), missing);
+
+      if (backfill.length < missing) {
+        check.cancel();
+        await channel.send(`⌛ ${queue.name} ready check failed. Removed: ${droppedNames || 'nobody'}. ` +
+          `Not enough players waiting to backfill, everyone else stays queued.${bans}`);
+        return;
+      }
+
+      // Backfill before announcing it, so a failed send can't leave the check waiting on nobody
+      check.backfill(backfill);
+      await channel.send(`⌛ Removed from ${queue.name} for not readying up: ${droppedNames}. ` +
+        `Backfilling with ${backfill.map(player => player.username).join(', ')}.${bans}`);
+      await notifyReadyCheck(check, backfill);
+    } catch (error) {
+      console.error(`Failed to handle the ${queue.name} ready check timeout: ${error.stack || error.message}`);
+    }
+  });
+
+  check.start();
+  await notifyReadyCheck(check, players);
+}
+
+function describeResult(match) {
+  const { winner, score } = match.report;
+  const outcome = winner === null ? 'Draw' : `Team ${winner + 1} won`;
+  return score ? `${outcome} (${score})` : outcome;
+}
+
+function reportButtons(match, actions) {
+  const styles = { confirm: ButtonStyle.Success, dispute: ButtonStyle.Danger, resolve: ButtonStyle.Success, void: ButtonStyle.Secondary };
+  return [
+    new ActionRowBuilder().addComponents(actions.map(action =>
+      new ButtonBuilder()
+        .setCustomId(`report:${action}:${match.id}`)
+        .setLabel(action[0].toUpperCase() + action.slice(1))
+        .setStyle(styles[action])))
+  ];
+}
+
+// Applies a confirmed result to ratings and stats and returns the summary
+async function completeMatch(match) {
+  const changes = await ratings.applyResult(match.guildId, match.teams, match.report.winner);
+  await matches.update(match.id, { status: 'completed', completedAt: Date.now(), ratingChanges: changes });
+
+  const lines = match.teams.flat().map(({ userId, username }) => {
+    const { before, after } = changes[userId];
+    return `${username}: ${before} → ${after} (${after >= before ? '+' : ''}${after - before})`;
+  });
+  return `✅ Match #${match.id} confirmed: ${describeResult(match)}.\n${lines.join('\n')}`;
+}
+
+// One page of the leaderboard, with Previous/Next buttons carrying the filters in their custom IDs
+function leaderboardMessage(guildId, { page = 1, queue = null, season = null, minGames = statsConfig.minGames }) {
+  const seasonRange = statsConfig.seasons.find(s => s.name === season) || null;
+  const rows = leaderboard(matches.list(match => match.guildId === guildId), { queue, season: seasonRange, minGames });
+  const pages = Math.max(Math.ceil(rows.length / statsConfig.pageSize), 1);
+  const current = Math.min(Math.max(page, 1), pages);
+  const offset = (current - 1) * statsConfig.pageSize;
+
+  const lines = rows.slice(offset, offset + statsConfig.pageSize).map((row, i) =>
+    `**${offset + i + 1}.** ${row.username} — ${row.rating} · ${row.wins}W ${row.losses}L ${row.draws}D ` +
+    `(${Math.round(row.winRate * 100)}%)`);
+  const filters = [queue, season, `${minGames}+ games`].filter(Boolean).join(' · ');
+
+  const embed = new EmbedBuilder()
+    .setTitle('🏆 Leaderboard')
+    .setDescription(lines.join('\n') || 'Nobody has played enough matches yet.')
+    .setFooter({ text: `${filters} · page ${current}/${pages}` });
+
+  const customId = target => `leaderboard:${target}:${queue || ''}:${statsConfig.seasons.indexOf(seasonRange)}:${minGames}`;
+  const components = pages > 1 ? [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(customId(current - 1)).setLabel('Previous')
+        .setStyle(ButtonStyle.Secondary).setDisabled(current === 1),
+      new ButtonBuilder().setCustomId(customId(current + 1)).setLabel('Next')
+        .setStyle(ButtonStyle.Secondary).setDisabled(current === pages))
+  ] : [];
+
+  return { embeds: [embed], components };
+}
+
+// Turns the leaderboard to the page a Previous/Next button points at
+async function handleLeaderboardButton(interaction) {
+  const [, page, queue, seasonIndex, minGames] = interaction.customId.split(':');
+  await interaction.update(leaderboardMessage(interaction.guildId, {
+    page: Number(page),
+    queue: queue || null,
+    season: statsConfig.seasons[Number(seasonIndex)]?.name || null,
+    minGames: Number(minGames)
+  }));
+}
+
+// Shows a player joining for the first time the onboarding wizard, at most
+// once per cooldown until they finish or skip it
+async function offerOnboarding(interaction) {
+  const { user, guildId } = interaction;
+  const { onboarding } = preferences.get(user.id);
+  if (!shouldOnboard(onboarding, onboardingConfig)) return;
+  // Players who have already played aren't new, whatever their preferences say
+  if (matches.some(match => teamOf(match, user.id) !== -1)) return;
+
+  await preferences.update(user.id, { onboarding: { ...onboarding, promptedAt: Date.now() } });
+  const message = onboardingWizard(user.id, {
+    welcome: featureFlags.isEnabled('welcome_embeds', { guildId, userId: user.id })
+  });
+
+  try {
+    await sendOnboarding(interaction, message, onboardingConfig);
+  } catch (error) {
+    console.error(`Failed to send the onboarding wizard to ${user.username}: ${error.message}`);
+  }
+}
+
+// The onboarding wizard showing a player's current answers
+function onboardingWizard(userId, options) {
+  return onboardingMessage(onboardingConfig, preferences.get(userId), regionConfig.supportedRegions, options);
+}
+
+// Saves an answer from the onboarding wizard, or closes it on Done/Skip
+async function handleOnboarding(interaction) {
+  const step = interaction.customId.slice('onboarding:'.length);
+  const userId = interaction.user.id;
+  const current = preferences.get(userId);
+
+  if (step === 'done' || step === 'skip') {
+    await preferences.update(userId, { onboarding: { ...current.onboarding, completedAt: Date.now() } });
+    const answers = [
+      current.regions.preferred && `🌍 ${current.regions.preferred}`,
+      current.classes.length > 0 && `🎯 ${current.classes.join(', ')}`,
+      `🔔 DMs up to tier ${current.notification_tiers.max_tier}`
+    ].filter(Boolean).join(' · ');
+    await interaction.update({
+      content: step === 'done'
+        ? `✅ You're all set: ${answers}. Change these any time with /profile edit.`
+        : '👍 No problem — /profile edit is there if you change your mind.',
+      embeds: [],
+      components: []
+    });
+    return;
+  }
+
+  const [value] = interaction.values;
+  const changes = {
+    region: () => ({
+      regions: { preferred: value, acceptable: current.regions.acceptable.filter(region => region !== value) }
+    }),
+    classes: () => ({ classes: interaction.values }),
+    tier: () => ({ notification_tiers: { ...current.notification_tiers, max_tier: Number(value) } })
+  }[step];
+  if (!changes) return;
+
+  await preferences.update(userId, changes());
+  // Leaving the content out keeps the wizard's wording, first-time or /profile edit
+  const { content, ...message } = onboardingWizard(userId, { welcome: interaction.message.embeds.length > 0 });
+  await interaction.update(message);
+}
+
+// The sign-up message of a scheduled pickup, with Sign up/Withdraw buttons while it is open
+function scheduleMessage(event) {
+  const starts = Math.floor(event.startsAt / 1000);
+  const status = {
+    scheduled: `Starts <t:${starts}:F> (<t:${starts}:R>)`,
+    started: `Started <t:${starts}:R>`,
+    cancelled: 'Cancelled',
+    missed: 'Missed — the bot was offline when it was due to start'
+  }[event.status];
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🗓️ ${event.title}`)
+    .setDescription(event.status === 'scheduled'
+      ? `${status}\nSign-ups are moved into the **${event.queue}** queue when it starts.`
+      : status)
+    .addFields({
+      name: `Signed up (${event.signups.length}/${event.capacity})`,
+      value: event.signups.map(player => player.username).join(', ') || 'nobody yet'
+    })
+    .setFooter({ text: `Pickup #${event.id}` });
+
+  const components = event.status === 'scheduled' ? [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`schedule:signup:${event.id}`).setLabel('Sign up')
+        .setStyle(ButtonStyle.Success).setDisabled(event.signups.length >= event.capacity),
+      new ButtonBuilder().setCustomId(`schedule:withdraw:${event.id}`).setLabel('Withdraw')
+        .setStyle(ButtonStyle.Secondary))
+  ] : [];
+
+  return { embeds: [embed], components };
+}
+
+// Updates a pickup's sign-up message after it starts, is cancelled or is missed
+async function refreshScheduleMessage(event) {
+  if (!event.messageId) return;
+
+  try {
+    const channel = await client.channels.fetch(event.channelId);
+    const message = await channel.messages.fetch(event.messageId);
+    await message.edit(scheduleMessage(event));
+  } catch (error) {
+    console.error(`Failed to update the sign-up message of pickup #${event.id}: ${error.message}`);
+  }
+}
+
+async function handleScheduleButton(interaction) {
+  const [, action, eventId] = interaction.customId.split(':');
+  const event = schedules.get(eventId);
+  const { user } = interaction;
+
+  if (!event || event.status !== 'scheduled') {
+    await interaction.reply({ content: 'This pickup is no longer taking sign-ups.', ephemeral: true });
+    return;
+  }
+
+  const signedUp = event.signups.some(player => player.userId === user.id);
+  if (action === 'withdraw') {
+    if (!signedUp) {
+      await interaction.reply({ content: `You aren't signed up for ${event.title}.`, ephemeral: true });
+      return;
+    }
+    await schedules.update(event.id, { signups: event.signups.filter(player => player.userId !== user.id) });
+  } else {
+    const { ban } = standingOf(event.guildId, user.id);
+    if (signedUp) {
+      await interaction.reply({ content: `You are already signed up for ${event.title}.`, ephemeral: true });
+      return;
+    }
+    if (ban) {
+      await interaction.reply({ content: 'You can\'t sign up while you are banned from queueing. See /standing.', ephemeral: true });
+      return;
+    }
+    if (event.signups.length >= event.capacity) {
+      await interaction.reply({ content: `${event.title} is full.`, ephemeral: true });
+      return;
+    }
+    await schedules.update(event.id, { signups: [...event.signups, { userId: user.id, username: user.username }] });
+  }
+
+  await interaction.update(scheduleMessage(event));
+}
+
+// Stands in for an interaction when the bot starts something itself, such as
+// a scheduled pickup's ready check: replies are posted in the channel
+function channelInteraction(channel) {
+  let sent = null;
+  return {
+    reply: async payload => {
+      sent = await channel.send(payload);
+      return sent;
+    },
+    fetchReply: async () => sent
+  };
+}
+
+// Pings a pickup's channel and DMs its sign-ups that it starts soon
+async function remindScheduledPickup(event) {
+  const when = `<t:${Math.floor(event.startsAt / 1000)}:R>`;
+
+  if (scheduleConfig.channelReminders) {
+    try {
+      const channel = await client.channels.fetch(event.channelId);
+      const mentions = event.signups.map(player => `<@${player.userId}>`).join(' ');
+      await channel.send(`⏰ **${event.title}** starts ${when} — ${event.signups.length}/${event.capacity} signed up.` +
+        `${mentions ? `\n${mentions}` : ''}`);
+    } catch (error) {
+      console.error(`Failed to post the reminder for pickup #${event.id}: ${error.message}`);
+    }
+  }
+
+  if (!scheduleConfig.dmReminders || !scheduledPickup.enabled) return;
+  const content = renderTemplate(scheduledPickup.template, { title: event.title, queue: event.queue, when });
+  for (const player of event.signups) {
+    if (!wantsDm(event.guildId, player.userId, scheduledPickup)) continue;
+    try {
+      const user = await client.users.fetch(player.userId);
+      await user.send(content);
+    } catch (error) {
+      console.error(`Failed to DM the pickup reminder to ${player.username}: ${error.message}`);
+    }
+  }
+}
+
+// Moves a pickup's sign-ups into its queue, starting the ready check if that fills it
+async function startScheduledPickup(event) {
+  await schedules.update(event.id, { status: 'started' });
+  await refreshScheduleMessage(event);
+
+  const queue = queuesFor(event.guildId).get(event.queue);
+  try {
+    const channel = await client.channels.fetch(event.channelId);
+    if (!queue) {
+      await channel.send(`⚠️ **${event.title}** couldn't start: the ${event.queue} queue no longer exists.`);
+      return;
+    }
+
+    const moved = [];
+    const skipped = [];
+    for (const player of event.signups) {
+      if (!lobby.has(event.guildId, queue.name, player.userId)) {
+        if (inMatch(event.guildId, player.userId) || standingOf(event.guildId, player.userId).ban || waitingPlayers(queue).length >= queue.capacity) {
+          skipped.push(player.username);
+          continue;
+        }
+        await lobby.add({ guildId: event.guildId, queue: queue.name, ...player, channelId: event.channelId });
+        await queueHistory.record({ guildId: event.guildId, userId: player.userId, type: 'joined', queue: queue.name });
+      }
+      moved.push(player.username);
+    }
+
+    const summary = `🗓️ **${event.title}** is starting! Moved into the ${queue.name} queue: ${moved.join(', ') || 'nobody'}.` +
+      (skipped.length > 0 ? ` Couldn't move (banned, in a match or the queue is full): ${skipped.join(', ')}.` : '');
+    const waiting = waitingPlayers(queue);
+    const players = nextPlayers(queue, waiting, queue.autoStartAt);
+    if (queue.autoStartAt > 0 && players.length === queue.autoStartAt && !readyChecks.has(queue.key)) {
+      await beginReadyCheck(queue, players, channelInteraction(channel), `${summary}\n`);
+    } else {
+      await channel.send(`${summary}\n${waiting.length}/${queue.capacity} waiting, /join to fill it up!`);
+    }
+  } catch (error) {
+    console.error(`Failed to start pickup #${event.id}: ${error.message}`);
+  }
+}
+
+// Sends due reminders and starts pickups whose time has come; pickups the bot
+// was too late for by more than start_grace_minutes are dropped
+async function runSchedules() {
+  const now = Date.now();
+
+  for (const event of schedules.list(e => e.status === 'scheduled')) {
+    if (event.startsAt <= now - scheduleConfig.startGraceMinutes * 60 * 1000) {
+      await schedules.update(event.id, { status: 'missed' });
+      await refreshScheduleMessage(event);
+    } else if (event.startsAt <= now) {
+      await startScheduledPickup(event);
+    } else {
+      const due = dueReminders(event, scheduleConfig.remindersMinutes, now);
+      if (due.length === 0) continue;
+      await schedules.update(event.id, { remindersSent: [...event.remindersSent, ...due] });
+      await remindScheduledPickup(event);
+    }
+  }
+}
+
+// Posts the dispute for admins to resolve, in the admin queue channel or, if
+// that can't be reached, the match channel. Returns the channel ID it was
+// posted in, or null if neither worked.
+async function escalateDispute(match, disputedBy) {
+  const message = {
+    content: `⚠️ Match #${match.id} (${match.queue}) is disputed by <@${disputedBy}>.\n` +
+      `Reported by <@${match.report.reportedBy}>: ${describeResult(match)}.\n` +
+      `${match.teams.map((team, i) => `Team ${i + 1}: ${team.map(p => p.username).join(', ')}`).join('\n')}`,
+    components: reportButtons(match, ['resolve', 'void'])
+  };
+  const channelIds = [...new Set([process.env.ADMIN_QUEUE_CHANNEL_ID, match.channelId].filter(Boolean))];
+
+  for (const channelId of channelIds) {
+    try {
+      const channel = await client.channels.fetch(channelId);
+      await channel.send(message);
+      return channelId;
+    } catch (error) {
+      console.error(`Failed to post the match #${match.id} dispute in ${channelId}: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+async function handleReportButton(interaction) {
+  const [, action, matchId] = interaction.customId.split(':');
+  const match = matches.get(matchId);
+  const userId = interaction.user.id;
+
+  if (action === 'confirm' || action === 'dispute') {
+    if (!canAnswerReport(match, userId)) {
+      await interaction.reply({ content: 'Only an opposing captain can answer this report.', ephemeral: true });
+      return;
+    }
+
+    if (action === 'confirm') {
+      await interaction.update({ content: await completeMatch(match), components: [] });
+    } else {
+      await matches.update(match.id, { status: 'disputed', disputedBy: userId });
+      await interaction.update({ content: `⚠️ Match #${match.id} result disputed. An admin will review it.`, components: [] });
+      const postedIn = await escalateDispute(match, userId);
+      if (postedIn !== (process.env.ADMIN_QUEUE_CHANNEL_ID || match.channelId)) {
+        await interaction.followUp({
+          content: postedIn
+            ? 'I couldn\'t reach the admin channel, so the dispute was posted in the match channel instead.'
+            : 'I couldn\'t post the dispute for the admins; please tell one about it directly.',
+          ephemeral: true
+        });
+      }
+    }
+    return;
+  }
+
+  if (!isAdmin(interaction)) {
+    await interaction.reply({ content: 'Only admins can resolve disputed matches.', ephemeral: true });
+    return;
+  }
+
+  if (!match || match.status !== 'disputed') {
+    await interaction.reply({ content: 'This match is no longer disputed.', ephemeral: true });
+    return;
+  }
+
+  if (action === 'resolve') {
+    await interaction.update({ content: await completeMatch(match), components: [] });
+    await audit(interaction, `resolved disputed match #${match.id}: ${describeResult(match)}`);
+  } else {
+    await matches.update(match.id, { status: 'void', completedAt: Date.now() });
+    await closeVoiceChannels(match);
+    await interaction.update({ content: `🗑️ Match #${match.id} voided by ${interaction.user.username}.`, components: [] });
+    await audit(interaction, `voided disputed match #${match.id}`);
+  }
+}
+
+// Pings the guild's sub role, or the players waiting in the match's queue, for a volunteer
+async function beginSubRequest(match, player, interaction) {
+  const request = new SubRequest({
+    id: `${match.id}-${Date.now().toString(36)}`,
+    matchId: match.id,
+    player,
+    requestedBy: interaction.user.id,
+    timeoutMs: substitution.requestTimeoutSeconds * 1000
+  });
+  subRequests.set(request.id, request);
+
+  const { subRoleId } = settings.get(match.guildId);
+  const queue = queuesFor(match.guildId).get(match.queue);
+  const waiting = queue ? waitingPlayers(queue).map(entry => entry.userId) : [];
+  const ping = subRoleId ? `<@&${subRoleId}>` : waiting.map(userId => `<@${userId}>`).join(' ');
+  const team = teamOf(match, player.userId);
+  const reason = player.userId === interaction.user.id ? 'is leaving the match' : "didn't show up";
+
+  await interaction.reply({
+    content: `🔁 **Substitute needed** for ${match.queue} match #${match.id}: ${player.username} (Team ${team + 1}) ` +
+      `${reason}. First to press Volunteer within ${substitution.requestTimeoutSeconds} seconds takes their place.` +
+      (ping ? `\n${ping}` : ''),
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`sub:${request.id}`).setLabel('Volunteer').setStyle(ButtonStyle.Primary)
+      )
+    ],
+    allowedMentions: subRoleId ? { roles: [subRoleId] } : { users: waiting }
+  });
+  const message = await interaction.fetchReply();
+
+  request.on('expire', () => {
+    subRequests.delete(request.id);
+    message.edit({ content: `⌛ Nobody volunteered to replace ${player.username} in match #${match.id}.`, components: [] })
+      .catch(() => {});
+  });
+
+  request.start();
+}
+
+// Swaps the first eligible volunteer into the match in place of the missing player
+async function handleSubVolunteer(interaction) {
+  const request = subRequests.get(interaction.customId.slice('sub:'.length));
+  const match = request && matches.get(request.matchId);
+  const { user, guildId } = interaction;
+
+  if (!request || request.finished) {
+    await interaction.reply({ content: 'This substitute request is closed.', ephemeral: true });
+    return;
+  }
+
+  if (match.status !== 'live') {
+    request.cancel();
+    subRequests.delete(request.id);
+    await interaction.update({ content: `Match #${match.id} is over; no substitute is needed.`, components: [] });
+    return;
+  }
+
+  if (inMatch(guildId, user.id)) {
+    await interaction.reply({ content: 'You are already playing in a live match.', ephemeral: true });
+    return;
+  }
+
+  if ([...readyChecks.values()].some(check => check.includes(user.id))) {
+    await interaction.reply({ content: 'Finish your ready check before volunteering.', ephemeral: true });
+    return;
+  }
+
+  const { ban } = standingOf(guildId, user.id);
+  if (ban) {
+    await interaction.reply({ content: `You are banned from queueing until <t:${Math.floor(ban.until / 1000)}:t>.`, ephemeral: true });
+    return;
+  }
+
+  const volunteer = { userId: user.id, username: user.username };
+  request.accept(volunteer);
+  subRequests.delete(request.id);
+
+  const team = teamOf(match, request.player.userId);
+  await matches.update(match.id, substitute(match, request.player.userId, volunteer, { requestedBy: request.requestedBy }));
+  await syncVoiceChannels(matches.get(match.id));
+  for (const q of queuesFor(guildId).values()) await lobby.remove(guildId, q.name, user.id);
+
+  // A player who asked to be replaced themselves left the match rather than not showing up
+  const left = request.requestedBy === request.player.userId;
+  let penalty = '';
+  if (!left && substitution.noShowPenalty.enabled && substitution.noShowPenalty.ratingPoints > 0) {
+    const { userId, username } = request.player;
+    const before = ratings.get(guildId, userId);
+    await ratings.set(guildId, userId, before - substitution.noShowPenalty.ratingPoints, username);
+    penalty = ` ${username} loses ${substitution.noShowPenalty.ratingPoints} rating for not showing.`;
+  }
+  penalty += await giveStrike(guildId, request.player, left ? 'left_started_match' : 'no_show');
+
+  await interaction.update({
+    content: `🔁 ${user.username} replaces ${request.player.username} on Team ${team + 1} in match #${match.id}.${penalty}`,
+    components: []
+  });
+  await checkLateJoinSwap(matches.get(match.id), interaction.channel);
+
+  if (match.server) {
+    const { host, port, password } = match.server;
+    await user.send(`🎮 You're subbing into match #${match.id} on **${match.map}**: ` +
+      `\`connect ${host}:${port}\` — password \`${password}\``)
+      .catch(error => console.error(`Failed to DM connect details to ${user.username}: ${error.message}`));
+  }
+}
+
+// After someone joins a live match early on, evens the teams out by swapping
+// a player towards the losing team, or asks the captains to
+async function checkLateJoinSwap(match, channel) {
+  const windowEndsAt = match.startedAt + lateJoinSwap.timeWindowMinutes * 60 * 1000;
+  if (!lateJoinSwap.enabled || !featureFlags.isEnabled('late_join_swap', { guildId: match.guildId })) return;
+  if (Date.now() > windowEndsAt) return;
+
+  // Failures count towards the flag's rollback trigger
+  try {
+    await offerLateJoinSwap(match, channel, windowEndsAt);
+    featureFlags.recordOutcome('late_join_swap', true);
+  } catch (error) {
+    featureFlags.recordOutcome('late_join_swap', false);
+    console.error(`Late join swap failed for match #${match.id}: ${error.message}`);
+  }
+}
+
+async function offerLateJoinSwap(match, channel, windowEndsAt) {
+  const swap = findLateJoinSwap(match, userId => ratings.get(match.guildId, userId), lateJoinSwap.swapCriteria);
+  if (!swap) return;
+
+  const summary = `${swap.toLosing.username} (Team ${swap.from + 1}) ⇄ ${swap.toWinning.username} (Team ${swap.to + 1}) ` +
+    `narrows the rating gap from ${swap.gapBefore} to ${swap.gapAfter}`;
+
+  if (lateJoinSwap.autoExecute) {
+    await executeSwap(match, swap);
+    await channel.send(`⚖️ Teams rebalanced for match #${match.id}: ${summary}.`);
+    return;
+  }
+
+  const proposal = { id: `${match.id}-${Date.now().toString(36)}`, matchId: match.id, swap, accepted: new Set() };
+  const captains = [match.captains[swap.from], match.captains[swap.to]];
+  const message = await channel.send({
+    content: `⚖️ **Late join swap** for match #${match.id}: ${summary}. ` +
+      `${captains.map(id => `<@${id}>`).join(' and ')}, both accept to swap.`,
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`swap:accept:${proposal.id}`).setLabel('Swap').setStyle(ButtonStyle.Success),
+        new ButtonBuilder().setCustomId(`swap:reject:${proposal.id}`).setLabel('Keep teams').setStyle(ButtonStyle.Secondary)
+      )
+    ],
+    allowedMentions: { users: captains }
+  });
+  swapProposals.set(proposal.id, proposal);
+
+  // Once the late join window closes the teams stay as they are
+  setTimeout(() => {
+    if (!swapProposals.delete(proposal.id)) return;
+    message.edit({ content: `⌛ The late join swap for match #${match.id} expired; teams stay as they are.`, components: [] })
+      .catch(() => {});
+  }, windowEndsAt - Date.now());
+}
+
+// Moves the two players and lets them know
+async function executeSwap(match, swap) {
+  await matches.update(match.id, applySwap(match, swap));
+  await syncVoiceChannels(matches.get(match.id));
+
+  for (const [player, team] of [[swap.toLosing, swap.to], [swap.toWinning, swap.from]]) {
+    try {
+      const user = await client.users.fetch(player.userId);
+      await user.send(`⚖️ You've been moved to Team ${team + 1} in match #${match.id} to even out the teams.`);
+    } catch (error) {
+      console.error(`Failed to DM swap notice to ${player.username}: ${error.message}`);
+    }
+  }
+}
+
+async function handleSwapButton(interaction) {
+  const [, action, proposalId] = interaction.customId.split(':');
+  const proposal = swapProposals.get(proposalId);
+  const match = proposal && matches.get(proposal.matchId);
+  const userId = interaction.user.id;
+
+  if (!proposal) {
+    await interaction.reply({ content: 'This swap proposal is closed.', ephemeral: true });
+    return;
+  }
+
+  const { swap } = proposal;
+  const captains = [match.captains[swap.from], match.captains[swap.to]];
+  if (!captains.includes(userId)) {
+    await interaction.reply({ content: 'Only the captains of the two teams can answer this.', ephemeral: true });
+    return;
+  }
+
+  // A sub or an earlier swap may have changed the teams since the proposal
+  const stillValid = match.status === 'live' &&
+    teamOf(match, swap.toLosing.userId) === swap.from && teamOf(match, swap.toWinning.userId) === swap.to;
+
+  if (action === 'reject' || !stillValid) {
+    swapProposals.delete(proposalId);
+    const reason = stillValid ? `${interaction.user.username} kept the teams as they are` : 'the teams have changed since';
+    await interaction.update({ content: `⚖️ Late join swap for match #${match.id} cancelled: ${reason}.`, components: [] });
+    return;
+  }
+
+  proposal.accepted.add(userId);
+  if (!captains.every(id => proposal.accepted.has(id))) {
+    await interaction.reply({ content: '✅ Accepted; waiting for the other captain.', ephemeral: true });
+    return;
+  }
+
+  swapProposals.delete(proposalId);
+  await executeSwap(match, swap);
+  await interaction.update({
+    content: `⚖️ Teams rebalanced for match #${match.id}: ${swap.toLosing.username} moves to Team ${swap.to + 1}, ` +
+      `${swap.toWinning.username} to Team ${swap.from + 1}.`,
+    components: []
+  });
+}
+
+// Admins either have Manage Server or the guild's configured admin role
+function isAdmin(interaction) {
+  const { adminRoleId } = settings.get(interaction.guildId);
+  return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild) ||
+    (adminRoleId && interaction.member?.roles?.cache?.has(adminRoleId)));
+}
+
+// Where a player stands with their strikes and any queue ban
+function standingOf(guildId, userId) {
+  return standing(strikes.get(guildId, userId), penaltyRules);
+}
+
+// Gives a player a strike and returns a note for the channel if it got them
+// banned, in which case they are also taken out of the guild's queues
+async function giveStrike(guildId, player, reason, { weight, by } = {}) {
+  const { record, ban } = addStrike(strikes.get(guildId, player.userId), { reason, weight, by }, penaltyRules);
+  await strikes.set(guildId, player.userId, record);
+  if (!ban) return '';
+
+  for (const q of queuesFor(guildId).values()) await lobby.remove(guildId, q.name, player.userId);
+  console.log(`${player.username} (${player.userId}) banned from queueing in ${guildId} for ${ban.minutes} minutes (${REASONS[reason]}).`);
+  return `\n⛔ ${player.username} is banned from queueing for ${formatDuration(ban.minutes)} ` +
+    `(${standingOf(guildId, player.userId).strikes} strikes).`;
+}
+
+// Writes an admin action, who took it and when, to the guild's audit channel
+async function audit(interaction, action) {
+  const { user, guildId } = interaction;
+  console.log(`[audit] ${guildId} ${user.username} (${user.id}) ${action}`);
+
+  const { auditChannelId } = settings.get(guildId);
+  if (!auditChannelId) return;
+
+  try {
+    const channel = await client.channels.fetch(auditChannelId);
+    await channel.send({
+      content: `🛡️ <t:${Math.floor(Date.now() / 1000)}:f> <@${user.id}> ${action}`,
+      allowedMentions: { parse: [] }
+    });
+  } catch (error) {
+    console.error(`Failed to write to audit channel ${auditChannelId}: ${error.message}`);
+  }
+}
+
+// Confirms a player in the given ready check (or every check they are part of) and returns the reply
+function confirmReady(userId, checkId) {
+  const confirmed = [...readyChecks.values()]
+    .filter(check => !checkId || check.id === checkId)
+    .filter(check => check.confirm(userId))
+    .map(check => check.queue);
+
+  if (confirmed.length === 0) {
+    return 'You are not part of an active ready check.';
+  }
+
+  return `✅ You are ready for ${confirmed.join(', ')}.`;
+}
+
+keepAlive.on('prompt', async ({ userId, entries, timeoutMs, urgent }) => {
+  if (!wantsDm(entries[0].guildId, userId, matchQueue)) return;
+
+  const content = renderTemplate(matchQueue.template, {
+    match_name: entries.map(entry => entry.queue).join(', '),
+    timeout: Math.round(timeoutMs / 1000)
+  });
+
+  try {
+    const user = await client.users.fetch(userId);
+    await user.send({
+      content: urgent ? `⚠️ Your queue is almost full!\n${content}` : content,
+      components: [
+        new ActionRowBuilder().addComponents(
+          new ButtonBuilder().setCustomId('keepalive').setLabel('Still here').setStyle(ButtonStyle.Primary)
+        )
+      ]
+    });
+  } catch (error) {
+    console.error(`Failed to DM keep-alive to ${entries[0].username}: ${error.message}`);
+  }
+});
+
+keepAlive.on('confirm', async ({ userId, auto }) => {
+  const touched = await lobby.touch(userId);
+  if (auto && touched.length > 0) console.log(`Keep-alive auto-confirmed for ${touched[0].username}.`);
+});
+
+// Drops players who didn't answer the keep-alive and tells each queue channel
+keepAlive.on('expire', async ({ userId, entries }) => {
+  const byChannel = new Map();
+  for (const entry of entries) {
+    if (!await lobby.remove(entry.guildId, entry.queue, userId)) continue;
+    await queueHistory.record({ guildId: entry.guildId, userId, type: 'abandoned', queue: entry.queue });
+    byChannel.set(entry.channelId, [...(byChannel.get(entry.channelId) || []), entry]);
+  }
+
+  for (const [channelId, removed] of byChannel) {
+    try {
+      const channel = await client.channels.fetch(channelId);
+      await channel.send(`💤 ${removed[0].username} was removed from ${removed.map(entry => entry.queue).join(', ')} ` +
+        `for not answering the keep-alive.`);
+    } catch (error) {
+      console.error(`Failed to announce keep-alive expiry in ${channelId}: ${error.message}`);
+    }
+  }
+});
+
+// Answers a pending keep-alive and returns the reply, or null if there was none
+function confirmKeepAlive(userId) {
+  return keepAlive.confirm(userId) ? '✅ Thanks, you stay in the queue.' : null;
+}
+
+// Maps text command arguments onto the slash command's options
+function textCommandOptions(commandName, args) {
+  if (commandName === 'report') {
+    return { winner: Number(args[0]), score: args[1], match: args[2] ? Number(args[2]) : undefined };
+  }
+
+  // e.g. `!notify`, `!notify off 2v2`, `!notify on 4v4 dm`
+  if (commandName === 'notify') {
+    return {
+      subcommand: args.includes('off') ? 'off' : 'on',
+      queue: args.find(arg => queues.has(arg)),
+      dm: args.includes('dm')
+    };
+  }
+
+  return queues.has(args[0]) ? { queue: args[0] } : {};
+}
+
+// Wraps a lobby button press so the /join and /leave handlers can run it as that command
+function buttonCommand(interaction, commandName, options) {
+  const get = name => (options[name] === undefined ? null : options[name]);
+  return Object.assign(Object.create(interaction), {
+    commandName,
+    options: { getString: get, getInteger: get, getBoolean: get, getUser: get },
+    isChatInputCommand: () => true,
+    isButton: () => false
+  });
+}
+
+async function handleMessage(message) {
+  if (message.author.bot || !storesLoaded) return;
+  keepAlive.markActive(message.author.id);
+
+  if (!message.guild) {
+    if (message.content.trim().toLowerCase() === '!ready') {
+      // The same `!ready` answers both the queue keep-alive and a ready check
+      const kept = confirmKeepAlive(message.author.id);
+      const inCheck = [...readyChecks.values()].some(check => check.includes(message.author.id));
+      await message.reply(kept && !inCheck ? kept : confirmReady(message.author.id));
+    }
+    return;
+  }
+
+  const resolved = aliases.resolve(message.content);
+  if (!resolved) return;
+
+  // QWTF aliases such as `++` are part of the qwtf_parity rollout; native `!commands` always work
+  if (resolved.alias && !featureFlags.isEnabled('qwtf_parity', { guildId: message.guildId, userId: message.author.id })) return;
+
+  if (!commandRegistry.get(resolved.canonical)?.text) {
+    await message.reply(`\`${resolved.alias}\` (${resolved.canonical}) isn't supported by this bot yet.`);
+    return;
+  }
+
+  if (resolved.canonical === 'report' && !Number.isInteger(Number(resolved.args[0]))) {
+    await message.reply('Usage: !report <winning team number, 0 for a draw> [score] [match ID]');
+    return;
+  }
+
+  await commandRegistry.execute(new MessageInteraction(message, resolved.canonical,
+    textCommandOptions(resolved.canonical, resolved.args)), bot);
+}
+
+client.on('messageCreate', message => {
+  handleMessage(message).catch(error => console.error(`Failed to handle a message: ${error.stack || error.message}`));
 });
 
-let lobby = [];
+async function handleInteraction(interaction) {
+  if (!storesLoaded) {
+    await interaction.reply({ content: '⏳ The bot is starting up, please try again in a moment.', ephemeral: true });
+    return;
+  }
 
-client.on('interactionCreate', async interaction => {
-  if (!interaction.isChatInputCommand()) return;
+  keepAlive.markActive(interaction.user.id);
 
-  const { commandName, user } = interaction;
+  if (interaction.isButton() && interaction.customId === 'keepalive') {
+    const content = confirmKeepAlive(interaction.user.id) || 'You have no pending keep-alive.';
+    await interaction.update({ content, components: [] });
+    return;
+  }
 
-  if (commandName === 'join') {
-    if (!lobby.includes(user.username)) lobby.push(user.username);
-    await interaction.reply(`${user.username} joined the lobby.`);
+  if (interaction.isButton() && interaction.customId.startsWith('ready:')) {
+    const checkId = interaction.customId.slice('ready:'.length);
+    await interaction.reply({ content: confirmReady(interaction.user.id, checkId), ephemeral: true });
+    return;
   }
 
-  if (commandName === 'leave') {
-    lobby = lobby.filter(name => name !== user.username);
-    await interaction.reply(`${user.username} left the lobby.`);
+  if (interaction.isButton() && interaction.customId.startsWith('lobby:')) {
+    const [, commandName, queueName] = interaction.customId.split(':');
+    await commandRegistry.execute(buttonCommand(interaction, commandName, { queue: queueName }), bot);
+    return;
   }
 
-  if (commandName === 'status') {
-    await interaction.reply(`Current lobby: ${lobby.join(', ') || 'empty'}`);
+  if (interaction.isButton() && interaction.customId.startsWith('sub:')) {
+    await handleSubVolunteer(interaction);
+    return;
   }
 
-  if (commandName === 'start') {
-    if (lobby.length < 2) {
-      await interaction.reply('Need at least 2 players to start.');
+  if (interaction.isButton() && interaction.customId.startsWith('swap:')) {
+    await handleSwapButton(interaction);
+    return;
+  }
+
+  if (interaction.isButton() && interaction.customId.startsWith('leaderboard:')) {
+    await handleLeaderboardButton(interaction);
+    return;
+  }
+
+  if (interaction.isButton() && interaction.customId.startsWith('schedule:')) {
+    await handleScheduleButton(interaction);
+    return;
+  }
+
+  if (interaction.isButton() && interaction.customId.startsWith('report:')) {
+    await handleReportButton(interaction);
+    return;
+  }
+
+  if ((interaction.isStringSelectMenu() || interaction.isButton()) && interaction.customId.startsWith('onboarding:')) {
+    await handleOnboarding(interaction);
+    return;
+  }
+
+  if (interaction.isStringSelectMenu() && interaction.customId.startsWith('draft:')) {
+    const draftId = interaction.customId.slice('draft:'.length);
+    const draft = [...drafts.values()].find(d => d.id === draftId);
+    if (draft && draft.pick(interaction.user.id, interaction.values[0])) {
+      await interaction.deferUpdate();
     } else {
-      const teams = [[], []];
-      lobby.forEach((player, i) => teams[i % 2].push(player));
-      await interaction.reply(`Match started!\nTeam 1: ${teams[0].join(', ')}\nTeam 2: ${teams[1].join(', ')}`);
-      lobby = [];
+      await interaction.reply({ content: 'Only the captain whose turn it is can pick.', ephemeral: true });
     }
+    return;
   }
+
+  if (interaction.isStringSelectMenu() && interaction.customId.startsWith('mapvote:')) {
+    const vote = mapVotes.get(interaction.customId.slice('mapvote:'.length));
+    const map = interaction.values[0];
+    if (vote && vote.vote(interaction.user.id, map)) {
+      await interaction.reply({ content: `🗺️ You voted for ${map}.`, ephemeral: true });
+    } else {
+      await interaction.reply({ content: 'Only players in this match can vote while the vote is open.', ephemeral: true });
+    }
+    return;
+  }
+
+  if (interaction.isChatInputCommand()) {
+    await commandRegistry.execute(interaction, bot);
+  }
+}
+
+// A failed Discord call in a button or menu handler must not take the bot down
+client.on('interactionCreate', interaction => {
+  handleInteraction(interaction).catch(async error => {
+    console.error(`Failed to handle interaction ${interaction.customId || interaction.commandName}: ${error.stack || error.message}`);
+    await CommandRegistry.replyWithError(interaction);
+  });
 });
 
+// Queues a player, or a party's players together, and starts the ready check
+// once the queue reaches its auto-start size
+async function addToQueue(queue, players, interaction, verb) {
+  const joining = [].concat(players);
+  const count = waitingPlayers(queue).length;
+  if (count + joining.length > queue.capacity) {
+    const room = joining.length > 1 ? ` and has no room for a party of ${joining.length}` : '';
+    await interaction.reply({ content: `The ${queue.name} queue is full (${count}/${queue.capacity})${room}.`, ephemeral: true });
+    return false;
+  }
+
+  for (const player of joining) {
+    await lobby.add({ guildId: queue.guildId, queue: queue.name, ...player });
+    await queueHistory.record({ guildId: queue.guildId, userId: player.userId, type: 'joined', queue: queue.name });
+  }
+  const size = count + joining.length;
+  const names = joining.map(player => player.username).join(', ');
+  const message = `${names} ${verb} the ${queue.name} queue${joining.length > 1 ? ' as a party' : ''} (${size}/${queue.capacity}).`;
+  const ready = nextPlayers(queue, waitingPlayers(queue), queue.autoStartAt);
+  if (queue.autoStartAt > 0 && ready.length === queue.autoStartAt && !readyChecks.has(queue.key)) {
+    await beginReadyCheck(queue, ready, interaction, `${message}\n`);
+  } else {
+    await interaction.reply(message);
+    await notifyQueueFilling(queue, size, joining[0].channelId, joining.length);
+  }
+  return true;
+}
+
+// What command modules get as their context
+const bot = {
+  client,
+  queues,
+  dmConfig,
+  settings,
+  lobby,
+  matches,
+  preferences,
+  featureFlags,
+  aliases,
+  substitution,
+  readyChecks,
+  drafts,
+  subRequests,
+  parties,
+  queuesFor,
+  // The queue named by the interaction's `queue` option, or the default queue
+  queueOption: interaction => queuesFor(interaction.guildId).get(interaction.options.getString('queue') || defaultQueue),
+  waitingPlayers,
+  nextPlayers,
+  inMatch,
+  addToQueue,
+  beginReadyCheck,
+  launchMatch,
+  beginSubRequest,
+  releaseServer,
+  closeVoiceChannels,
+  describeResult,
+  reportButtons,
+  lobbyMessage,
+  leaderboardMessage,
+  schedules,
+  scheduleConfig,
+  scheduleMessage,
+  refreshScheduleMessage,
+  penaltyRules,
+  strikes,
+  standingOf,
+  giveStrike,
+  offerOnboarding,
+  onboardingWizard,
+  scheduleLobbyRefresh,
+  isAdmin,
+  audit
+};
+
 client.login(process.env.DISCORD_TOKEN);
@@ -0,0 +1,74 @@
+/**
+ * Command Alias Tests
+ *
+ * Verifies QWTF alias resolution, merge settings and usage counting.
+ */
+
+const path = require('path');
+const { AliasResolver, loadAliasConfig } = require('../utils/command_aliases');
+const { MemoryGuildSettingsStore } = require('../utils/guild_settings_store');
+const settingsCommand = require('../commands/settings');
+
+const native = ['join', 'leave', 'status', 'start'];
+
+describe('AliasResolver', () => {
+  it('should resolve the aliases in qwtf_parity.yaml', () => {
+    const resolver = new AliasResolver(loadAliasConfig(path.join(__dirname, '../config/qwtf_parity.yaml')), native);
+
+    expect(resolver.resolve('++')).toMatchObject({ canonical: 'join', alias: '++' });
+    expect(resolver.resolve('--')).toMatchObject({ canonical: 'leave', alias: '--' });
+    expect(resolver.resolve('!add duel')).toEqual({ canonical: 'join', alias: '!add', args: ['duel'] });
+    expect(resolver.resolve('!JOIN')).toMatchObject({ canonical: 'join', alias: null });
+    expect(resolver.resolve('hello there')).toBeNull();
+  });
+
+  it('should count alias usage', () => {
+    const resolver = new AliasResolver({ commandAliases: { '++': 'join', '!tpg': 'join' } }, native);
+    resolver.resolve('++');
+    resolver.resolve('++');
+    resolver.resolve('!tpg');
+    resolver.resolve('!join');
+
+    expect(resolver.usageByAlias()).toEqual({ '++': 2, '!tpg': 1 });
+  });
+
+  it('should let special syntax override command aliases with qwtf_priority', () => {
+    const options = {
+      commandAliases: { '++': 'start' },
+      specialSyntax: { '++': { canonical: 'join' } }
+    };
+
+    expect(new AliasResolver({ ...options, mergeStrategy: 'qwtf_priority' }).resolve('++').canonical).toBe('join');
+    expect(new AliasResolver({ ...options, mergeStrategy: 'manifest_priority' }).resolve('++').canonical).toBe('start');
+  });
+
+  it('should apply conflict_resolution when an alias shadows a native command', () => {
+    const options = { commandAliases: { '!start': 'status' } };
+
+    expect(new AliasResolver({ ...options, conflictResolution: 'alias_wins' }, native).resolve('!start').canonical).toBe('status');
+    expect(new AliasResolver({ ...options, conflictResolution: 'command_wins' }, native).resolve('!start').canonical).toBe('start');
+    expect(() => new AliasResolver({ ...options, conflictResolution: 'error' }, native)).toThrow('conflicts');
+  });
+
+  it('should show alias usage to admins in /settings show', async () => {
+    const aliases = new AliasResolver({ commandAliases: { '++': 'join' } }, native);
+    aliases.resolve('++');
+    const replies = [];
+    const interaction = {
+      guildId: 'g1',
+      memberPermissions: { has: () => true },
+      options: { getSubcommand: () => 'show' },
+      reply: async payload => replies.push(payload)
+    };
+    const bot = {
+      settings: new MemoryGuildSettingsStore(),
+      queuesFor: () => new Map([['4v4', { name: '4v4', capacity: 8 }]]),
+      aliases
+    };
+
+    await settingsCommand.execute(interaction, bot);
+
+    expect(replies[0].ephemeral).toBe(true);
+    expect(replies[0].content).toContain('Alias usage since restart (all servers): `++` ×1');
+  });
+});
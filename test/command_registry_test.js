@@ -0,0 +1,122 @@
+/**
+ * Command Registry Tests
+ *
+ * Verifies loading command modules, runtime registration of YAML-defined
+ * commands, admin gating and syncing to Discord.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommandRegistry = require('../utils/command_registry');
+
+function fakeInteraction(commandName) {
+  const replies = [];
+  return { commandName, replies, reply: async payload => replies.push(payload) };
+}
+
+describe('CommandRegistry', () => {
+  it('should load every command module in a directory', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'commands-'));
+    fs.writeFileSync(path.join(directory, 'ping.js'),
+      "module.exports = { data: { name: 'ping', description: 'Ping' }, text: true, execute: async () => {} };");
+    fs.writeFileSync(path.join(directory, 'lock.js'), `module.exports = [
+      { data: { name: 'lock', description: 'Lock' }, admin: true, execute: async () => {} },
+      { data: { toJSON: () => ({ name: 'unlock', description: 'Unlock' }) }, admin: true, execute: async () => {} }
+    ];`);
+    fs.writeFileSync(path.join(directory, 'README.md'), 'not a command');
+
+    const registry = new CommandRegistry();
+    expect(registry.loadDirectory(directory)).toEqual(['lock', 'unlock', 'ping']);
+    expect(registry.get('ping')).toMatchObject({ text: true, admin: false });
+    expect(registry.get('unlock')).toMatchObject({ admin: true, json: { name: 'unlock', description: 'Unlock' } });
+
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should register YAML definitions with named handlers and unregister them', async () => {
+    const calls = [];
+    const registry = new CommandRegistry({
+      handlers: { handleNotifyTierCommand: async (interaction, context) => calls.push([interaction.commandName, context]) }
+    });
+    const changes = [];
+    registry.on('change', change => changes.push(change));
+
+    registry.registerCommand({
+      name: 'notifytier',
+      description: 'Set your notification tier preferences',
+      options: [{ name: 'max_tier', description: 'Maximum tier', type: 'integer', required: true, min_value: 0, max_value: 2 }],
+      permissions: 'everyone',
+      handler: 'handleNotifyTierCommand'
+    });
+
+    expect(registry.toJSON()).toEqual([{
+      name: 'notifytier',
+      description: 'Set your notification tier preferences',
+      options: [{ type: 4, name: 'max_tier', description: 'Maximum tier', required: true, min_value: 0, max_value: 2 }]
+    }]);
+
+    await registry.execute(fakeInteraction('notifytier'), { bot: true });
+    expect(calls).toEqual([['notifytier', { bot: true }]]);
+
+    expect(registry.unregisterCommand('notifytier')).toBe(true);
+    expect(registry.unregisterCommand('notifytier')).toBe(false);
+    expect(changes).toEqual([{ registered: 'notifytier' }, { unregistered: 'notifytier' }]);
+  });
+
+  it('should refuse definitions whose handler does not exist', () => {
+    const registry = new CommandRegistry();
+    expect(() => registry.registerCommand({ name: 'notifystatus', handler: 'handleNotifyStatusCommand' }))
+      .toThrow('Unknown handler for /notifystatus: handleNotifyStatusCommand');
+  });
+
+  it('should only let admins run admin commands', async () => {
+    const registry = new CommandRegistry();
+    let ran = 0;
+    registry.registerCommand({ data: { name: 'reset', description: 'Reset' }, admin: true, execute: async () => { ran++; } });
+
+    const denied = fakeInteraction('reset');
+    await registry.execute(denied, { isAdmin: () => false });
+    await registry.execute(fakeInteraction('reset'), { isAdmin: () => true });
+    const unknown = fakeInteraction('gone');
+    await registry.execute(unknown, {});
+
+    expect(ran).toBe(1);
+    expect(denied.replies[0]).toEqual({ content: 'Only admins can use this command.', ephemeral: true });
+    expect(unknown.replies[0].content).toBe('That command is no longer available.');
+  });
+
+  it('should tell the user when a command fails instead of rejecting', async () => {
+    const registry = new CommandRegistry();
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    registry.registerCommand({ data: { name: 'join', description: 'Join' }, execute: async () => { throw new Error('Missing Access'); } });
+    registry.registerCommand({
+      data: { name: 'leave', description: 'Leave' },
+      execute: async interaction => {
+        await interaction.reply('Left.');
+        interaction.replied = true;
+        throw new Error('Unknown Channel');
+      }
+    });
+
+    const failed = fakeInteraction('join');
+    await expect(registry.execute(failed, {})).resolves.toBeUndefined();
+    const answered = { ...fakeInteraction('leave'), followUps: [] };
+    answered.followUp = async payload => answered.followUps.push(payload);
+    await registry.execute(answered, {});
+
+    expect(failed.replies).toEqual([{ content: 'Something went wrong, please try again.', ephemeral: true }]);
+    expect(answered.followUps).toEqual([{ content: 'Something went wrong, please try again.', ephemeral: true }]);
+    error.mockRestore();
+  });
+
+  it('should sync the registered commands to a guild', async () => {
+    const puts = [];
+    const registry = new CommandRegistry({ rest: { put: async (route, options) => puts.push([route, options]) } });
+    registry.registerCommand({ data: { name: 'status', description: 'Status' }, execute: async () => {} });
+
+    await registry.sync('app1', 'g1');
+
+    expect(puts).toEqual([['/applications/app1/guilds/g1/commands', { body: [{ name: 'status', description: 'Status' }] }]]);
+  });
+});
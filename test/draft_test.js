@@ -0,0 +1,102 @@
+/**
+ * Captain Draft Tests
+ *
+ * Verifies captain selection, pick order and pick timeouts.
+ */
+
+const { Draft, chooseCaptains, parsePickOrder } = require('../utils/draft');
+
+const player = (userId, rating, captain = false) => ({ userId, username: userId, rating, captain });
+const ratingOf = p => p.rating;
+
+describe('Captain Draft', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should prefer the highest-rated volunteers as captains', () => {
+    const players = [player('a', 1000, true), player('b', 1400), player('c', 1200, true), player('d', 1100, true)];
+
+    expect(chooseCaptains(players, 2, ratingOf).map(p => p.userId)).toEqual(['c', 'd']);
+  });
+
+  it('should fill missing captains with random players', () => {
+    const players = [player('a', 1000, true), player('b', 1400), player('c', 1200)];
+
+    expect(chooseCaptains(players, 2, ratingOf, () => 0.99).map(p => p.userId)).toEqual(['a', 'c']);
+  });
+
+  it('should not make two members of one party captains', () => {
+    const players = [player('a', 1400, true), player('b', 1300, true), player('c', 1000, true)];
+    const groupOf = p => ({ a: 1, b: 1 })[p.userId];
+
+    expect(chooseCaptains(players, 2, ratingOf, Math.random, groupOf).map(p => p.userId)).toEqual(['a', 'c']);
+  });
+
+  it('should keep parties together when picking', () => {
+    const captains = [player('c1', 1000), player('c2', 1000)];
+    const pool = [player('p1', 1000), player('p2', 1000), player('p3', 1000), player('p4', 1000), player('p5', 1000), player('p6', 1000)];
+    const groupOf = p => ({ c1: 1, p1: 1, p2: 2, p3: 2, p4: 2 })[p.userId];
+    const draft = new Draft({ id: 'd', queue: 'captains', captains, pool, pickOrder: '1-2', timeoutMs: 1000, ratingOf, groupOf });
+    draft.start();
+
+    // c1's party mate joins them up front, and p2's trio can't fit with three players already
+    expect(draft.teams[0].map(p => p.userId)).toEqual(['c1', 'p1']);
+    expect(draft.pick('c1', 'p2')).toBe(false);
+    expect(draft.pick('c1', 'p5')).toBe(true);
+    expect(draft.pick('c2', 'p3')).toBe(true);
+
+    // c2's team is full, so the last player goes to c1
+    expect(draft.finished).toBe(true);
+    expect(draft.teams.map(team => team.map(p => p.userId))).toEqual([
+      ['c1', 'p1', 'p5', 'p6'],
+      ['c2', 'p3', 'p2', 'p4']
+    ]);
+  });
+
+  it('should reject pick orders that reference missing captains', () => {
+    expect(parsePickOrder('1-2-2-1', 2)).toEqual([0, 1, 1, 0]);
+    expect(() => parsePickOrder('1-3', 2)).toThrow('Invalid pick order');
+  });
+
+  it('should follow the pick order and only accept the current captain', () => {
+    const captains = [player('c1', 1000), player('c2', 1000)];
+    const pool = ['p1', 'p2', 'p3', 'p4', 'p5', 'p6'].map(id => player(id, 1000));
+    const draft = new Draft({ id: 'd', queue: 'captains', captains, pool, pickOrder: '1-2-2-1', timeoutMs: 1000, ratingOf });
+    const onComplete = jest.fn();
+    draft.on('complete', onComplete);
+    draft.start();
+
+    expect(draft.pick('c2', 'p1')).toBe(false);
+    expect(draft.pick('c1', 'p1')).toBe(true);
+    expect(draft.pick('c2', 'p2')).toBe(true);
+    expect(draft.pick('c2', 'p3')).toBe(true);
+    expect(draft.pick('c1', 'p4')).toBe(true);
+    expect(draft.pick('c1', 'p5')).toBe(true);
+
+    // The last player goes to captain 2 without a pick
+    expect(onComplete).toHaveBeenCalled();
+    expect(draft.teams.map(team => team.map(p => p.userId))).toEqual([
+      ['c1', 'p1', 'p4', 'p5'],
+      ['c2', 'p2', 'p3', 'p6']
+    ]);
+  });
+
+  it('should auto-pick the highest-rated player when a captain times out', () => {
+    const captains = [player('c1', 1000), player('c2', 1000)];
+    const pool = [player('p1', 900), player('p2', 1300), player('p3', 1100)];
+    const draft = new Draft({ id: 'd', queue: 'captains', captains, pool, pickOrder: '1-2', timeoutMs: 1000, ratingOf });
+    const onPick = jest.fn();
+    draft.on('pick', onPick);
+    draft.start();
+
+    jest.advanceTimersByTime(1000);
+
+    expect(onPick).toHaveBeenCalledWith(expect.objectContaining({ player: pool[1], team: 0, reason: 'timeout' }));
+    draft.cancel();
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Feature Flags Tests
+ *
+ * Verifies deterministic percentage rollouts, guild overrides, rollbacks and
+ * loading flags from config.
+ */
+
+const { FeatureFlags, loadFeatureFlags, parseRollbackTriggers, rolloutBucket } = require('../utils/feature_flags');
+
+describe('FeatureFlags', () => {
+  it('should give the same ID the same answer every time', () => {
+    const flags = new FeatureFlags({ late_join_swap: { enabled: true, rolloutPercentage: 50 } });
+    const answers = ['g1', 'g2', 'g3'].map(id => flags.isEnabled('late_join_swap', id));
+
+    expect(['g1', 'g2', 'g3'].map(id => flags.isEnabled('late_join_swap', id))).toEqual(answers);
+    expect(flags.isEnabled('late_join_swap', 'g1')).toBe(rolloutBucket('late_join_swap', 'g1') < 50);
+  });
+
+  it('should roll out to roughly the configured share of IDs', () => {
+    const flags = new FeatureFlags({ half: { enabled: true, rolloutPercentage: 50 } });
+    const enabled = Array.from({ length: 1000 }, (_, i) => flags.isEnabled('half', `guild-${i}`)).filter(Boolean);
+
+    expect(enabled.length).toBeGreaterThan(400);
+    expect(enabled.length).toBeLessThan(600);
+  });
+
+  it('should treat disabled and unknown flags as off', () => {
+    const flags = new FeatureFlags({ off: { enabled: false, rolloutPercentage: 100 } });
+
+    expect(flags.isEnabled('off', 'g1')).toBe(false);
+    expect(flags.isEnabled('missing', 'g1')).toBe(false);
+  });
+
+  it('should load the flags from the QWTF parity config, skipping non-flag entries', () => {
+    const flags = loadFeatureFlags();
+
+    expect(flags.flags.get('late_join_swap')).toEqual({
+      enabled: true,
+      rolloutPercentage: 50,
+      description: 'Automatic late join team swap detection'
+    });
+    expect(flags.flags.has('staging')).toBe(false);
+    expect(flags.isEnabled('qwtf_parity', 'any-guild')).toBe(true);
+  });
+
+  it('should bucket the user when both a guild and a user are given', () => {
+    const flags = new FeatureFlags({ half: { enabled: true, rolloutPercentage: 50 } });
+    const users = Array.from({ length: 20 }, (_, i) => `user-${i}`);
+
+    for (const userId of users) {
+      expect(flags.isEnabled('half', { guildId: 'g1', userId })).toBe(rolloutBucket('half', userId) < 50);
+    }
+    expect(new FeatureFlags({ half: { enabled: true, rolloutPercentage: 50 } }).isEnabled('half')).toBe(false);
+    expect(new FeatureFlags({ full: { enabled: true, rolloutPercentage: 100 } }).isEnabled('full')).toBe(true);
+  });
+
+  it('should let a guild override the rollout either way', () => {
+    const overrides = { g1: { none: true }, g2: { all: false } };
+    const flags = new FeatureFlags({
+      none: { enabled: false, rolloutPercentage: 0 },
+      all: { enabled: true, rolloutPercentage: 100 }
+    }, { overrides: guildId => overrides[guildId] });
+
+    expect(flags.isEnabled('none', { guildId: 'g1', userId: 'u1' })).toBe(true);
+    expect(flags.isEnabled('none', 'g2')).toBe(false);
+    expect(flags.isEnabled('all', 'g2')).toBe(false);
+    expect(flags.describe('g2').find(flag => flag.name === 'all')).toMatchObject({ override: false, on: false });
+  });
+
+  it('should roll a flag back once its error rate passes the threshold', () => {
+    const flags = new FeatureFlags({ risky: { enabled: true, rolloutPercentage: 100 } },
+      { overrides: () => ({ risky: true }), rollbackTriggers: parseRollbackTriggers(['error_rate_threshold: 5%', 'user_complaints: 3']) });
+    const rollback = jest.fn();
+    flags.on('rollback', rollback);
+
+    for (let i = 0; i < 19; i++) flags.recordOutcome('risky', i !== 0);
+    expect(flags.isEnabled('risky', 'g1')).toBe(true);
+
+    flags.recordOutcome('risky', false);
+    expect(rollback).toHaveBeenCalledWith({ name: 'risky', reason: 'error rate 10% over 5%' });
+    expect(flags.isEnabled('risky', 'g1')).toBe(false);
+
+    expect(flags.restore('risky')).toBe(true);
+    expect(flags.isEnabled('risky', 'g1')).toBe(true);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Guild Settings Store Tests
+ *
+ * Verifies per-guild settings defaults, updates and persistence.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileGuildSettingsStore, MemoryGuildSettingsStore } = require('../utils/guild_settings_store');
+const { resizeQueue } = require('../utils/queue_config');
+
+describe('Guild Settings Store', () => {
+  it('should return defaults for guilds without settings', () => {
+    expect(new MemoryGuildSettingsStore().get('g1')).toEqual({
+      queueSizes: {},
+      announceChannelId: null,
+      adminRoleId: null,
+      auditChannelId: null,
+      lockedQueues: [],
+      lobbyMessages: {},
+      subRoleId: null,
+      flagOverrides: {},
+      voiceCategoryId: null,
+      lobbyVoiceChannelId: null,
+      notifyRoles: {}
+    });
+  });
+
+  it('should keep settings separate per guild and survive a restart', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guild-settings-'));
+    const filePath = path.join(tempDir, 'guild_settings.json');
+
+    try {
+      const store = new FileGuildSettingsStore({ filePath });
+      await store.load();
+      await store.update('g1', { queueSizes: { '4v4': 10 } });
+      await store.update('g1', { announceChannelId: 'c9' });
+
+      const restarted = new FileGuildSettingsStore({ filePath });
+      await restarted.load();
+
+      expect(restarted.get('g1')).toMatchObject({ queueSizes: { '4v4': 10 }, announceChannelId: 'c9' });
+      expect(restarted.get('g2').queueSizes).toEqual({});
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('resizeQueue', () => {
+  const queue = { name: '4v4', capacity: 8, teams: 2, autoStartAt: 8 };
+
+  it('should move a full-queue auto start along with the capacity', () => {
+    expect(resizeQueue(queue, 10)).toMatchObject({ capacity: 10, autoStartAt: 10 });
+    expect(resizeQueue({ ...queue, autoStartAt: 6 }, 4)).toMatchObject({ capacity: 4, autoStartAt: 4 });
+    expect(resizeQueue({ ...queue, autoStartAt: 0 }, 10)).toMatchObject({ capacity: 10, autoStartAt: 0 });
+    expect(resizeQueue({ ...queue, notifyAt: 6 }, 12)).toMatchObject({ capacity: 12, notifyAt: 9 });
+    expect(resizeQueue({ ...queue, maxPartySize: 3 }, 4)).toMatchObject({ capacity: 4, maxPartySize: 2 });
+  });
+
+  it('should reject sizes too small for the teams', () => {
+    expect(() => resizeQueue({ ...queue, teams: 4 }, 3)).toThrow('capacity must be an integer of at least 4');
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * JSON File Tests
+ *
+ * Verifies reading missing files and that overlapping writes to one file
+ * all succeed and leave the last write's data behind.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJson, writeJson } = require('../utils/json_file');
+
+describe('JSON File', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should return the fallback for a missing file', async () => {
+    expect(await readJson(path.join(tempDir, 'missing.json'), { entries: [] })).toEqual({ entries: [] });
+  });
+
+  it('should create missing directories', async () => {
+    const filePath = path.join(tempDir, 'nested', 'lobby.json');
+    await writeJson(filePath, { entries: [1] });
+
+    expect(await readJson(filePath)).toEqual({ entries: [1] });
+  });
+
+  it('should apply overlapping writes in order without clashing temp files', async () => {
+    const filePath = path.join(tempDir, 'lobby.json');
+    const data = { entries: [] };
+    const writes = [];
+    for (let i = 0; i < 20; i++) {
+      data.entries.push(i);
+      writes.push(writeJson(filePath, data));
+    }
+
+    await expect(Promise.all(writes)).resolves.toBeDefined();
+    expect((await readJson(filePath)).entries).toHaveLength(20);
+    expect(fs.readdirSync(tempDir)).toEqual(['lobby.json']);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Late Join Swap Tests
+ *
+ * Verifies which swap is suggested after a late join and how it is applied.
+ */
+
+const { applySwap, findLateJoinSwap, loadLateJoinSwapConfig } = require('../utils/late_join_swap');
+
+const ratings = { a: 1200, b: 1150, c: 1000, d: 1000, e: 1100, f: 900 };
+const ratingOf = userId => ratings[userId];
+const player = userId => ({ userId, username: userId });
+
+// Team 1 averages 1117, team 2 1000; e subbed in for team 2 a minute after the start
+const match = {
+  id: 3,
+  startedAt: 0,
+  teams: [['a', 'b', 'c'].map(player), ['d', 'e', 'f'].map(player)],
+  captains: ['a', 'd'],
+  subs: [{ out: 'x', in: 'e', team: 1, at: 60 * 1000 }]
+};
+
+describe('findLateJoinSwap', () => {
+  it('should move a stronger player to the losing team to narrow the gap', () => {
+    const swap = findLateJoinSwap(match, ratingOf);
+
+    expect(swap).toMatchObject({ from: 0, to: 1, toLosing: player('b'), toWinning: player('f'), gapBefore: 117, gapAfter: 50 });
+  });
+
+  it('should prefer swaps involving the latest joiner when ranked by join time first', () => {
+    const swap = findLateJoinSwap(match, ratingOf, ['recent_join_time', 'skill_balance']);
+
+    expect(swap.toWinning).toEqual(player('e'));
+    expect(swap.gapAfter).toBeLessThan(swap.gapBefore);
+  });
+
+  it('should not suggest a swap that doesn\'t narrow the gap or moves a captain', () => {
+    const even = { ...match, teams: [['a', 'c'].map(player), ['b', 'd'].map(player)], captains: ['a', 'b'] };
+    expect(findLateJoinSwap(even, ratingOf)).toBeNull();
+
+    const flat = { ...match, teams: [['c'].map(player), ['d'].map(player)], captains: ['c', 'd'] };
+    expect(findLateJoinSwap(flat, ratingOf)).toBeNull();
+  });
+});
+
+describe('applySwap', () => {
+  it('should exchange the two players and record the swap', () => {
+    const changes = applySwap(match, findLateJoinSwap(match, ratingOf));
+
+    expect(changes.teams).toEqual([['a', 'f', 'c'].map(player), ['d', 'e', 'b'].map(player)]);
+    expect(changes.swaps).toEqual([expect.objectContaining({ from: 0, to: 1, toLosing: 'b', toWinning: 'f' })]);
+  });
+});
+
+describe('loadLateJoinSwapConfig', () => {
+  it('should load the shipped settings', () => {
+    expect(loadLateJoinSwapConfig()).toEqual({
+      enabled: true,
+      timeWindowMinutes: 5,
+      targetTeam: 'losing',
+      swapCriteria: ['skill_balance', 'recent_join_time'],
+      autoExecute: false
+    });
+  });
+});
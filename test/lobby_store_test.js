@@ -0,0 +1,111 @@
+/**
+ * Lobby Store Tests
+ *
+ * Verifies that lobby entries survive a reload of the file-backed store.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileLobbyStore, MemoryLobbyStore, createLobbyStore } = require('../utils/lobby_store');
+
+describe('Lobby Store', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lobby-store-'));
+    filePath = path.join(tempDir, 'lobby.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should restore queued players after a restart', async () => {
+    const store = new FileLobbyStore({ filePath });
+    await store.load();
+    await store.add({ guildId: 'g1', queue: '4v4', userId: 'u1', username: 'alice', channelId: 'c1', joinedAt: 1000 });
+    await store.add({ guildId: 'g1', queue: 'duel', userId: 'u2', username: 'bob', channelId: 'c2', joinedAt: 2000 });
+
+    const restarted = new FileLobbyStore({ filePath });
+    const restored = await restarted.load();
+
+    expect(restored).toEqual([
+      { guildId: 'g1', queue: '4v4', userId: 'u1', username: 'alice', channelId: 'c1', joinedAt: 1000, captain: false },
+      { guildId: 'g1', queue: 'duel', userId: 'u2', username: 'bob', channelId: 'c2', joinedAt: 2000, captain: false }
+    ]);
+  });
+
+  it('should not queue the same player twice in one queue', async () => {
+    const store = new MemoryLobbyStore();
+
+    const alice = { guildId: 'g1', userId: 'u1', username: 'alice', channelId: 'c1' };
+
+    expect(await store.add({ ...alice, queue: '4v4' })).toBe(true);
+    expect(await store.add({ ...alice, queue: '4v4', username: 'alice (renamed)' })).toBe(false);
+    expect(await store.add({ ...alice, queue: 'duel' })).toBe(true);
+    expect(store.list('g1', '4v4')).toHaveLength(1);
+    expect(store.list('g1')).toHaveLength(2);
+  });
+
+  it('should keep the same queue separate per guild', async () => {
+    const store = new MemoryLobbyStore();
+    await store.add({ guildId: 'g1', queue: '4v4', userId: 'u1', username: 'alice', channelId: 'c1' });
+    await store.add({ guildId: 'g2', queue: '4v4', userId: 'u1', username: 'alice', channelId: 'c9' });
+
+    expect(store.has('g2', '4v4', 'u1')).toBe(true);
+    await store.clear('g1', '4v4');
+    expect(store.list('g1', '4v4')).toEqual([]);
+    expect(store.list('g2', '4v4')).toHaveLength(1);
+  });
+
+  it('should persist removals and clears per queue', async () => {
+    const store = new FileLobbyStore({ filePath });
+    await store.load();
+    await store.add({ guildId: 'g1', queue: '4v4', userId: 'u1', username: 'alice', channelId: 'c1' });
+    await store.add({ guildId: 'g1', queue: '4v4', userId: 'u2', username: 'bob', channelId: 'c1' });
+    await store.add({ guildId: 'g1', queue: 'duel', userId: 'u3', username: 'carol', channelId: 'c1' });
+    await store.remove('g1', '4v4', 'u1');
+
+    expect((await new FileLobbyStore({ filePath }).load()).map(e => e.username)).toEqual(['bob', 'carol']);
+
+    await store.clear('g1', '4v4');
+    expect((await new FileLobbyStore({ filePath }).load()).map(e => e.username)).toEqual(['carol']);
+  });
+
+  it('should assign entries saved before guild partitioning to the legacy guild', async () => {
+    fs.writeFileSync(filePath, JSON.stringify({
+      entries: [
+        { queue: '4v4', userId: 'u1', username: 'alice', channelId: 'c1', joinedAt: 1000 },
+        { queue: '4v4', username: 'bob', channelId: 'c1', joinedAt: 2000 }
+      ]
+    }));
+
+    const restored = await new FileLobbyStore({ filePath, legacyGuildId: 'g1' }).load();
+
+    expect(restored).toEqual([
+      { guildId: 'g1', queue: '4v4', userId: 'u1', username: 'alice', channelId: 'c1', joinedAt: 1000 }
+    ]);
+  });
+
+  it('should emit a change only when a queue actually changes', async () => {
+    const store = new MemoryLobbyStore();
+    const changes = [];
+    store.on('change', change => changes.push(change));
+
+    const alice = { guildId: 'g1', queue: '4v4', userId: 'u1', username: 'alice', channelId: 'c1' };
+    await store.add(alice);
+    await store.add(alice);
+    await store.remove('g1', 'duel', 'u1');
+    await store.touch('u1');
+    await store.clear('g1', '4v4');
+    await store.clear('g1', '4v4');
+
+    expect(changes).toEqual([{ guildId: 'g1', queue: '4v4' }, { guildId: 'g1', queue: '4v4' }]);
+  });
+
+  it('should reject unknown store types', () => {
+    expect(() => createLobbyStore('redis')).toThrow('Unknown lobby store type: redis');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Map Vote Tests
+ *
+ * Verifies the map pools, the recent-map cooldown, closing early once
+ * everyone has voted and random tie-breaks.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MapVote, mapCandidates } = require('../utils/map_vote');
+const { loadMapConfig } = require('../utils/map_config');
+
+const vote = (options = {}) => new MapVote({
+  id: 'v1',
+  candidates: ['2fort5r', 'well6', 'rock1'],
+  voters: ['a', 'b', 'c'],
+  timeoutMs: 1000,
+  ...options
+});
+
+describe('Map Config', () => {
+  it('should load the vote settings and fall back to the default pool', () => {
+    const config = loadMapConfig(path.join(__dirname, '../config/maps_servers.yaml'));
+
+    expect(config).toMatchObject({ timeoutSeconds: 45, recentCooldown: 2 });
+    expect(config.poolFor('duel')).toEqual(['dm4', 'well6', '2fort5r']);
+    expect(config.poolFor('4v4')).toEqual(config.poolFor('default'));
+  });
+
+  it('should require a default pool', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'maps-'));
+    const filePath = path.join(tempDir, 'maps.yaml');
+
+    try {
+      fs.writeFileSync(filePath, 'map_pools:\n  duel: ["dm4"]\n');
+      expect(() => loadMapConfig(filePath)).toThrow('No default map pool defined');
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Map Vote', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should leave recently played maps out of the vote', () => {
+    expect(mapCandidates(['2fort5r', 'well6', 'rock1'], ['well6'])).toEqual(['2fort5r', 'rock1']);
+    // With every map on cooldown the whole pool is back in
+    expect(mapCandidates(['2fort5r', 'well6'], ['well6', '2fort5r'])).toEqual(['2fort5r', 'well6']);
+  });
+
+  it('should close as soon as everyone has voted', () => {
+    const mapVote = vote();
+    const onComplete = jest.fn();
+    mapVote.on('complete', onComplete);
+    mapVote.start();
+
+    expect(mapVote.vote('a', 'rock1')).toBe(true);
+    expect(mapVote.vote('b', 'well6')).toBe(true);
+    // Changing a vote doesn't count twice
+    expect(mapVote.vote('b', 'rock1')).toBe(true);
+    expect(onComplete).not.toHaveBeenCalled();
+    expect(mapVote.vote('c', 'rock1')).toBe(true);
+
+    expect(onComplete).toHaveBeenCalledWith({ map: 'rock1', counts: { '2fort5r': 0, well6: 0, rock1: 3 }, tie: false });
+    expect(mapVote.vote('a', 'well6')).toBe(false);
+  });
+
+  it('should only take votes from the match\'s players for candidate maps', () => {
+    const mapVote = vote();
+
+    expect(mapVote.vote('z', 'rock1')).toBe(false);
+    expect(mapVote.vote('a', 'dm4')).toBe(false);
+    expect(mapVote.votes.size).toBe(0);
+  });
+
+  it('should break ties at random when the timer runs out', () => {
+    const mapVote = vote({ random: () => 0.99 });
+    const onComplete = jest.fn();
+    mapVote.on('complete', onComplete);
+    mapVote.start();
+
+    mapVote.vote('a', '2fort5r');
+    mapVote.vote('b', 'rock1');
+    jest.advanceTimersByTime(1000);
+
+    expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ map: 'rock1', tie: true }));
+  });
+
+  it('should pick from every map when nobody votes', () => {
+    const mapVote = vote({ random: () => 0 });
+    const onComplete = jest.fn();
+    mapVote.on('complete', onComplete);
+    mapVote.start();
+
+    jest.advanceTimersByTime(1000);
+
+    expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ map: '2fort5r', tie: true }));
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Match Store Tests
+ *
+ * Verifies match records, their persistence, and the /report flow: a
+ * captain reports, and only an opposing captain can confirm or dispute.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryMatchStore, FileMatchStore, createMatchStore } = require('../utils/match_store');
+const { canAnswerReport } = require('../utils/match_report');
+const report = require('../commands/report');
+
+const team = (...ids) => ids.map(userId => ({ userId, username: userId, rating: 1000 }));
+
+function fakeInteraction(user, options = {}) {
+  const replies = [];
+  return {
+    user: { id: user, username: user },
+    guildId: 'g1',
+    replies,
+    options: { getInteger: name => options[name] ?? null, getString: name => options[name] ?? null },
+    reply: async payload => replies.push(payload)
+  };
+}
+
+function fakeBot(matches) {
+  return {
+    matches,
+    releaseServer: jest.fn(async () => {}),
+    closeVoiceChannels: jest.fn(async () => {}),
+    describeResult: match => (match.report.winner === null ? 'Draw' : `Team ${match.report.winner + 1} won`),
+    reportButtons: (match, actions) => actions
+  };
+}
+
+describe('Match Store', () => {
+  it('should create live matches and list them newest first', async () => {
+    const store = new MemoryMatchStore();
+    const first = await store.create({ guildId: 'g1', queue: '4v4', teams: [team('a'), team('b')], captains: ['a', 'b'], channelId: 'c1' });
+    await store.create({ guildId: 'g1', queue: '2v2', teams: [team('c'), team('d')], captains: ['c', 'd'], channelId: 'c1' });
+
+    expect(first).toMatchObject({ id: 1, status: 'live', report: null, map: null });
+    // Only the player's ID and name are kept
+    expect(first.teams[0]).toEqual([{ userId: 'a', username: 'a' }]);
+    expect(store.list().map(match => match.id)).toEqual([2, 1]);
+    expect(store.get('1')).toBe(first);
+  });
+
+  it('should stop at the first match that passes some()', async () => {
+    const store = new MemoryMatchStore();
+    await store.create({ guildId: 'g1', queue: '4v4', teams: [team('a'), team('b')], captains: ['a', 'b'], channelId: 'c1' });
+    await store.create({ guildId: 'g1', queue: '2v2', teams: [team('c'), team('d')], captains: ['c', 'd'], channelId: 'c1' });
+    const filter = jest.fn(match => match.queue === '4v4');
+
+    expect(store.some(filter)).toBe(true);
+    expect(filter).toHaveBeenCalledTimes(1);
+    expect(store.some(match => match.queue === 'duel')).toBe(false);
+  });
+
+  it('should record matches as voting until their map is picked', async () => {
+    const store = new MemoryMatchStore();
+    const match = await store.create({ guildId: 'g1', queue: '4v4', teams: [team('a'), team('b')], captains: ['a', 'b'], channelId: 'c1', status: 'voting' });
+
+    expect(store.list(m => m.status === 'voting')).toEqual([match]);
+    await store.update(match.id, { map: 'well6', status: 'live' });
+    expect(store.list(m => m.status === 'voting')).toEqual([]);
+  });
+
+  it('should reject updates to unknown matches', async () => {
+    await expect(new MemoryMatchStore().update(7, { status: 'void' })).rejects.toThrow('Unknown match: 7');
+    expect(() => createMatchStore('redis')).toThrow('Unknown match store type: redis');
+  });
+
+  it('should persist matches and give old ones the legacy guild', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matches-'));
+    const filePath = path.join(tempDir, 'matches.json');
+
+    try {
+      const store = new FileMatchStore({ filePath });
+      const match = await store.create({ guildId: 'g1', queue: '4v4', teams: [team('a'), team('b')], captains: ['a', 'b'], channelId: 'c1' });
+      await store.update(match.id, { status: 'completed' });
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      data.matches.push({ ...data.matches[0], id: 2, guildId: undefined });
+      fs.writeFileSync(filePath, JSON.stringify({ ...data, nextId: 3 }));
+
+      const restarted = new FileMatchStore({ filePath, legacyGuildId: 'g9' });
+      await restarted.load();
+
+      expect(restarted.get(1)).toMatchObject({ guildId: 'g1', status: 'completed' });
+      expect(restarted.get(2).guildId).toBe('g9');
+      expect((await restarted.create({ guildId: 'g1', queue: '4v4', teams: [], captains: [], channelId: 'c1' })).id).toBe(3);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('/report', () => {
+  let matches;
+  let match;
+
+  beforeEach(async () => {
+    matches = new MemoryMatchStore();
+    match = await matches.create({ guildId: 'g1', queue: '4v4', teams: [team('a', 'a2'), team('b', 'b2')], captains: ['a', 'b'], channelId: 'c1' });
+  });
+
+  it('should record a captain\'s report and ask the other captain to answer', async () => {
+    const bot = fakeBot(matches);
+    const interaction = fakeInteraction('a', { winner: 1, score: '3-1' });
+
+    await report.execute(interaction, bot);
+
+    expect(match).toMatchObject({ status: 'reported', report: { reportedBy: 'a', team: 0, winner: 0, score: '3-1' } });
+    expect(bot.releaseServer).toHaveBeenCalledWith(match);
+    expect(interaction.replies[0].content).toContain('<@b>, please confirm or dispute.');
+    expect(interaction.replies[0].components).toEqual(['confirm', 'dispute']);
+  });
+
+  it('should only take reports from captains of a live match', async () => {
+    const notCaptain = fakeInteraction('a2', { winner: 1, match: match.id });
+    await report.execute(notCaptain, fakeBot(matches));
+    await report.execute(fakeInteraction('a', { winner: 0 }), fakeBot(matches));
+    const again = fakeInteraction('b', { winner: 2, match: match.id });
+    await report.execute(again, fakeBot(matches));
+
+    expect(notCaptain.replies[0].content).toBe('You are not a captain of that match.');
+    expect(match.report.winner).toBeNull();
+    expect(again.replies[0].content).toBe(`Match #${match.id} has already been reported (reported).`);
+  });
+
+  it('should reject a winning team the match doesn\'t have', async () => {
+    const interaction = fakeInteraction('a', { winner: 3 });
+    await report.execute(interaction, fakeBot(matches));
+
+    expect(interaction.replies[0].content).toBe(`Match #${match.id} only has 2 teams.`);
+    expect(match.status).toBe('live');
+  });
+
+  it('should only let an opposing captain confirm or dispute', async () => {
+    expect(canAnswerReport(match, 'b')).toBe(false);
+
+    await report.execute(fakeInteraction('a', { winner: 1 }), fakeBot(matches));
+
+    expect(canAnswerReport(match, 'b')).toBe(true);
+    expect(canAnswerReport(match, 'a')).toBe(false);
+    expect(canAnswerReport(match, 'b2')).toBe(false);
+    expect(canAnswerReport(undefined, 'b')).toBe(false);
+
+    // Once disputed it waits for an admin instead
+    await matches.update(match.id, { status: 'disputed', disputedBy: 'b' });
+    expect(canAnswerReport(match, 'b')).toBe(false);
+  });
+});
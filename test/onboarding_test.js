@@ -0,0 +1,88 @@
+/**
+ * Onboarding Tests
+ *
+ * Verifies the onboarding settings, the cooldown, the wizard message and how
+ * it is delivered.
+ */
+
+const path = require('path');
+const { loadOnboardingConfig, shouldOnboard, onboardingMessage, sendOnboarding } = require('../utils/onboarding');
+const MessageInteraction = require('../utils/message_interaction');
+const { MemoryPlayerPreferencesStore } = require('../utils/player_preferences_store');
+
+const HOUR_MS = 60 * 60 * 1000;
+const config = loadOnboardingConfig(
+  path.join(__dirname, '../config/onboarding.yaml'),
+  path.join(__dirname, '../config/qwtf_parity.yaml')
+);
+
+describe('Onboarding', () => {
+  it('should load the wizard settings and the welcome embed', () => {
+    expect(config).toMatchObject({ delivery: 'ephemeral', maxClasses: 3, onFirstJoin: true, cooldownHours: 24 });
+    expect(config.classes).toContain('medic');
+    expect(config.welcomeEmbed.title).toMatch(/Welcome/);
+  });
+
+  it('should show the wizard once per cooldown until it is finished', () => {
+    const now = Date.now();
+    expect(shouldOnboard({ promptedAt: null, completedAt: null }, config, now)).toBe(true);
+    expect(shouldOnboard({ promptedAt: now - 2 * HOUR_MS, completedAt: null }, config, now)).toBe(false);
+    expect(shouldOnboard({ promptedAt: now - 25 * HOUR_MS, completedAt: null }, config, now)).toBe(true);
+    expect(shouldOnboard({ promptedAt: now - 25 * HOUR_MS, completedAt: now - HOUR_MS }, config, now)).toBe(false);
+    expect(shouldOnboard({ promptedAt: null, completedAt: null }, { ...config, onFirstJoin: false }, now)).toBe(false);
+  });
+
+  it('should build the wizard from the player\'s current answers', async () => {
+    const preferences = new MemoryPlayerPreferencesStore();
+    await preferences.update('u1', { regions: { preferred: 'eu_west', acceptable: [] }, classes: ['medic'] });
+
+    const message = onboardingMessage(config, preferences.get('u1'), ['na_east', 'eu_west'], { welcome: false });
+    const [region, classes, tier, buttons] = message.components.map(row => row.toJSON().components);
+
+    expect(message.embeds).toEqual([]);
+    expect(region[0].options.find(option => option.default).value).toBe('eu_west');
+    expect(classes[0].max_values).toBe(3);
+    expect(classes[0].options.filter(option => option.default).map(option => option.value)).toEqual(['medic']);
+    expect(tier[0].options.find(option => option.default).value).toBe('2');
+    expect(buttons.map(button => button.custom_id)).toEqual(['onboarding:done', 'onboarding:skip']);
+  });
+
+  it('should point players at /profile edit, which reopens the wizard', async () => {
+    const preferences = new MemoryPlayerPreferencesStore();
+
+    const firstTime = onboardingMessage(config, preferences.get('u1'), ['eu_west']);
+    const editing = onboardingMessage(config, preferences.get('u1'), ['eu_west'], { welcome: false, editing: true });
+
+    expect(firstTime.content).toContain('/profile edit');
+    expect(editing.content).toBe('⚙️ Update how you play — each answer is saved as soon as you pick it.');
+    expect(editing.components.length).toBe(firstTime.components.length);
+  });
+
+  describe('sendOnboarding', () => {
+    const wizard = { content: 'wizard', components: [] };
+
+    it('should show slash command users the wizard ephemerally', async () => {
+      const interaction = { user: { send: jest.fn() }, followUp: jest.fn(async () => {}) };
+      await sendOnboarding(interaction, wizard, config);
+
+      expect(interaction.followUp).toHaveBeenCalledWith({ ...wizard, ephemeral: true });
+      expect(interaction.user.send).not.toHaveBeenCalled();
+    });
+
+    it('should DM the wizard to players who used a text command', async () => {
+      const message = { author: { id: 'u1', send: jest.fn(async () => {}) }, reply: jest.fn(async () => {}) };
+      await sendOnboarding(new MessageInteraction(message, 'join'), wizard, config);
+
+      expect(message.author.send).toHaveBeenCalledWith(wizard);
+      expect(message.reply).not.toHaveBeenCalled();
+    });
+
+    it('should DM the wizard when delivery is dm', async () => {
+      const interaction = { user: { send: jest.fn(async () => {}) }, followUp: jest.fn() };
+      await sendOnboarding(interaction, wizard, { ...config, delivery: 'dm' });
+
+      expect(interaction.user.send).toHaveBeenCalledWith(wizard);
+      expect(interaction.followUp).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Parties Tests
+ *
+ * Verifies invites, accepting and leaving parties, and taking queued players
+ * without splitting a party.
+ */
+
+const { Parties, takeWithParties, INVITE_TTL_MS } = require('../utils/parties');
+
+const alice = { userId: 'a', username: 'alice' };
+const bob = { userId: 'b', username: 'bob' };
+const carol = { userId: 'c', username: 'carol' };
+
+describe('Parties', () => {
+  it('should start a party when an invite is accepted', () => {
+    const parties = new Parties();
+    parties.invite('g1', alice, bob);
+
+    const party = parties.accept(parties.inviteFor('g1', 'b'));
+    expect(party).toMatchObject({ leaderId: 'a', members: [alice, bob] });
+    expect(parties.of('g1', 'b')).toBe(party);
+    expect(parties.of('g2', 'b')).toBeUndefined();
+  });
+
+  it('should let invites expire', () => {
+    const parties = new Parties();
+    const now = Date.now();
+    parties.invite('g1', alice, bob, now);
+
+    expect(parties.inviteFor('g1', 'b', 'c', now)).toBeUndefined();
+    expect(parties.inviteFor('g1', 'b', 'a', now + INVITE_TTL_MS - 1)).toBeDefined();
+    expect(parties.inviteFor('g1', 'b', undefined, now + INVITE_TTL_MS)).toBeUndefined();
+  });
+
+  it('should hand over the lead and disband parties of one', () => {
+    const parties = new Parties();
+    parties.invite('g1', alice, bob);
+    parties.accept(parties.inviteFor('g1', 'b'));
+    parties.invite('g1', alice, carol);
+    const party = parties.accept(parties.inviteFor('g1', 'c'));
+
+    parties.leave('g1', 'a');
+    expect(party).toMatchObject({ leaderId: 'b', members: [bob, carol] });
+
+    parties.leave('g1', 'c');
+    expect(parties.of('g1', 'b')).toBeUndefined();
+    expect(parties.leave('g1', 'b')).toBeNull();
+  });
+
+  it('should reject invites from players who no longer lead the party they invited to', () => {
+    const parties = new Parties();
+    parties.invite('g1', alice, bob);
+    parties.accept(parties.inviteFor('g1', 'b'));
+    parties.invite('g1', alice, carol);
+    parties.leave('g1', 'a');
+
+    expect(parties.accept(parties.inviteFor('g1', 'c'))).toBeNull();
+    expect(parties.of('g1', 'c')).toBeUndefined();
+    expect(parties.inviteFor('g1', 'c')).toBeUndefined();
+  });
+
+  it('should reject invites from solo players who have joined a party since', () => {
+    const parties = new Parties();
+    parties.invite('g1', bob, carol);
+    parties.invite('g1', alice, bob);
+    parties.accept(parties.inviteFor('g1', 'b'));
+
+    expect(parties.accept(parties.inviteFor('g1', 'c'))).toBeNull();
+    expect(parties.of('g1', 'a').members).toEqual([alice, bob]);
+  });
+
+  it('should take players in order without splitting a party', () => {
+    const queued = ['p1', 'p2', 'p3', 'p4', 'p5'].map(userId => ({ userId }));
+    const groupOf = player => ({ p2: 1, p4: 1 })[player.userId];
+
+    expect(takeWithParties(queued, 3, groupOf).map(p => p.userId)).toEqual(['p1', 'p2', 'p4']);
+    expect(takeWithParties(queued, 2, groupOf).map(p => p.userId)).toEqual(['p1', 'p3']);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Penalties Tests
+ *
+ * Verifies strike decay, escalating queue bans, pardons and strike persistence.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPenaltyConfig, standing, addStrike, pardon, formatDuration } = require('../utils/penalties');
+const { FileStrikeStore } = require('../utils/strike_store');
+
+const HOUR = 60 * 60 * 1000;
+const rules = loadPenaltyConfig(path.join(__dirname, '../config/reputation.yaml'));
+const empty = () => ({ strikes: [], bans: [] });
+
+// Gives each strike reason in turn, an hour apart, and returns the record and bans
+function strikeAll(reasons, start = 0, record = empty()) {
+  const bans = [];
+  reasons.forEach((reason, i) => {
+    const result = addStrike(record, { reason }, rules, start + i * HOUR);
+    record = result.record;
+    bans.push(result.ban && result.ban.minutes);
+  });
+  return { record, bans };
+}
+
+describe('Penalties', () => {
+  it('should load the rules from the reputation config', () => {
+    expect(rules).toMatchObject({
+      strikes: { ready_check_failed: 1, left_started_match: 2, no_show: 2 },
+      strikeDecayHours: 72,
+      banThreshold: 3,
+      banDurationsMinutes: [15, 60, 1440]
+    });
+  });
+
+  it('should ban at the threshold and escalate each further ban', () => {
+    const { record, bans } = strikeAll(['ready_check_failed', 'ready_check_failed', 'ready_check_failed', 'no_show', 'no_show', 'no_show']);
+
+    expect(bans).toEqual([null, null, 15, 60, 1440, 1440]);
+    expect(standing(record, rules, 5 * HOUR)).toMatchObject({ strikes: 9, recentBans: 4 });
+    expect(standing(record, rules, 5 * HOUR).ban.until).toBe(5 * HOUR + 1440 * 60 * 1000);
+  });
+
+  it('should let strikes decay', () => {
+    const { record } = strikeAll(['no_show', 'ready_check_failed']);
+
+    expect(standing(record, rules, 2 * HOUR).strikes).toBe(3);
+    expect(standing(record, rules, 72 * HOUR + 1).strikes).toBe(1);
+    expect(addStrike(record, { reason: 'ready_check_failed' }, rules, 80 * HOUR).ban).toBeNull();
+  });
+
+  it('should pardon the newest strikes and lift the ban but keep escalating', () => {
+    const { record } = strikeAll(['no_show', 'no_show']);
+    const pardoned = pardon(record, rules, 3, 2 * HOUR);
+
+    expect(standing(pardoned, rules, 2 * HOUR)).toMatchObject({ strikes: 1, ban: null, recentBans: 1 });
+    expect(pardoned.strikes.map(strike => strike.weight)).toEqual([1]);
+    expect(addStrike(pardoned, { reason: 'no_show' }, rules, 3 * HOUR).ban.minutes).toBe(60);
+    expect(standing(pardon(record, rules, Infinity, 2 * HOUR), rules, 2 * HOUR).strikes).toBe(0);
+  });
+
+  it('should describe ban lengths', () => {
+    expect([15, 60, 1440, 2880, 90].map(formatDuration)).toEqual(['15 minutes', '1 hour', '1 day', '2 days', '90 minutes']);
+  });
+
+  it('should keep strikes after a restart', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strikes-'));
+    const filePath = path.join(tempDir, 'strikes.json');
+
+    const store = new FileStrikeStore({ filePath });
+    await store.load();
+    await store.set('g1', 'u1', strikeAll(['no_show']).record);
+
+    const restarted = new FileStrikeStore({ filePath });
+    await restarted.load();
+    expect(restarted.get('g1', 'u1').strikes).toHaveLength(1);
+    expect(restarted.get('g2', 'u1')).toEqual(empty());
+
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+});
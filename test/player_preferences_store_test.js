@@ -0,0 +1,51 @@
+/**
+ * Player Preferences Store Tests
+ *
+ * Verifies preference defaults, updates and persistence.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FilePlayerPreferencesStore, MemoryPlayerPreferencesStore, createPlayerPreferencesStore } = require('../utils/player_preferences_store');
+
+describe('Player Preferences Store', () => {
+  it('should fill in default notification tiers', async () => {
+    const store = new MemoryPlayerPreferencesStore();
+    expect(store.get('u1').notification_tiers.max_tier).toBe(2);
+
+    await store.update('u1', { notification_tiers: { max_tier: 0 } });
+    expect(store.get('u1').notification_tiers).toEqual({
+      max_tier: 0, tier0_enabled: true, tier1_enabled: true, tier2_enabled: true
+    });
+  });
+
+  it('should list the players whose preferences match', async () => {
+    const store = new MemoryPlayerPreferencesStore();
+    await store.update('u1', { notifyQueues: { 'g1:4v4': { dm: true } } });
+    await store.update('u2', { notifyQueues: { 'g1:2v2': { dm: true } } });
+    await store.update('u3', { classes: ['medic'] });
+
+    expect(store.list(preferences => preferences.notifyQueues['g1:4v4']?.dm)).toEqual(['u1']);
+  });
+
+  it('should keep preferences after a restart', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'player-preferences-'));
+    const filePath = path.join(tempDir, 'player_preferences.json');
+
+    const store = new FilePlayerPreferencesStore({ filePath });
+    await store.load();
+    await store.update('u1', { notification_tiers: { max_tier: 1 } });
+
+    const restarted = new FilePlayerPreferencesStore({ filePath });
+    await restarted.load();
+    expect(restarted.get('u1').notification_tiers.max_tier).toBe(1);
+    expect(restarted.get('u2').notification_tiers.max_tier).toBe(2);
+
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should reject unknown store types', () => {
+    expect(() => createPlayerPreferencesStore('redis')).toThrow('Unknown player preferences store type: redis');
+  });
+});
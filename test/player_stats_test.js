@@ -0,0 +1,71 @@
+/**
+ * Player Stats Tests
+ *
+ * Verifies profiles, leaderboards and their filters, computed from match records.
+ */
+
+const path = require('path');
+const { playerProfile, leaderboard } = require('../utils/player_stats');
+const { loadStatsConfig } = require('../utils/stats_config');
+
+const a = { userId: 'a', username: 'alice' };
+const b = { userId: 'b', username: 'bob' };
+const c = { userId: 'c', username: 'carol' };
+
+// A completed match; changes maps user ID to [before, after]
+function completed(id, { queue = '4v4', map = 'well6', teams, winner, completedAt, changes }) {
+  return {
+    id,
+    queue,
+    map,
+    teams,
+    status: 'completed',
+    completedAt,
+    report: { winner },
+    ratingChanges: Object.fromEntries(Object.entries(changes).map(([userId, [before, after]]) => [userId, { before, after }]))
+  };
+}
+
+// Newest first, as MatchStore.list returns them
+const matches = [
+  { id: 4, queue: '4v4', teams: [[a], [b]], status: 'live' },
+  completed(3, { queue: 'duel', map: 'dm4', teams: [[a], [c]], winner: null, completedAt: 300, changes: { a: [1016, 1016], c: [1000, 1000] } }),
+  completed(2, { teams: [[a], [b]], winner: 0, completedAt: 200, changes: { a: [1000, 1016], b: [1016, 1000] } }),
+  completed(1, { teams: [[b], [a]], winner: 0, completedAt: 100, changes: { b: [1000, 1016], a: [1000, 1000] } })
+];
+
+describe('Player Stats', () => {
+  it('should build a profile from completed matches', () => {
+    const profile = playerProfile(matches, 'a', { recent: 2 });
+
+    expect(profile).toMatchObject({ games: 3, wins: 1, losses: 1, draws: 1, rating: 1016 });
+    expect(profile.winRate).toBeCloseTo(1 / 3);
+    expect(profile.ratingHistory).toEqual([1000, 1000, 1016, 1016]);
+    expect(profile.favouriteMaps).toEqual([{ map: 'well6', games: 2 }, { map: 'dm4', games: 1 }]);
+    expect(profile.recent.map(result => [result.match.id, result.outcome])).toEqual([[3, 'draw'], [2, 'win']]);
+  });
+
+  it('should give players without matches the default rating', () => {
+    expect(playerProfile(matches, 'z')).toMatchObject({ games: 0, rating: 1000, ratingHistory: [], recent: [] });
+  });
+
+  it('should rank players by rating with a minimum number of games', () => {
+    expect(leaderboard(matches).map(row => [row.username, row.rating, row.games])).toEqual([
+      ['alice', 1016, 3], ['bob', 1000, 2], ['carol', 1000, 1]
+    ]);
+    expect(leaderboard(matches, { minGames: 2 }).map(row => row.userId)).toEqual(['a', 'b']);
+  });
+
+  it('should filter the leaderboard by queue and season', () => {
+    expect(leaderboard(matches, { queue: 'duel' }).map(row => row.userId)).toEqual(['a', 'c']);
+    expect(leaderboard(matches, { season: { start: 150, end: 250 } }).map(row => [row.userId, row.wins])).toEqual([['a', 1], ['b', 0]]);
+  });
+
+  it('should load the seasons, each ending when the next starts', () => {
+    const { seasons, pageSize } = loadStatsConfig(path.join(__dirname, '../config/stats.yaml'));
+
+    expect(pageSize).toBe(10);
+    expect(seasons[0]).toEqual({ name: 'Season 1', start: Date.UTC(2026, 0, 1), end: Date.UTC(2026, 6, 1) });
+    expect(seasons[seasons.length - 1].end).toBeNull();
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Queue Config Tests
+ *
+ * Verifies queue defaults, validation and loading the queue file.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadQueueConfig, parseQueue, resizeQueue } = require('../utils/queue_config');
+
+describe('parseQueue', () => {
+  it('should fill in defaults from the capacity', () => {
+    expect(parseQueue('4v4', { capacity: 8 })).toEqual({
+      name: '4v4',
+      description: '4v4 pickup',
+      capacity: 8,
+      teams: 2,
+      autoStartAt: 8,
+      mode: 'balanced',
+      pickOrder: '1-2-2-1',
+      pickTimeoutSeconds: 30,
+      notifyAt: 0,
+      notifyCooldownMinutes: 30,
+      maxPartySize: 4
+    });
+  });
+
+  it('should reject names that text commands can\'t match', () => {
+    expect(() => parseQueue('4 v 4', { capacity: 8 })).toThrow('name may only contain letters, digits, - and _');
+    expect(() => parseQueue('', { capacity: 8 })).toThrow('name may only contain');
+    expect(parseQueue('big-game_2', { capacity: 8 }).name).toBe('big-game_2');
+  });
+
+  it('should reject a capacity that doesn\'t split evenly into the teams', () => {
+    expect(() => parseQueue('odd', { capacity: 9 })).toThrow('capacity must split evenly into 2 teams');
+    expect(() => parseQueue('ffa', { capacity: 8, teams: 3 })).toThrow('capacity must split evenly into 3 teams');
+    expect(parseQueue('triples', { capacity: 9, teams: 3 }).maxPartySize).toBe(3);
+  });
+
+  it('should reject invalid definitions', () => {
+    expect(() => parseQueue('q', {})).toThrow('capacity must be an integer of at least 2');
+    expect(() => parseQueue('q', { capacity: 1 })).toThrow('capacity must be an integer of at least 2');
+    expect(() => parseQueue('q', { capacity: 4, teams: 1 })).toThrow('teams must be between 2 and the queue capacity');
+    expect(() => parseQueue('q', { capacity: 4, auto_start_at: 5 })).toThrow('auto_start_at must be between');
+    expect(() => parseQueue('q', { capacity: 4, notify_at: -1 })).toThrow('notify_at must be between');
+    expect(() => parseQueue('q', { capacity: 4, max_party_size: 3 })).toThrow('max_party_size must be between');
+    expect(() => parseQueue('q', { capacity: 4, mode: 'random' })).toThrow('mode must be "balanced" or "draft"');
+  });
+});
+
+describe('resizeQueue', () => {
+  it('should reject sizes that don\'t split evenly into the teams', () => {
+    const queue = parseQueue('4v4', { capacity: 8 });
+    expect(() => resizeQueue(queue, 9)).toThrow('capacity must split evenly into 2 teams');
+    expect(resizeQueue(queue, 10).capacity).toBe(10);
+  });
+});
+
+describe('loadQueueConfig', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function load(contents) {
+    const filePath = path.join(tempDir, 'queues.yaml');
+    fs.writeFileSync(filePath, contents);
+    return loadQueueConfig(filePath);
+  }
+
+  it('should load the bundled queues', () => {
+    const { defaultQueue, queues } = loadQueueConfig(path.join(__dirname, '../config/queues.yaml'));
+    expect(defaultQueue).toBe('4v4');
+    expect(queues.get('captains')).toMatchObject({ mode: 'draft', maxPartySize: 2 });
+  });
+
+  it('should default to the first queue', () => {
+    const { defaultQueue } = load('queues:\n  duel:\n    capacity: 2\n  2v2:\n    capacity: 4\n');
+    expect(defaultQueue).toBe('duel');
+  });
+
+  it('should reject a default queue that isn\'t defined', () => {
+    expect(() => load('default_queue: 8v8\nqueues:\n  duel:\n    capacity: 2\n'))
+      .toThrow('Default queue 8v8 is not defined');
+  });
+
+  it('should reject a file without queues', () => {
+    expect(() => load('default_queue: duel\n')).toThrow('No queues defined');
+  });
+
+  it('should reject a queue defined twice', () => {
+    expect(() => load('queues:\n  duel:\n    capacity: 2\n  duel:\n    capacity: 4\n')).toThrow('duplicated mapping key');
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Queue Keep-Alive Tests
+ *
+ * Verifies that idle players are prompted, expired when they don't answer
+ * and left alone when the keep-alive step vouches for them.
+ */
+
+const QueueKeepAlive = require('../utils/queue_keep_alive');
+const SuperLoader = require('../utils/super_loader');
+const { MemoryLobbyStore } = require('../utils/lobby_store');
+
+const MINUTE = 60 * 1000;
+
+// Stands in for SuperLoader: runs the given decision with the step's dependencies
+const fakeLoader = decide => {
+  const loader = { dependencies: {} };
+  loader.handleQueueKeepAliveProcessing = jest.fn(async step => {
+    decide(step.params, loader.dependencies.agentManager);
+    return { success: true, processed: false };
+  });
+  return loader;
+};
+
+describe('QueueKeepAlive', () => {
+  let lobby;
+
+  beforeEach(async () => {
+    lobby = new MemoryLobbyStore();
+    await lobby.add({ guildId: 'g1', queue: '4v4', userId: 'u1', username: 'alice', channelId: 'c1', joinedAt: 0 });
+    await lobby.add({ guildId: 'g1', queue: '2v2', userId: 'u1', username: 'alice', channelId: 'c1', joinedAt: 0 });
+    await lobby.add({ guildId: 'g1', queue: '4v4', userId: 'u2', username: 'bob', channelId: 'c1', joinedAt: 50 * MINUTE });
+  });
+
+  const create = (loader, options = {}) => {
+    const keepAlive = new QueueKeepAlive({ lobby, loader, idleMs: 45 * MINUTE, timeoutMs: 2 * MINUTE, ...options });
+    loader.dependencies.agentManager = keepAlive;
+    return keepAlive;
+  };
+
+  it('should prompt idle players once and expire them after the timeout', async () => {
+    const loader = fakeLoader(() => {});
+    const keepAlive = create(loader);
+    const onPrompt = jest.fn();
+    const onExpire = jest.fn();
+    keepAlive.on('prompt', onPrompt);
+    keepAlive.on('expire', onExpire);
+
+    await keepAlive.sweep(60 * MINUTE);
+    expect(onPrompt).toHaveBeenCalledTimes(1);
+    expect(onPrompt.mock.calls[0][0]).toMatchObject({ userId: 'u1', timeoutMs: 2 * MINUTE, urgent: false });
+    expect(onPrompt.mock.calls[0][0].entries.map(entry => entry.queue)).toEqual(['4v4', '2v2']);
+    expect(loader.handleQueueKeepAliveProcessing).toHaveBeenCalledWith({
+      params: { userId: 'u1', context: { match_name: '4v4, 2v2', queue_id: 'g1:4v4' } }
+    });
+
+    await keepAlive.sweep(61 * MINUTE);
+    expect(onPrompt).toHaveBeenCalledTimes(1);
+    expect(onExpire).not.toHaveBeenCalled();
+
+    await keepAlive.sweep(62 * MINUTE);
+    expect(onExpire).toHaveBeenCalledWith(expect.objectContaining({ userId: 'u1' }));
+  });
+
+  it('should not expire players who answered', async () => {
+    const keepAlive = create(fakeLoader(() => {}));
+    const onExpire = jest.fn();
+    keepAlive.on('expire', onExpire);
+    keepAlive.on('confirm', ({ userId }) => lobby.touch(userId, 61 * MINUTE));
+
+    await keepAlive.sweep(60 * MINUTE);
+    expect(keepAlive.confirm('u1')).toBe(true);
+    await keepAlive.sweep(70 * MINUTE);
+
+    expect(onExpire).not.toHaveBeenCalled();
+    expect(keepAlive.confirm('u1')).toBe(false);
+  });
+
+  it('should skip the keep-alive for players the step auto-confirms', async () => {
+    const keepAlive = create(fakeLoader(({ userId }, agents) =>
+      agents.emit('queue:keep_alive_auto_confirmed', { userId })));
+    const onPrompt = jest.fn();
+    const onConfirm = jest.fn();
+    keepAlive.on('prompt', onPrompt);
+    keepAlive.on('confirm', onConfirm);
+
+    await keepAlive.sweep(60 * MINUTE);
+
+    expect(onPrompt).not.toHaveBeenCalled();
+    expect(onConfirm).toHaveBeenCalledWith({ userId: 'u1', auto: true });
+    expect(keepAlive.isPending('u1')).toBe(false);
+  });
+
+  it('should give the step a chance to extend the timeout', async () => {
+    const keepAlive = create(fakeLoader(({ userId }, agents) => {
+      const pending = agents.getAgent('Notification').stateStore.get(userId);
+      pending.match_queue.expires_at += MINUTE;
+    }));
+    const onPrompt = jest.fn();
+    keepAlive.on('prompt', onPrompt);
+
+    await keepAlive.sweep(60 * MINUTE);
+
+    expect(onPrompt.mock.calls[0][0].timeoutMs).toBe(3 * MINUTE);
+  });
+
+  it('should mark the prompt urgent after a do-not-disturb alert', async () => {
+    const keepAlive = create(fakeLoader(({ userId }, agents) => agents.emit('queue:dnd_alert', { userId })));
+    const onPrompt = jest.fn();
+    keepAlive.on('prompt', onPrompt);
+
+    await keepAlive.sweep(60 * MINUTE);
+
+    expect(onPrompt.mock.calls[0][0].urgent).toBe(true);
+  });
+
+  it('should auto-confirm reliable players through the real SuperLoader', async () => {
+    process.env.LOG_LEVEL = 'error';
+    const loader = new SuperLoader({
+      dependencies: {
+        discord: { getUser: async () => ({ presence: { status: 'online' } }) },
+        database: { getUserQueueHistory: async () => ({ count: 12, queued: 12, abandoned: 0 }) }
+      }
+    });
+    const keepAlive = create(loader);
+    const onPrompt = jest.fn();
+    const onConfirm = jest.fn();
+    keepAlive.on('prompt', onPrompt);
+    keepAlive.on('confirm', onConfirm);
+
+    await keepAlive.sweep(60 * MINUTE);
+
+    expect(onPrompt).not.toHaveBeenCalled();
+    expect(onConfirm).toHaveBeenCalledWith({ userId: 'u1', auto: true });
+    delete process.env.LOG_LEVEL;
+  });
+
+  it('should leave players in a ready check alone', async () => {
+    const keepAlive = create(fakeLoader(() => {}), { isBusy: userId => userId === 'u1' });
+    const onPrompt = jest.fn();
+    keepAlive.on('prompt', onPrompt);
+
+    await keepAlive.sweep(60 * MINUTE);
+
+    expect(onPrompt).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Queue Notifier Tests
+ *
+ * Verifies the notify threshold and the per-queue cooldown.
+ */
+
+const path = require('path');
+const QueueNotifier = require('../utils/queue_notifier');
+const { loadQueueConfig } = require('../utils/queue_config');
+
+const MINUTE_MS = 60 * 1000;
+const queue = { key: 'g1:4v4', capacity: 8, autoStartAt: 8, notifyAt: 6, notifyCooldownMinutes: 30 };
+
+describe('QueueNotifier', () => {
+  it('should load the notify threshold from the queue config', () => {
+    const { queues } = loadQueueConfig(path.join(__dirname, '../config/queues.yaml'));
+    expect(queues.get('4v4')).toMatchObject({ notifyAt: 6, notifyCooldownMinutes: 30 });
+    expect(queues.get('duel').notifyAt).toBe(0);
+  });
+
+  it('should ping when a queue reaches its threshold', () => {
+    const notifier = new QueueNotifier();
+    expect(notifier.shouldPing(queue, 5)).toBe(false);
+    expect(notifier.shouldPing(queue, 6)).toBe(true);
+    expect(notifier.shouldPing(queue, 7)).toBe(false);
+  });
+
+  it('should ping when a party joins past the threshold', () => {
+    const notifier = new QueueNotifier();
+    expect(notifier.shouldPing(queue, 7, Date.now(), 2)).toBe(true);
+    expect(new QueueNotifier().shouldPing(queue, 7, Date.now(), 1)).toBe(false);
+  });
+
+  it('should not ping again within the cooldown', () => {
+    const notifier = new QueueNotifier();
+    const now = Date.now();
+    expect(notifier.shouldPing(queue, 6, now)).toBe(true);
+    expect(notifier.shouldPing(queue, 6, now + 10 * MINUTE_MS)).toBe(false);
+    expect(notifier.shouldPing({ ...queue, key: 'g2:4v4' }, 6, now + 10 * MINUTE_MS)).toBe(true);
+    expect(notifier.shouldPing(queue, 6, now + 30 * MINUTE_MS)).toBe(true);
+  });
+
+  it('should not ping when the join starts the match or the queue never pings', () => {
+    const notifier = new QueueNotifier();
+    expect(notifier.shouldPing({ ...queue, autoStartAt: 6 }, 6)).toBe(false);
+    expect(notifier.shouldPing({ ...queue, notifyAt: 0 }, 0)).toBe(false);
+  });
+});
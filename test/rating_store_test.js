@@ -0,0 +1,51 @@
+/**
+ * Rating Store Tests
+ *
+ * Verifies ELO updates and win/loss records from confirmed results.
+ */
+
+const { MemoryRatingStore, DEFAULT_RATING, K_FACTOR } = require('../utils/rating_store');
+
+const team = (...ids) => ids.map(userId => ({ userId, username: userId }));
+
+describe('Rating Store', () => {
+  it('should start unrated players at the default rating', () => {
+    expect(new MemoryRatingStore().get('g1', 'nobody')).toBe(DEFAULT_RATING);
+  });
+
+  it('should move evenly matched teams by half the K factor', async () => {
+    const store = new MemoryRatingStore();
+    const changes = await store.applyResult('g1', [team('a', 'b'), team('c', 'd')], 0);
+
+    expect(changes.a).toEqual({ before: 1000, after: 1000 + K_FACTOR / 2 });
+    expect(changes.c).toEqual({ before: 1000, after: 1000 - K_FACTOR / 2 });
+    expect(store.list('g1').find(p => p.userId === 'a')).toMatchObject({ games: 1, wins: 1, losses: 0 });
+    expect(store.list('g1').find(p => p.userId === 'd')).toMatchObject({ games: 1, wins: 0, losses: 1 });
+  });
+
+  it('should reward an underdog more than a favourite', async () => {
+    const store = new MemoryRatingStore();
+    await store.set('g1', 'strong', 1400);
+    const changes = await store.applyResult('g1', [team('strong'), team('weak')], 1);
+
+    expect(changes.weak.after - changes.weak.before).toBeGreaterThan(K_FACTOR / 2);
+    expect(changes.strong.after).toBeLessThan(1400);
+  });
+
+  it('should record draws', async () => {
+    const store = new MemoryRatingStore();
+    const changes = await store.applyResult('g1', [team('a'), team('b')], null);
+
+    expect(changes.a.after).toBe(1000);
+    expect(store.list('g1').find(p => p.userId === 'a')).toMatchObject({ draws: 1 });
+  });
+
+  it('should keep ratings separate per guild', async () => {
+    const store = new MemoryRatingStore();
+    await store.applyResult('g1', [team('a'), team('b')], 0);
+
+    expect(store.get('g1', 'a')).toBe(1000 + K_FACTOR / 2);
+    expect(store.get('g2', 'a')).toBe(DEFAULT_RATING);
+    expect(store.list('g2')).toEqual([]);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Ready Check Tests
+ *
+ * Verifies confirmation, timeout and backfill behaviour of a ready check.
+ */
+
+const ReadyCheck = require('../utils/ready_check');
+
+const player = (userId) => ({ userId, username: userId, queue: 'duel' });
+
+describe('ReadyCheck', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should complete once every player is ready', () => {
+    const check = new ReadyCheck({ id: 'c1', queue: 'duel', players: [player('a'), player('b')], timeoutMs: 1000 });
+    const onComplete = jest.fn();
+    check.on('complete', onComplete);
+    check.start();
+
+    check.confirm('a');
+    expect(onComplete).not.toHaveBeenCalled();
+
+    check.confirm('b');
+    expect(onComplete).toHaveBeenCalledWith([player('a'), player('b')]);
+    expect(check.confirm('a')).toBe(false);
+  });
+
+  it('should ignore players who are not part of the check', () => {
+    const check = new ReadyCheck({ id: 'c1', queue: 'duel', players: [player('a')], timeoutMs: 1000 });
+    expect(check.confirm('z')).toBe(false);
+  });
+
+  it('should drop unready players on timeout and complete after a backfill', () => {
+    const check = new ReadyCheck({ id: 'c1', queue: 'duel', players: [player('a'), player('b')], timeoutMs: 1000 });
+    const onTimeout = jest.fn();
+    const onComplete = jest.fn();
+    check.on('timeout', onTimeout);
+    check.on('complete', onComplete);
+    check.start();
+
+    check.confirm('a');
+    jest.advanceTimersByTime(1000);
+
+    expect(onTimeout).toHaveBeenCalledWith({ dropped: [player('b')], missing: 1 });
+    expect(check.includes('b')).toBe(false);
+
+    check.backfill([player('c')]);
+    check.confirm('c');
+    expect(onComplete).toHaveBeenCalledWith([player('a'), player('c')]);
+  });
+
+  it('should not complete while a slot is empty', () => {
+    const check = new ReadyCheck({ id: 'c1', queue: 'duel', players: [player('a'), player('b')], timeoutMs: 1000 });
+    const onComplete = jest.fn();
+    check.on('complete', onComplete);
+    check.start();
+
+    check.remove('b');
+    check.confirm('a');
+    expect(onComplete).not.toHaveBeenCalled();
+
+    check.cancel();
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Regions Tests
+ *
+ * Verifies the region settings and picking a match's region.
+ */
+
+const path = require('path');
+const { loadRegionConfig, pickRegion, regionMix } = require('../utils/regions');
+
+const config = { defaultRegion: 'na_east', supportedRegions: ['na_east', 'na_west', 'eu_west', 'oceania'] };
+const prefer = (preferred, ...acceptable) => ({ preferred, acceptable });
+
+describe('Regions', () => {
+  it('should load region_preferences from the QWTF parity config', () => {
+    expect(loadRegionConfig(path.join(__dirname, '../config/qwtf_parity.yaml'))).toEqual({
+      defaultRegion: 'na_east',
+      autoPing: true,
+      supportedRegions: ['na_east', 'na_west', 'eu_west', 'oceania']
+    });
+  });
+
+  it('should pick the region acceptable to the most players', () => {
+    const preferences = [
+      prefer('eu_west'),
+      prefer('eu_west', 'na_east'),
+      prefer('na_west', 'na_east'),
+      prefer('na_east', 'eu_west'),
+      prefer(null)
+    ];
+
+    // na_east and eu_west both suit three players, but two prefer eu_west
+    expect(pickRegion(preferences, config)).toEqual({ region: 'eu_west', satisfied: 4 });
+  });
+
+  it('should fall back to the default region', () => {
+    expect(pickRegion([prefer(null), prefer(null)], config)).toEqual({ region: 'na_east', satisfied: 2 });
+    expect(pickRegion([prefer('oceania'), prefer('na_east')], config).region).toBe('na_east');
+  });
+
+  it('should count the preferred regions of a lobby', () => {
+    const mix = regionMix([prefer('eu_west'), prefer(null), prefer('eu_west'), prefer('na_east')]);
+    expect([...mix]).toEqual([['eu_west', 2], [null, 1], ['na_east', 1]]);
+  });
+});
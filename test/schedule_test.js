@@ -0,0 +1,87 @@
+/**
+ * Schedule Tests
+ *
+ * Verifies start times, reminders, the calendar export and the schedule store.
+ */
+
+const path = require('path');
+const { loadScheduleConfig, parseStartTime, dueReminders, toIcs } = require('../utils/schedule');
+const { MemoryScheduleStore, createScheduleStore } = require('../utils/schedule_store');
+
+const MINUTE_MS = 60 * 1000;
+const config = loadScheduleConfig(path.join(__dirname, '../config/schedule.yaml'));
+
+describe('Schedule', () => {
+  it('should load the schedule settings', () => {
+    expect(config).toMatchObject({
+      timezone: 'UTC',
+      remindersMinutes: [1440, 60, 15],
+      dmReminders: true,
+      channelReminders: true,
+      startGraceMinutes: 30,
+      durationMinutes: 120
+    });
+  });
+
+  it('should read start times in the configured time zone', () => {
+    expect(parseStartTime('2026-10-23 20:00')).toBe(Date.UTC(2026, 9, 23, 20, 0));
+    // New York is on EDT (UTC-4) in October and EST (UTC-5) in December
+    expect(parseStartTime('2026-10-23 20:00', 'America/New_York')).toBe(Date.UTC(2026, 9, 24, 0, 0));
+    expect(parseStartTime('2026-12-04 20:00', 'America/New_York')).toBe(Date.UTC(2026, 11, 5, 1, 0));
+    expect(parseStartTime('2026-10-23T20:00+02:00', 'America/New_York')).toBe(Date.UTC(2026, 9, 23, 18, 0));
+  });
+
+  it('should reject times it can\'t read', () => {
+    expect(parseStartTime('friday 8pm')).toBeNull();
+    expect(parseStartTime('2026-02-30 20:00')).toBeNull();
+    expect(parseStartTime('2026-10-23 24:00')).toBeNull();
+  });
+
+  it('should only send reminders that are due and not yet sent', () => {
+    const startsAt = Date.now() + 50 * MINUTE_MS;
+    const event = { startsAt, remindersSent: [1440] };
+
+    expect(dueReminders(event, config.remindersMinutes, startsAt - 120 * MINUTE_MS)).toEqual([]);
+    expect(dueReminders(event, config.remindersMinutes, startsAt - 50 * MINUTE_MS)).toEqual([60]);
+    expect(dueReminders({ ...event, remindersSent: [1440, 60] }, config.remindersMinutes, startsAt - 10 * MINUTE_MS)).toEqual([15]);
+  });
+
+  it('should export pickups as an iCalendar file', () => {
+    const event = {
+      id: 3,
+      guildId: 'g1',
+      queue: '4v4',
+      capacity: 8,
+      startsAt: Date.UTC(2026, 9, 23, 20, 0),
+      title: 'Friday night pickup; bring friends, all welcome',
+      signups: [{ userId: 'u1', username: 'alice' }]
+    };
+    const ics = toIcs([event], config, Date.UTC(2026, 9, 19, 12, 0));
+    const lines = ics.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('UID:pickup-3-g1@pug-bot');
+    expect(lines).toContain('DTSTART:20261023T200000Z');
+    expect(lines).toContain('DTEND:20261023T220000Z');
+    expect(lines).toContain('SUMMARY:Friday night pickup\\; bring friends\\, all welcome');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+  });
+});
+
+describe('Schedule Store', () => {
+  it('should keep pickups soonest first', async () => {
+    const store = new MemoryScheduleStore();
+    const later = await store.create({ guildId: 'g1', queue: '4v4', capacity: 8, startsAt: 2000, title: 'Later' });
+    const sooner = await store.create({ guildId: 'g1', queue: '2v2', capacity: 4, startsAt: 1000, title: 'Sooner' });
+
+    await store.update(later.id, { signups: [{ userId: 'u1', username: 'alice' }] });
+    expect(store.list().map(event => event.title)).toEqual(['Sooner', 'Later']);
+    expect(store.get(String(later.id)).signups).toHaveLength(1);
+    expect(sooner.status).toBe('scheduled');
+  });
+
+  it('should reject unknown store types', () => {
+    expect(() => createScheduleStore('redis')).toThrow('Unknown schedule store type: redis');
+  });
+});
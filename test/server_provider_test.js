@@ -0,0 +1,82 @@
+/**
+ * Server Provider Tests
+ *
+ * Verifies server allocation and release for the fake and Docker providers.
+ */
+
+const { DockerServerProvider, FakeServerProvider, createServerProvider } = require('../utils/server_provider');
+
+describe('FakeServerProvider', () => {
+  it('should hand out servers up to its capacity and reuse released ones', async () => {
+    const provider = new FakeServerProvider({ capacity: 1 });
+    const server = await provider.allocate({ matchId: 1, map: 'well6' });
+
+    expect(server).toMatchObject({ id: 'fake-1', host: '127.0.0.1', port: 27500 });
+    expect(server.password).toMatch(/^[0-9a-f]{8}$/);
+    expect(await provider.status(server)).toBe('running');
+    expect(await provider.allocate({ matchId: 2, map: 'well6' })).toBeNull();
+
+    await provider.release(server);
+    expect(await provider.status(server)).toBe('stopped');
+    expect(await provider.allocate({ matchId: 2, map: 'well6' })).not.toBeNull();
+  });
+
+  it('should reject unknown provider types', () => {
+    expect(() => createServerProvider('aws')).toThrow('Unknown server provider type: aws');
+  });
+});
+
+describe('DockerServerProvider', () => {
+  const instances = [
+    { name: 'default', dockerHost: '', publicHost: 'pug.example.com', port: 27500 },
+    { name: 'second', dockerHost: 'ssh://f1@box2', publicHost: 'box2', port: 27501 }
+  ];
+
+  // Fakes the docker CLI with a set of running containers
+  const fakeDocker = running => jest.fn(async ([command, ...args]) => {
+    if (command === 'inspect') {
+      if (!running.has(args[2])) throw new Error('No such container');
+      return 'running';
+    }
+    if (command === 'run') running.add(args[args.indexOf('--name') + 1]);
+    if (command === 'rm') running.delete(args[1]);
+    return '';
+  });
+
+  it('should start the image on the first free instance', async () => {
+    const docker = fakeDocker(new Set(['pug-fortressone-default']));
+    const provider = new DockerServerProvider({ dockerImage: 'fortressone/fortressonesv:latest', instances, docker });
+
+    const server = await provider.allocate({ matchId: 7, map: 'well6' });
+
+    expect(server).toMatchObject({ id: 'pug-fortressone-second', instance: 'second', host: 'box2', port: 27501 });
+    const run = docker.mock.calls.find(([args]) => args[0] === 'run');
+    expect(run[0]).toEqual(expect.arrayContaining(['27501:27500/udp', 'F1_MAP=well6', `F1_PASSWORD=${server.password}`, 'fortressone/fortressonesv:latest']));
+    expect(run[1]).toBe('ssh://f1@box2');
+  });
+
+  it('should return null when every instance is busy and free instances on release', async () => {
+    const docker = fakeDocker(new Set(['pug-fortressone-default', 'pug-fortressone-second']));
+    const provider = new DockerServerProvider({ dockerImage: 'image', instances, docker });
+
+    expect(await provider.allocate({ matchId: 1, map: 'well6' })).toBeNull();
+
+    const server = { id: 'pug-fortressone-default', instance: 'default' };
+    await provider.release(server);
+    expect(await provider.status(server)).toBe('unknown');
+    expect(await provider.allocate({ matchId: 1, map: 'well6' })).toMatchObject({ instance: 'default' });
+  });
+
+  it('should try the instances in the requested region first', async () => {
+    const regional = [
+      { name: 'east', dockerHost: '', publicHost: 'east.example.com', port: 27500, region: 'na_east' },
+      { name: 'any', dockerHost: '', publicHost: 'any.example.com', port: 27501, region: null },
+      { name: 'eu', dockerHost: '', publicHost: 'eu.example.com', port: 27502, region: 'eu_west' }
+    ];
+    const provider = new DockerServerProvider({ dockerImage: 'image', instances: regional, docker: fakeDocker(new Set()) });
+
+    expect(await provider.allocate({ matchId: 1, map: 'well6', region: 'eu_west' })).toMatchObject({ instance: 'eu', region: 'eu_west' });
+    expect(await provider.allocate({ matchId: 2, map: 'well6', region: 'eu_west' })).toMatchObject({ instance: 'any', region: null });
+    expect(await provider.allocate({ matchId: 3, map: 'well6', region: 'eu_west' })).toMatchObject({ instance: 'east', region: 'na_east' });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Substitution Tests
+ *
+ * Verifies the match record swap, the first-volunteer-wins request and
+ * loading the substitution rules.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SubRequest, substitute, teamOf } = require('../utils/substitution');
+const { loadSubstitutionConfig } = require('../utils/substitution_config');
+const sub = require('../commands/sub');
+
+const match = {
+  id: 7,
+  teams: [
+    [{ userId: 'a', username: 'alice' }, { userId: 'b', username: 'bob' }],
+    [{ userId: 'c', username: 'carol' }, { userId: 'd', username: 'dave' }]
+  ],
+  captains: ['a', 'c']
+};
+
+describe('substitute', () => {
+  it('should put the volunteer on the missing player\'s team and record the swap', () => {
+    const changes = substitute(match, 'd', { userId: 'e', username: 'erin' }, { requestedBy: 'c' });
+
+    expect(changes.teams).toEqual([
+      match.teams[0],
+      [{ userId: 'c', username: 'carol' }, { userId: 'e', username: 'erin' }]
+    ]);
+    expect(changes.captains).toEqual(['a', 'c']);
+    expect(changes.subs).toEqual([expect.objectContaining({ team: 1, out: 'd', in: 'e', requestedBy: 'c' })]);
+  });
+
+  it('should hand a replaced captain\'s captaincy to the volunteer', () => {
+    const changes = substitute({ ...match, subs: [{ out: 'x', in: 'b' }] }, 'a', { userId: 'e', username: 'erin' });
+
+    expect(changes.captains).toEqual(['e', 'c']);
+    expect(changes.subs).toHaveLength(2);
+    expect(teamOf({ ...match, ...changes }, 'e')).toBe(0);
+  });
+
+  it('should refuse players who are not in the match', () => {
+    expect(() => substitute(match, 'z', { userId: 'e', username: 'erin' })).toThrow('Player z is not in match #7');
+  });
+});
+
+describe('SubRequest', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should accept only the first volunteer', () => {
+    const request = new SubRequest({ id: 'r1', matchId: 7, player: match.teams[1][1], requestedBy: 'c', timeoutMs: 1000 });
+    const onComplete = jest.fn();
+    request.on('complete', onComplete);
+    request.start();
+
+    expect(request.accept({ userId: 'e', username: 'erin' })).toBe(true);
+    expect(request.accept({ userId: 'f', username: 'frank' })).toBe(false);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(onComplete).toHaveBeenCalledWith({ volunteer: { userId: 'e', username: 'erin' } });
+  });
+
+  it('should expire when nobody volunteers in time', () => {
+    const request = new SubRequest({ id: 'r1', matchId: 7, player: match.teams[1][1], requestedBy: 'c', timeoutMs: 1000 });
+    const onExpire = jest.fn();
+    request.on('expire', onExpire);
+    request.start();
+
+    jest.advanceTimersByTime(1000);
+    expect(onExpire).toHaveBeenCalled();
+    expect(request.accept({ userId: 'e', username: 'erin' })).toBe(false);
+  });
+});
+
+describe('loadSubstitutionConfig', () => {
+  it('should load the shipped rules', () => {
+    expect(loadSubstitutionConfig()).toEqual({
+      maxSubsPerMatch: 2,
+      requestTimeoutSeconds: 300,
+      requestedBy: 'players',
+      noShowPenalty: { enabled: true, ratingPoints: 25 }
+    });
+  });
+
+  it('should reject an unknown requested_by', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'substitution-'));
+    const filePath = path.join(tempDir, 'substitution.yaml');
+    fs.writeFileSync(filePath, 'substitution:\n  requested_by: "admins"\n');
+
+    expect(() => loadSubstitutionConfig(filePath)).toThrow('substitution.requested_by must be "players" or "captains"');
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+});
+
+describe('/sub', () => {
+  const liveMatch = { ...match, guildId: 'g1', status: 'live' };
+
+  function run(userId, targetId) {
+    const replies = [];
+    const interaction = {
+      user: { id: userId, username: userId },
+      guildId: 'g1',
+      options: { getUser: () => ({ id: targetId, username: targetId }), getInteger: () => null },
+      reply: async payload => replies.push(payload)
+    };
+    const bot = {
+      substitution: { requestedBy: 'captains', maxSubsPerMatch: 2 },
+      matches: { get: () => liveMatch, list: filter => [liveMatch].filter(filter) },
+      subRequests: new Map(),
+      isAdmin: () => false,
+      beginSubRequest: jest.fn(async () => {})
+    };
+    return sub.execute(interaction, bot).then(() => ({ replies, bot }));
+  }
+
+  it('should let a player who isn\'t a captain ask to be replaced themselves', async () => {
+    const { replies, bot } = await run('b', 'b');
+
+    expect(replies).toEqual([]);
+    expect(bot.beginSubRequest).toHaveBeenCalledWith(liveMatch, { userId: 'b', username: 'b' }, expect.anything());
+  });
+
+  it('should only let captains ask to replace someone else', async () => {
+    const { replies, bot } = await run('b', 'a');
+
+    expect(bot.beginSubRequest).not.toHaveBeenCalled();
+    expect(replies[0].content).toBe('Only the captains of match #7 can ask for a substitute.');
+  });
+});
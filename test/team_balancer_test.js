@@ -0,0 +1,63 @@
+/**
+ * Team Balancer Tests
+ *
+ * Verifies that rating-based splits minimise the rating difference.
+ */
+
+const { balanceTeams, teamSizes, winProbabilities } = require('../utils/team_balancer');
+
+const ratingOf = player => player.rating;
+const players = ratings => ratings.map((rating, i) => ({ userId: `p${i}`, rating }));
+
+describe('Team Balancer', () => {
+  it('should find the most even two-team split', () => {
+    const { teams, averages } = balanceTeams(players([1400, 1300, 1100, 1000, 900, 800, 700, 600]), 2, ratingOf);
+
+    expect(teams[0]).toHaveLength(4);
+    expect(teams[1]).toHaveLength(4);
+    expect(averages[0]).toBe(averages[1]);
+  });
+
+  it('should not depend on join order', () => {
+    const first = balanceTeams(players([1500, 1000, 1500, 1000]), 2, ratingOf);
+
+    expect(first.averages).toEqual([1250, 1250]);
+  });
+
+  it('should balance more than two teams', () => {
+    const { teams, averages } = balanceTeams(players([1600, 1500, 1400, 1200, 1100, 1000]), 3, ratingOf);
+
+    expect(teams.map(team => team.length)).toEqual([2, 2, 2]);
+    expect(Math.max(...averages) - Math.min(...averages)).toBeLessThanOrEqual(50);
+  });
+
+  it('should keep parties on one team', () => {
+    const party = { p0: 1, p1: 1 };
+    const { teams } = balanceTeams(players([1500, 1400, 1100, 1000]), 2, ratingOf, player => party[player.userId]);
+
+    expect(teams.find(team => team.some(p => p.userId === 'p0')).map(p => p.userId)).toEqual(['p0', 'p1']);
+  });
+
+  it('should weigh a party by its combined rating in larger splits', () => {
+    const party = { p0: 1, p1: 1 };
+    const { teams, averages } = balanceTeams(players([1600, 1500, 1400, 1200, 1100, 1000]), 3, ratingOf,
+      player => party[player.userId]);
+
+    expect(teams.map(team => team.length)).toEqual([2, 2, 2]);
+    expect(teams[0].map(p => p.userId)).toEqual(['p0', 'p1']);
+    expect(averages[0]).toBeGreaterThan(averages[1]);
+  });
+
+  it('should size teams within one player of each other', () => {
+    expect(teamSizes(7, 2)).toEqual([4, 3]);
+    expect(teamSizes(9, 3)).toEqual([3, 3, 3]);
+  });
+
+  it('should predict win probability from average ratings', () => {
+    expect(winProbabilities([1000, 1000])).toEqual([0.5, 0.5]);
+
+    const [favourite, underdog] = winProbabilities([1200, 1000]);
+    expect(favourite).toBeCloseTo(0.76, 2);
+    expect(favourite + underdog).toBeCloseTo(1);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Voice Ops Tests
+ *
+ * Verifies the team voice channel settings, names and permissions.
+ */
+
+const path = require('path');
+const { PermissionFlagsBits } = require('discord.js');
+const { loadVoiceConfig, teamChannelName, matchIdFromChannel, teamOverwrites } = require('../utils/voice_ops');
+
+const config = loadVoiceConfig(path.join(__dirname, '../config/voice_ops.yaml'));
+
+describe('Voice Ops', () => {
+  it('should load voice_ops from its config', () => {
+    expect(config).toEqual({
+      enabled: true,
+      channelName: 'Match #{match_id} - Team {team}',
+      movePlayers: true,
+      returnToLobby: true
+    });
+  });
+
+  it('should recognise the channels it names', () => {
+    expect(teamChannelName(config, 12, 0)).toBe('Match #12 - Team 1');
+    expect(matchIdFromChannel(config, teamChannelName(config, 12, 1))).toBe(12);
+    expect(matchIdFromChannel(config, 'Match #12 - Team 1 (old)')).toBeNull();
+    expect(matchIdFromChannel(config, 'General')).toBeNull();
+
+    const custom = { ...config, channelName: '[{match_id}] T{team}' };
+    expect(matchIdFromChannel(custom, teamChannelName(custom, 7, 1))).toBe(7);
+  });
+
+  it('should only let the team and the bot into a channel', () => {
+    const overwrites = teamOverwrites('g1', 'bot', [{ userId: 'u1' }, { userId: 'u2' }]);
+
+    expect(overwrites.find(o => o.id === 'g1').deny).toEqual([PermissionFlagsBits.Connect]);
+    expect(overwrites.find(o => o.id === 'bot').allow).toContain(PermissionFlagsBits.MoveMembers);
+    expect(overwrites.filter(o => o.allow?.includes(PermissionFlagsBits.Connect)).map(o => o.id)).toEqual(['bot', 'u1', 'u2']);
+  });
+});
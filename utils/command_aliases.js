@@ -0,0 +1,109 @@
+/**
+ * Command Aliases
+ *
+ * Resolves QWTF-style text commands (`++`, `--`, `!tpg`, `!add`, ...) to the
+ * bot's canonical commands using the `command_aliases` and `special_syntax`
+ * maps in config/qwtf_parity.yaml, and counts alias usage for the
+ * `command_usage_by_alias` metric.
+ *
+ * Two settings from `command_integration` decide how the maps merge:
+ *   merge_strategy      "qwtf_priority" lets `special_syntax` override
+ *                       `command_aliases` for the same token; anything else
+ *                       keeps the `command_aliases` entry.
+ *   conflict_resolution "alias_wins" routes a token that is both an alias and
+ *                       a native `!command` through the alias; "command_wins"
+ *                       keeps the native command; "error" refuses to start.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_PATH = path.join(__dirname, '../config/qwtf_parity.yaml');
+
+/**
+ * Loads the alias settings from the QWTF parity config
+ * @param {string} filePath Path to the QWTF parity YAML file
+ * @returns {Object} Alias maps and merge settings
+ */
+function loadAliasConfig(filePath = DEFAULT_PATH) {
+  const config = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  const integration = config.command_integration || {};
+
+  return {
+    commandAliases: config.pug_bot?.command_aliases || {},
+    specialSyntax: integration.special_syntax || {},
+    mergeStrategy: integration.merge_strategy || 'qwtf_priority',
+    conflictResolution: integration.conflict_resolution || 'alias_wins'
+  };
+}
+
+class AliasResolver {
+  /**
+   * Creates a new AliasResolver instance
+   * @param {Object} options Alias maps and merge settings (see loadAliasConfig)
+   * @param {string[]} nativeCommands Canonical names of the bot's own commands
+   */
+  constructor(options, nativeCommands = []) {
+    this.table = new Map();
+    this.usage = new Map();
+
+    const aliases = new Map(Object.entries(options.commandAliases || {}));
+    for (const [token, entry] of Object.entries(options.specialSyntax || {})) {
+      if (!aliases.has(token) || options.mergeStrategy === 'qwtf_priority') {
+        aliases.set(token, entry.canonical);
+      }
+    }
+
+    for (const name of nativeCommands) {
+      this.table.set(`!${name}`, { canonical: name, alias: null });
+    }
+
+    for (const [token, canonical] of aliases) {
+      const key = token.toLowerCase();
+      const native = this.table.get(key);
+
+      if (native && native.canonical !== canonical) {
+        if (options.conflictResolution === 'error') {
+          throw new Error(`Alias ${token} conflicts with the native !${native.canonical} command`);
+        }
+        if (options.conflictResolution === 'command_wins') continue;
+      }
+
+      this.table.set(key, { canonical, alias: token });
+    }
+  }
+
+  /**
+   * Resolves a message to a canonical command
+   * @param {string} content The message content
+   * @returns {Object|null} The canonical command, the alias used (null for a
+   *   native `!command`) and any arguments, or null if it isn't a command
+   */
+  resolve(content) {
+    const [token, ...args] = content.trim().split(/\s+/);
+    const entry = token ? this.table.get(token.toLowerCase()) : undefined;
+
+    if (!entry) return null;
+
+    if (entry.alias) {
+      this.usage.set(entry.alias, (this.usage.get(entry.alias) || 0) + 1);
+    }
+
+    return { ...entry, args };
+  }
+
+  /**
+   * Returns alias usage counts for the command_usage_by_alias metric, shown
+   * in /settings show
+   * @returns {Object} Number of times each alias has been used
+   */
+  usageByAlias() {
+    return Object.fromEntries(this.usage);
+  }
+}
+
+module.exports = {
+  AliasResolver,
+  loadAliasConfig
+};
@@ -0,0 +1,47 @@
+/**
+ * Command Options
+ *
+ * Slash-command options shared by several command modules. The queue
+ * choices come from config/queues.yaml (or QUEUE_CONFIG_PATH), the same
+ * file the bot runs its queues from. The region choices come from
+ * region_preferences in config/qwtf_parity.yaml (or QWTF_PARITY_CONFIG_PATH),
+ * and the season choices from config/stats.yaml (or STATS_CONFIG_PATH). The
+ * feature flag choices come from the same QWTF parity file.
+ */
+
+const { loadQueueConfig } = require('./queue_config');
+const { loadRegionConfig } = require('./regions');
+const { loadStatsConfig } = require('./stats_config');
+const { loadFeatureFlags } = require('./feature_flags');
+
+const { defaultQueue, queues } = loadQueueConfig(process.env.QUEUE_CONFIG_PATH);
+const queueChoices = [...queues.values()].map(queue => ({ name: queue.name, value: queue.name }));
+
+const { supportedRegions } = loadRegionConfig(process.env.QWTF_PARITY_CONFIG_PATH);
+const regionChoices = supportedRegions.map(region => ({ name: region, value: region }));
+
+const { seasons } = loadStatsConfig(process.env.STATS_CONFIG_PATH);
+const seasonChoices = seasons.map(season => ({ name: season.name, value: season.name }));
+
+const flagChoices = [...loadFeatureFlags(process.env.QWTF_PARITY_CONFIG_PATH).flags.keys()]
+  .map(name => ({ name, value: name }));
+
+/**
+ * Adds the optional `queue` option, defaulting to the default queue
+ * @param {Object} builder The SlashCommandBuilder
+ * @returns {Object} The builder
+ */
+function withQueueOption(builder) {
+  return builder.addStringOption(option =>
+    option.setName('queue')
+      .setDescription(`Queue to use (default: ${defaultQueue})`)
+      .addChoices(...queueChoices));
+}
+
+module.exports = {
+  flagChoices,
+  queueChoices,
+  regionChoices,
+  seasonChoices,
+  withQueueOption
+};
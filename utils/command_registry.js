@@ -0,0 +1,236 @@
+/**
+ * Command Registry
+ *
+ * Holds the bot's slash commands, runs them and syncs them to Discord.
+ * Commands are loaded from the modules in a directory (see commands/) or
+ * registered at runtime, e.g. by SuperLoader's command_registry step.
+ *
+ * A command module exports one command, or an array of them:
+ *   data     SlashCommandBuilder (or its JSON) describing the command
+ *   execute  async (interaction, context) => void
+ *   admin    true if only admins may use it
+ *   text     true if it can also be typed as `!name`
+ *
+ * YAML definitions ({ name, description, options, permissions, handler })
+ * are turned into command JSON, and their handler is looked up by name in
+ * the handlers the registry was created with.
+ *
+ * Emits `change` whenever a command is registered or unregistered, so the
+ * caller knows to sync again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { ApplicationCommandOptionType, Routes } = require('discord.js');
+
+const OPTION_TYPES = {
+  string: ApplicationCommandOptionType.String,
+  integer: ApplicationCommandOptionType.Integer,
+  boolean: ApplicationCommandOptionType.Boolean,
+  user: ApplicationCommandOptionType.User,
+  channel: ApplicationCommandOptionType.Channel,
+  role: ApplicationCommandOptionType.Role,
+  number: ApplicationCommandOptionType.Number
+};
+
+/**
+ * Turns a YAML command option into application command option JSON
+ * @param {Object} option The YAML option
+ * @returns {Object} The option JSON
+ */
+function optionFromDefinition(option) {
+  const type = OPTION_TYPES[option.type || 'string'];
+  if (!type) {
+    throw new Error(`Unknown option type for ${option.name}: ${option.type}`);
+  }
+
+  const json = {
+    type,
+    name: option.name,
+    description: option.description || option.name,
+    required: Boolean(option.required)
+  };
+  if (option.min_value !== undefined) json.min_value = option.min_value;
+  if (option.max_value !== undefined) json.max_value = option.max_value;
+  if (option.choices) json.choices = option.choices;
+  return json;
+}
+
+class CommandRegistry extends EventEmitter {
+  /**
+   * Creates a new CommandRegistry instance
+   * @param {Object} options Configuration options
+   * @param {Object} [options.handlers] Handlers YAML definitions can name,
+   *   each async (interaction, context) => void
+   * @param {Object} [options.rest] discord.js REST client used by sync()
+   */
+  constructor(options = {}) {
+    super();
+    this.handlers = options.handlers || {};
+    this.rest = options.rest || null;
+    this.commands = new Map();
+  }
+
+  /**
+   * Registers every command module in a directory, in file name order
+   * @param {string} directory Path to the directory
+   * @returns {string[]} Names of the commands registered
+   */
+  loadDirectory(directory) {
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+    const names = [];
+
+    for (const file of files) {
+      const exported = require(path.join(directory, file));
+      for (const command of [].concat(exported)) {
+        names.push(this.registerCommand(command));
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Adds a command, replacing any command with the same name
+   * @param {Object} definition A command module or a YAML definition
+   * @returns {string} The command name
+   */
+  registerCommand(definition) {
+    const command = definition.execute
+      ? this.fromModule(definition)
+      : this.fromDefinition(definition);
+
+    this.commands.set(command.name, command);
+    this.emit('change', { registered: command.name });
+    return command.name;
+  }
+
+  /**
+   * Removes a command
+   * @param {string} name The command name
+   * @returns {boolean} False if there was no such command
+   */
+  unregisterCommand(name) {
+    if (!this.commands.delete(name)) return false;
+
+    this.emit('change', { unregistered: name });
+    return true;
+  }
+
+  fromModule(module) {
+    const json = typeof module.data.toJSON === 'function' ? module.data.toJSON() : module.data;
+    return {
+      name: json.name,
+      json,
+      execute: module.execute,
+      admin: Boolean(module.admin),
+      text: Boolean(module.text)
+    };
+  }
+
+  fromDefinition(definition) {
+    const execute = this.handlers[definition.handler];
+    if (typeof execute !== 'function') {
+      throw new Error(`Unknown handler for /${definition.name}: ${definition.handler}`);
+    }
+
+    return {
+      name: definition.name,
+      json: {
+        name: definition.name,
+        description: definition.description || definition.name,
+        options: (definition.options || []).map(optionFromDefinition)
+      },
+      execute,
+      admin: definition.permissions === 'admin',
+      text: false
+    };
+  }
+
+  /**
+   * Returns a registered command
+   * @param {string} name The command name
+   * @returns {Object|undefined} The command
+   */
+  get(name) {
+    return this.commands.get(name);
+  }
+
+  /**
+   * Returns the registered commands in registration order
+   * @returns {Object[]} The commands
+   */
+  list() {
+    return [...this.commands.values()];
+  }
+
+  /**
+   * Returns the application command JSON for every command
+   * @returns {Object[]} Command JSON, as sent to Discord
+   */
+  toJSON() {
+    return this.list().map(command => command.json);
+  }
+
+  /**
+   * Replaces a guild's application commands with the registered ones
+   * @param {string} applicationId The bot's application ID
+   * @param {string} guildId The guild to sync
+   * @returns {Promise<void>}
+   */
+  async sync(applicationId, guildId) {
+    await this.rest.put(Routes.applicationGuildCommands(applicationId, guildId), { body: this.toJSON() });
+  }
+
+  /**
+   * Runs the command an interaction is for
+   * @param {Object} interaction The interaction, or a wrapper with the same API
+   * @param {Object} context Passed to the command; its isAdmin(interaction)
+   *   decides who may use admin commands
+   * @returns {Promise<void>} Resolves even if the command fails; the error is
+   *   logged and the user told
+   */
+  async execute(interaction, context) {
+    const command = this.commands.get(interaction.commandName);
+
+    try {
+      if (!command) {
+        await interaction.reply({ content: 'That command is no longer available.', ephemeral: true });
+        return;
+      }
+
+      if (command.admin && !context.isAdmin(interaction)) {
+        await interaction.reply({ content: 'Only admins can use this command.', ephemeral: true });
+        return;
+      }
+
+      await command.execute(interaction, context);
+    } catch (error) {
+      console.error(`/${interaction.commandName} failed: ${error.stack || error.message}`);
+      await CommandRegistry.replyWithError(interaction);
+    }
+  }
+
+  /**
+   * Tells the user their command or button press failed, as a follow-up if
+   * the interaction was already replied to or deferred
+   * @param {Object} interaction The interaction that failed
+   * @returns {Promise<void>} Never rejects; a failed reply is only logged
+   */
+  static async replyWithError(interaction) {
+    const payload = { content: 'Something went wrong, please try again.', ephemeral: true };
+
+    try {
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(payload);
+      } else {
+        await interaction.reply(payload);
+      }
+    } catch (error) {
+      console.error(`Failed to report an error to ${interaction.user?.username}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = CommandRegistry;
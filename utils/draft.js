@@ -0,0 +1,219 @@
+/**
+ * Captain Draft
+ *
+ * Runs a pickup draft: captains take turns picking from the remaining pool
+ * following a pick order such as 1-2-2-1 (repeated until the pool is
+ * empty). If a captain doesn't pick before the timeout, the highest-rated
+ * remaining player is picked for them. Parties stay together: a captain's
+ * party joins their team up front, picking a player brings their party
+ * along, and a captain whose team is full is skipped.
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Parses a pick order string like "1-2-2-1" into zero-based captain indexes
+ * @param {string} pickOrder The pick order
+ * @param {number} captainCount Number of captains
+ * @returns {number[]} Captain index for each pick in one cycle
+ */
+function parsePickOrder(pickOrder, captainCount) {
+  const order = String(pickOrder).split('-').map(value => Number(value) - 1);
+
+  if (order.length === 0 || order.some(i => !Number.isInteger(i) || i < 0 || i >= captainCount)) {
+    throw new Error(`Invalid pick order "${pickOrder}" for ${captainCount} captains`);
+  }
+
+  return order;
+}
+
+/**
+ * Chooses captains: the highest-rated volunteers first, then random players.
+ * Two members of one party are only made captains if there is no one else.
+ * @param {Object[]} players Lobby entries, volunteers have `captain: true`
+ * @param {number} count Number of captains
+ * @param {Function} ratingOf Returns a player's rating
+ * @param {Function} random Random number source, defaults to Math.random
+ * @param {Function} [groupOf] Returns the party ID of a player, or undefined
+ * @returns {Object[]} The captains
+ */
+function chooseCaptains(players, count, ratingOf, random = Math.random, groupOf = () => undefined) {
+  const captains = [];
+  const free = player => groupOf(player) === undefined || !captains.some(captain => groupOf(captain) === groupOf(player));
+
+  for (const volunteer of players.filter(player => player.captain).sort((a, b) => ratingOf(b) - ratingOf(a))) {
+    if (captains.length < count && free(volunteer)) captains.push(volunteer);
+  }
+
+  const others = players.filter(player => !captains.includes(player));
+  while (captains.length < count && others.length > 0) {
+    const candidates = others.filter(free).length > 0 ? others.filter(free) : others;
+    const captain = candidates[Math.floor(random() * candidates.length)];
+    others.splice(others.indexOf(captain), 1);
+    captains.push(captain);
+  }
+
+  return captains;
+}
+
+class Draft extends EventEmitter {
+  /**
+   * Creates a new Draft instance
+   * @param {Object} options Configuration options
+   * @param {string} options.id Identifier used in select menu IDs
+   * @param {string} options.queue The queue the draft belongs to
+   * @param {Object[]} options.captains One captain per team
+   * @param {Object[]} options.pool The players left to pick
+   * @param {string} options.pickOrder Pick order such as "1-2-2-1"
+   * @param {number} options.timeoutMs How long each captain has to pick
+   * @param {Function} options.ratingOf Returns a player's rating, used for auto-picks
+   * @param {Function} [options.groupOf] Returns the party ID of a player, or undefined
+   */
+  constructor(options) {
+    super();
+    this.id = options.id;
+    this.queue = options.queue;
+    this.captains = options.captains;
+    this.teams = options.captains.map(captain => [captain]);
+    this.pool = [...options.pool];
+    this.order = parsePickOrder(options.pickOrder, options.captains.length);
+    this.timeoutMs = options.timeoutMs;
+    this.ratingOf = options.ratingOf;
+    this.groupOf = options.groupOf || (() => undefined);
+    this.teamSize = Math.ceil((this.captains.length + this.pool.length) / this.captains.length);
+    this.pickNumber = 0;
+    this.timer = null;
+    this.finished = false;
+
+    this.captains.forEach((captain, i) => {
+      for (const partner of this.partyOf(captain)) {
+        this.pool.splice(this.pool.indexOf(partner), 1);
+        this.teams[i].push(partner);
+      }
+    });
+  }
+
+  /**
+   * Starts the draft with the first captain's turn
+   */
+  start() {
+    this.nextTurn();
+  }
+
+  /**
+   * Returns the index of the captain whose turn it is
+   * @returns {number} Captain index
+   */
+  currentIndex() {
+    return this.order[this.pickNumber % this.order.length];
+  }
+
+  /**
+   * Returns the captain whose turn it is
+   * @returns {Object} The captain's lobby entry
+   */
+  currentCaptain() {
+    return this.captains[this.currentIndex()];
+  }
+
+  /**
+   * Picks a player for the captain whose turn it is
+   * @param {string} captainId The user ID of the captain making the pick
+   * @param {string} userId The user ID of the player being picked
+   * @returns {boolean} False if it isn't this captain's turn, the player isn't
+   *   available or their party doesn't fit on the team
+   */
+  pick(captainId, userId) {
+    if (this.finished || this.currentCaptain().userId !== captainId) return false;
+
+    const player = this.pool.find(p => p.userId === userId);
+    const picked = player && this.pickable(player);
+    if (!picked) return false;
+
+    this.assign(picked, 'captain');
+    return true;
+  }
+
+  /**
+   * Stops the draft without locking the teams
+   */
+  cancel() {
+    this.finished = true;
+    clearTimeout(this.timer);
+    this.emit('cancel', this);
+  }
+
+  // The rest of a player's party still in the pool
+  partyOf(player) {
+    const group = this.groupOf(player);
+    if (group === undefined) return [];
+    return this.pool.filter(other => other !== player && this.groupOf(other) === group);
+  }
+
+  // Whether players fit on the current captain's team
+  fits(players) {
+    return this.teams[this.currentIndex()].length + players.length <= this.teamSize;
+  }
+
+  // The players a pick takes: the player with their party, or the player
+  // alone if no party in the pool fits on the team any more
+  pickable(player) {
+    const picked = [player, ...this.partyOf(player)];
+    if (this.fits(picked)) return picked;
+
+    const anyFits = this.pool.some(other => this.fits([other, ...this.partyOf(other)]));
+    return anyFits ? null : [player];
+  }
+
+  assign(players, reason) {
+    clearTimeout(this.timer);
+
+    const team = this.currentIndex();
+    const [player, ...partners] = players;
+    this.pool = this.pool.filter(p => !players.includes(p));
+    this.teams[team].push(...players);
+    this.pickNumber++;
+    this.finished = this.pool.length === 0;
+
+    this.emit('pick', { captain: this.captains[team], player, partners, team, reason });
+    this.nextTurn();
+  }
+
+  nextTurn() {
+    if (this.pool.length === 0) {
+      this.finished = true;
+      this.emit('complete', this.teams);
+      return;
+    }
+
+    // Captains whose team is full lose their turn
+    while (this.teams[this.currentIndex()].length >= this.teamSize) this.pickNumber++;
+
+    // With one player (or one party) left there is nothing to choose between
+    if (this.pool.length === 1 || this.pool.length === 1 + this.partyOf(this.pool[0]).length) {
+      this.assign(this.pickable(this.pool[0]), 'last');
+      return;
+    }
+
+    this.timer = setTimeout(() => this.autoPick(), this.timeoutMs);
+    this.emit('turn', this.currentCaptain());
+  }
+
+  // Picks the highest-rated remaining player for a captain who ran out of time
+  autoPick() {
+    if (this.finished) return;
+
+    const best = [...this.pool]
+      .sort((a, b) => this.ratingOf(b) - this.ratingOf(a))
+      .map(player => this.pickable(player))
+      .find(Boolean);
+
+    this.assign(best, 'timeout');
+  }
+}
+
+module.exports = {
+  Draft,
+  chooseCaptains,
+  parsePickOrder
+};
@@ -0,0 +1,191 @@
+/**
+ * Feature Flags
+ *
+ * Reads the `feature_flags` section of config/qwtf_parity.yaml. A flag is
+ * on for a guild or user when it is enabled and the ID falls inside its
+ * rollout_percentage. IDs are hashed together with the flag name, so an ID
+ * always gets the same answer, raising the percentage only ever adds IDs,
+ * and each flag rolls out to a different slice. When both a guild and a user
+ * are known the user is bucketed, so a flag can reach part of a guild.
+ *
+ * A guild can override a flag, turning it on or off for everyone there
+ * whatever the rollout says (see /flags). Overrides come from the
+ * `overrides` function the flags are created with.
+ *
+ * `staging.rollback_triggers` are checked as outcomes are recorded: a flag
+ * whose recent error rate passes `error_rate_threshold` is rolled back,
+ * i.e. off everywhere until restored. The other triggers (user complaints,
+ * performance) aren't measured by the bot.
+ *
+ * Events:
+ *   rollback  { name, reason }  a flag was rolled back
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { EventEmitter } = require('events');
+
+const DEFAULT_PATH = path.join(__dirname, '../config/qwtf_parity.yaml');
+
+// Outcomes kept per flag for the error rate, and how many are needed to judge it
+const OUTCOME_WINDOW = 100;
+const MIN_OUTCOMES = 20;
+
+/**
+ * Returns where an ID falls in a flag's rollout, from 0 to 99
+ * @param {string} name The flag name
+ * @param {string} id The guild or user ID
+ * @returns {number} The ID's rollout bucket
+ */
+function rolloutBucket(name, id) {
+  const hash = crypto.createHash('sha256').update(`${name}:${id}`).digest();
+  return hash.readUInt32BE(0) % 100;
+}
+
+/**
+ * Turns rollback trigger strings such as "error_rate_threshold: 5%" into
+ * { error_rate_threshold: 0.05 }
+ * @param {string[]} triggers The rollback_triggers entries
+ * @returns {Object} Trigger thresholds keyed by name, percentages as fractions
+ */
+function parseRollbackTriggers(triggers = []) {
+  const parsed = {};
+  for (const trigger of triggers) {
+    const [name, value] = String(trigger).split(':').map(part => part.trim());
+    if (!value) continue;
+    parsed[name] = value.endsWith('%') ? Number(value.slice(0, -1)) / 100 : Number(value);
+  }
+  return parsed;
+}
+
+class FeatureFlags extends EventEmitter {
+  /**
+   * Creates a new FeatureFlags instance
+   * @param {Object} flags Flag settings keyed by name ({ enabled, rolloutPercentage, description })
+   * @param {Object} [options] Configuration options
+   * @param {Function} [options.overrides] Returns a guild's overrides, { flag name: true|false }
+   * @param {Object} [options.rollbackTriggers] Thresholds from parseRollbackTriggers
+   */
+  constructor(flags = {}, options = {}) {
+    super();
+    this.flags = new Map(Object.entries(flags));
+    this.overrides = options.overrides || (() => ({}));
+    this.rollbackTriggers = options.rollbackTriggers || {};
+    this.rolledBack = new Map();
+    this.outcomes = new Map();
+  }
+
+  /**
+   * Returns whether a flag is on
+   * @param {string} name The flag name
+   * @param {string|Object} [target] A guild or user ID, or { guildId, userId };
+   *   without one only fully rolled out flags are on
+   * @returns {boolean} True if the flag is on for the target; unknown and
+   *   rolled back flags are off
+   */
+  isEnabled(name, target = {}) {
+    const flag = this.flags.get(name);
+    if (!flag || this.rolledBack.has(name)) return false;
+
+    const { guildId = null, userId = null } = typeof target === 'string' ? { guildId: target } : target;
+    const override = guildId ? this.overrides(guildId)?.[name] : undefined;
+    if (typeof override === 'boolean') return override;
+    if (!flag.enabled) return false;
+
+    const id = userId || guildId;
+    return id ? rolloutBucket(name, id) < flag.rolloutPercentage : flag.rolloutPercentage >= 100;
+  }
+
+  /**
+   * Records whether code behind a flag worked, rolling the flag back if its
+   * error rate passes the error_rate_threshold trigger
+   * @param {string} name The flag name
+   * @param {boolean} ok False if it failed
+   */
+  recordOutcome(name, ok) {
+    const threshold = this.rollbackTriggers.error_rate_threshold;
+    if (threshold === undefined || this.rolledBack.has(name)) return;
+
+    const outcomes = [...(this.outcomes.get(name) || []), ok].slice(-OUTCOME_WINDOW);
+    this.outcomes.set(name, outcomes);
+
+    const errorRate = outcomes.filter(outcome => !outcome).length / outcomes.length;
+    if (outcomes.length >= MIN_OUTCOMES && errorRate > threshold) {
+      this.rollback(name, `error rate ${Math.round(errorRate * 100)}% over ${Math.round(threshold * 100)}%`);
+    }
+  }
+
+  /**
+   * Turns a flag off everywhere, guild overrides included, until it is restored
+   * @param {string} name The flag name
+   * @param {string} reason Why it was rolled back
+   */
+  rollback(name, reason) {
+    this.rolledBack.set(name, reason);
+    this.emit('rollback', { name, reason });
+  }
+
+  /**
+   * Undoes a rollback
+   * @param {string} name The flag name
+   * @returns {boolean} False if the flag wasn't rolled back
+   */
+  restore(name) {
+    this.outcomes.delete(name);
+    return this.rolledBack.delete(name);
+  }
+
+  /**
+   * Describes every flag for a guild
+   * @param {string} guildId The guild ID
+   * @returns {Object[]} { name, enabled, rolloutPercentage, description,
+   *   override, rolledBack, on } with `on` meaning on for the guild itself
+   */
+  describe(guildId) {
+    const overrides = this.overrides(guildId) || {};
+    return [...this.flags].map(([name, flag]) => ({
+      name,
+      ...flag,
+      override: typeof overrides[name] === 'boolean' ? overrides[name] : null,
+      rolledBack: this.rolledBack.get(name) || null,
+      on: this.isEnabled(name, { guildId })
+    }));
+  }
+}
+
+/**
+ * Loads the feature flags from the QWTF parity config. Entries without a
+ * rollout_percentage (such as `staging`) aren't flags and are skipped;
+ * the rollback triggers come from `staging`.
+ * @param {string} filePath Path to the QWTF parity YAML file
+ * @param {Object} [options] Options passed to FeatureFlags, such as overrides
+ * @returns {FeatureFlags} The feature flags
+ */
+function loadFeatureFlags(filePath = DEFAULT_PATH, options = {}) {
+  const config = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  const entries = config.feature_flags || {};
+  const flags = {};
+
+  for (const [name, flag] of Object.entries(entries)) {
+    if (flag?.rollout_percentage === undefined) continue;
+
+    flags[name] = {
+      enabled: flag.enabled !== false,
+      rolloutPercentage: Number(flag.rollout_percentage),
+      description: flag.description || ''
+    };
+  }
+
+  const staging = entries.staging || {};
+  const rollbackTriggers = staging.enabled === false ? {} : parseRollbackTriggers(staging.rollback_triggers);
+  return new FeatureFlags(flags, { rollbackTriggers, ...options });
+}
+
+module.exports = {
+  FeatureFlags,
+  loadFeatureFlags,
+  parseRollbackTriggers,
+  rolloutBucket
+};
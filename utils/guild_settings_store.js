@@ -0,0 +1,124 @@
+/**
+ * Guild Settings Store
+ *
+ * Keeps the settings each guild can change for itself: queue sizes that
+ * override config/queues.yaml, the channel match announcements go to, the
+ * role allowed to use admin commands, the audit channel admin actions are
+ * logged to, which queues are locked, where the live lobby messages are,
+ * the role pinged when a match needs a substitute, the feature flags
+ * the guild has turned on or off (`flagOverrides`, flag name to true|false),
+ * the category team voice channels are created under, the lobby voice
+ * channel players are moved from and each queue's notify role (`notifyRoles`,
+ * queue name to role ID).
+ * FileGuildSettingsStore persists them to a JSON file under data/;
+ * MemoryGuildSettingsStore keeps them in process and is used for tests.
+ */
+
+const path = require('path');
+const { readJson, writeJson } = require('./json_file');
+
+const DEFAULT_SETTINGS = {
+  queueSizes: {},
+  announceChannelId: null,
+  adminRoleId: null,
+  auditChannelId: null,
+  lockedQueues: [],
+  lobbyMessages: {},
+  subRoleId: null,
+  flagOverrides: {},
+  voiceCategoryId: null,
+  lobbyVoiceChannelId: null,
+  notifyRoles: {}
+};
+
+class MemoryGuildSettingsStore {
+  constructor() {
+    this.guilds = new Map();
+  }
+
+  /**
+   * Restores previously persisted settings
+   * @returns {Promise<void>}
+   */
+  async load() {}
+
+  /**
+   * Writes the current settings to the backing storage
+   * @returns {Promise<void>}
+   */
+  async persist() {}
+
+  /**
+   * Returns a guild's settings, with defaults for anything not set
+   * @param {string} guildId The guild ID
+   * @returns {Object} The guild's settings
+   */
+  get(guildId) {
+    const settings = this.guilds.get(guildId) || {};
+    return {
+      ...DEFAULT_SETTINGS,
+      ...settings,
+      queueSizes: { ...DEFAULT_SETTINGS.queueSizes, ...settings.queueSizes }
+    };
+  }
+
+  /**
+   * Applies changes to a guild's settings
+   * @param {string} guildId The guild ID
+   * @param {Object} changes Settings to update
+   * @returns {Promise<Object>} The updated settings
+   */
+  async update(guildId, changes) {
+    this.guilds.set(guildId, { ...this.guilds.get(guildId), ...changes });
+    await this.persist();
+    return this.get(guildId);
+  }
+}
+
+class FileGuildSettingsStore extends MemoryGuildSettingsStore {
+  /**
+   * Creates a new FileGuildSettingsStore instance
+   * @param {Object} options Configuration options
+   * @param {string} options.filePath Path to the JSON file holding the settings
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || path.join(__dirname, '../data/guild_settings.json');
+  }
+
+  async load() {
+    const data = await readJson(this.filePath, { guilds: {} });
+    this.guilds = new Map(Object.entries(data.guilds || {}));
+  }
+
+  async persist() {
+    await writeJson(this.filePath, { guilds: Object.fromEntries(this.guilds) });
+  }
+}
+
+const stores = {
+  file: FileGuildSettingsStore,
+  memory: MemoryGuildSettingsStore
+};
+
+/**
+ * Creates a guild settings store of the requested type
+ * @param {string} type Store type ('file' or 'memory')
+ * @param {Object} options Options passed to the store constructor
+ * @returns {MemoryGuildSettingsStore} The guild settings store
+ */
+function createGuildSettingsStore(type = 'file', options = {}) {
+  const Store = stores[type];
+
+  if (!Store) {
+    throw new Error(`Unknown guild settings store type: ${type}`);
+  }
+
+  return new Store(options);
+}
+
+module.exports = {
+  MemoryGuildSettingsStore,
+  FileGuildSettingsStore,
+  createGuildSettingsStore
+};
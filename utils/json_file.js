@@ -0,0 +1,67 @@
+/**
+ * JSON File Helpers
+ *
+ * Shared read/write helpers for the file-backed stores under data/.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} filePath Path to the JSON file
+ * @param {*} fallback Value returned when the file does not exist yet
+ * @returns {Promise<*>} The parsed contents
+ */
+async function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+// The last write queued for each file
+const pendingWrites = new Map();
+let tempCounter = 0;
+
+async function replaceFile(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.${++tempCounter}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  try {
+    await fs.writeFile(tempPath, contents);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Writes data as JSON, going through a temp file so a crash mid-write
+ * can't leave a corrupt file behind. Overlapping writes to the same file
+ * run one after another, so the last call's data is what ends up on disk.
+ * @param {string} filePath Path to the JSON file
+ * @param {*} data The data to write
+ * @returns {Promise<void>}
+ */
+async function writeJson(filePath, data) {
+  // Serialised now, so later changes to `data` don't leak into this write
+  const contents = JSON.stringify(data, null, 2);
+  const previous = pendingWrites.get(filePath) || Promise.resolve();
+  const write = previous.catch(() => {}).then(() => replaceFile(filePath, contents));
+  pendingWrites.set(filePath, write);
+
+  try {
+    await write;
+  } finally {
+    if (pendingWrites.get(filePath) === write) pendingWrites.delete(filePath);
+  }
+}
+
+module.exports = {
+  readJson,
+  writeJson
+};
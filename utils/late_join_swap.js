@@ -0,0 +1,150 @@
+/**
+ * Late Join Swap
+ *
+ * When a player joins a live match shortly after it started (a substitute),
+ * the teams may no longer be even. This finds the swap of one player from
+ * the stronger team with one from the losing team that evens them out the
+ * most, using the `late_join_swap` settings in config/qwtf_parity.yaml:
+ *   time_window_minutes  how long after the start a join still counts as late
+ *   target_team          "losing": the team with the lowest average rating,
+ *                        i.e. the one predicted to lose, gets the stronger player
+ *   swap_criteria        how candidate swaps are ranked, in order:
+ *                        "skill_balance"    smallest rating gap between teams
+ *                        "recent_join_time" swaps involving the latest joiner
+ *   auto_execute         swap straight away instead of asking the captains
+ * Captains are never swapped, and a swap is only suggested if it narrows
+ * the rating gap.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_PATH = path.join(__dirname, '../config/qwtf_parity.yaml');
+const CRITERIA = ['skill_balance', 'recent_join_time'];
+
+/**
+ * Loads the late_join_swap settings
+ * @param {string} filePath Path to the QWTF parity YAML file
+ * @returns {Object} The late join swap settings
+ */
+function loadLateJoinSwapConfig(filePath = DEFAULT_PATH) {
+  const config = (yaml.load(fs.readFileSync(filePath, 'utf8')) || {}).pug_bot?.late_join_swap || {};
+
+  const settings = {
+    enabled: config.enabled !== false,
+    timeWindowMinutes: Number(config.time_window_minutes ?? 5),
+    targetTeam: config.target_team || 'losing',
+    swapCriteria: config.swap_criteria || CRITERIA,
+    autoExecute: Boolean(config.auto_execute)
+  };
+
+  if (settings.targetTeam !== 'losing') {
+    throw new Error(`late_join_swap.target_team must be "losing", got ${settings.targetTeam}`);
+  }
+
+  const unknown = settings.swapCriteria.filter(criterion => !CRITERIA.includes(criterion));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown late_join_swap.swap_criteria: ${unknown.join(', ')}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Returns when each player joined the match: its start, or when they subbed in
+ * @param {Object} match The match record
+ * @returns {Map<string, number>} Join timestamp per user ID
+ */
+function joinTimes(match) {
+  const times = new Map(match.teams.flat().map(player => [player.userId, match.startedAt]));
+  for (const sub of match.subs || []) times.set(sub.in, sub.at);
+  return times;
+}
+
+/**
+ * Finds the best swap towards the losing team
+ * @param {Object} match The match record
+ * @param {Function} ratingOf Returns a player's rating from their user ID
+ * @param {string[]} [criteria] Ranking criteria, in order (see swap_criteria)
+ * @returns {Object|null} The swap ({ from, to, toLosing, toWinning, gapBefore,
+ *   gapAfter }), or null if no swap narrows the gap
+ */
+function findLateJoinSwap(match, ratingOf, criteria = CRITERIA) {
+  const averages = match.teams.map(team =>
+    team.reduce((total, player) => total + ratingOf(player.userId), 0) / team.length);
+  const gap = values => Math.max(...values) - Math.min(...values);
+  const winning = averages.indexOf(Math.max(...averages));
+  const losing = averages.indexOf(Math.min(...averages));
+  if (winning === losing) return null;
+
+  const joined = joinTimes(match);
+  const movable = team => match.teams[team].filter(player => !match.captains.includes(player.userId));
+  const candidates = [];
+
+  for (const toLosing of movable(winning)) {
+    for (const toWinning of movable(losing)) {
+      const difference = ratingOf(toLosing.userId) - ratingOf(toWinning.userId);
+      const after = [...averages];
+      after[winning] -= difference / match.teams[winning].length;
+      after[losing] += difference / match.teams[losing].length;
+
+      if (gap(after) >= gap(averages)) continue;
+
+      candidates.push({
+        from: winning,
+        to: losing,
+        toLosing,
+        toWinning,
+        gapBefore: Math.round(gap(averages)),
+        gapAfter: Math.round(gap(after)),
+        joinedAt: Math.max(joined.get(toLosing.userId), joined.get(toWinning.userId))
+      });
+    }
+  }
+
+  const compare = {
+    skill_balance: (a, b) => a.gapAfter - b.gapAfter,
+    recent_join_time: (a, b) => b.joinedAt - a.joinedAt
+  };
+  candidates.sort((a, b) => {
+    for (const criterion of criteria) {
+      const order = compare[criterion](a, b);
+      if (order !== 0) return order;
+    }
+    return 0;
+  });
+
+  return candidates[0] || null;
+}
+
+/**
+ * Works out the match record changes for a swap
+ * @param {Object} match The match record
+ * @param {Object} swap A swap from findLateJoinSwap
+ * @returns {Object} The teams and swaps to update the match with
+ */
+function applySwap(match, swap) {
+  const replace = (team, out, player) => team.map(member => (member.userId === out.userId ? player : member));
+
+  return {
+    teams: match.teams.map((team, i) => {
+      if (i === swap.from) return replace(team, swap.toLosing, swap.toWinning);
+      if (i === swap.to) return replace(team, swap.toWinning, swap.toLosing);
+      return team;
+    }),
+    swaps: [...(match.swaps || []), {
+      from: swap.from,
+      to: swap.to,
+      toLosing: swap.toLosing.userId,
+      toWinning: swap.toWinning.userId,
+      at: Date.now()
+    }]
+  };
+}
+
+module.exports = {
+  applySwap,
+  findLateJoinSwap,
+  loadLateJoinSwapConfig
+};
@@ -0,0 +1,187 @@
+/**
+ * Lobby Store
+ *
+ * Keeps track of who is queued in each guild's named queues, keyed by
+ * Discord user ID, when they joined and which channel they joined from. The default
+ * FileLobbyStore persists the lobby to a JSON file so a deploy or crash does
+ * not empty the queue; MemoryLobbyStore keeps everything in process and is
+ * used for tests.
+ *
+ * Both emit `change` with { guildId, queue } whenever a queue's players change.
+ */
+
+const path = require('path');
+const { EventEmitter } = require('events');
+const { readJson, writeJson } = require('./json_file');
+
+class MemoryLobbyStore extends EventEmitter {
+  constructor() {
+    super();
+    this.entries = [];
+  }
+
+  /**
+   * Restores previously persisted entries
+   * @returns {Promise<Object[]>} The restored lobby entries
+   */
+  async load() {
+    return this.list();
+  }
+
+  /**
+   * Writes the current entries to the backing storage
+   * @returns {Promise<void>}
+   */
+  async persist() {}
+
+  /**
+   * Returns a copy of the queued entries in join order
+   * @param {string} [guildId] Only return entries for this guild
+   * @param {string} [queue] Only return entries for this queue
+   * @returns {Object[]} Lobby entries
+   */
+  list(guildId, queue) {
+    return this.entries
+      .filter(entry => !guildId || entry.guildId === guildId)
+      .filter(entry => !queue || entry.queue === queue)
+      .map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Checks whether a player is queued
+   * @param {string} guildId The guild the queue belongs to
+   * @param {string} queue The queue name
+   * @param {string} userId The player's Discord user ID
+   * @returns {boolean} True if the player is in the queue
+   */
+  has(guildId, queue, userId) {
+    return this.entries.some(entry =>
+      entry.guildId === guildId && entry.queue === queue && entry.userId === userId);
+  }
+
+  /**
+   * Adds a player to a queue
+   * @param {Object} entry The lobby entry
+   * @param {string} entry.guildId The guild the queue belongs to
+   * @param {string} entry.queue The queue name
+   * @param {string} entry.userId The player's Discord user ID
+   * @param {string} entry.username The player's name, kept for display
+   * @param {string} entry.channelId The channel the player joined from
+   * @param {number} [entry.joinedAt] Join timestamp, defaults to now
+   * @param {boolean} [entry.captain] Whether the player volunteers to captain
+   * @returns {Promise<boolean>} False if the player was already queued
+   */
+  async add({ guildId, queue, userId, username, channelId, joinedAt = Date.now(), captain = false }) {
+    if (this.has(guildId, queue, userId)) return false;
+
+    this.entries.push({ guildId, queue, userId, username, channelId, joinedAt, captain });
+    await this.persist();
+    this.emit('change', { guildId, queue });
+    return true;
+  }
+
+  /**
+   * Removes a player from a queue
+   * @param {string} guildId The guild the queue belongs to
+   * @param {string} queue The queue name
+   * @param {string} userId The player's Discord user ID
+   * @returns {Promise<boolean>} False if the player was not queued
+   */
+  async remove(guildId, queue, userId) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry =>
+      !(entry.guildId === guildId && entry.queue === queue && entry.userId === userId));
+
+    if (this.entries.length === before) return false;
+
+    await this.persist();
+    this.emit('change', { guildId, queue });
+    return true;
+  }
+
+  /**
+   * Marks a player as active in every queue they are in, restarting their idle time
+   * @param {string} userId The player's Discord user ID
+   * @param {number} [activeAt] Activity timestamp, defaults to now
+   * @returns {Promise<Object[]>} The entries that were updated
+   */
+  async touch(userId, activeAt = Date.now()) {
+    const touched = this.entries.filter(entry => entry.userId === userId);
+    if (touched.length === 0) return [];
+
+    for (const entry of touched) entry.activeAt = activeAt;
+    await this.persist();
+    return touched.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Empties a queue
+   * @param {string} guildId The guild the queue belongs to
+   * @param {string} queue The queue name
+   * @returns {Promise<Object[]>} The entries that were removed
+   */
+  async clear(guildId, queue) {
+    const removed = this.list(guildId, queue);
+    this.entries = this.entries.filter(entry => !(entry.guildId === guildId && entry.queue === queue));
+    await this.persist();
+    if (removed.length > 0) this.emit('change', { guildId, queue });
+    return removed;
+  }
+}
+
+class FileLobbyStore extends MemoryLobbyStore {
+  /**
+   * Creates a new FileLobbyStore instance
+   * @param {Object} options Configuration options
+   * @param {string} options.filePath Path to the JSON file holding the lobby
+   * @param {string} [options.legacyGuildId] Guild to assign entries saved
+   *   before the lobby was partitioned per guild
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || path.join(__dirname, '../data/lobby.json');
+    this.legacyGuildId = options.legacyGuildId || null;
+  }
+
+  async load() {
+    const data = await readJson(this.filePath, { entries: [] });
+
+    // Entries without a user ID can't be matched to a player any more
+    this.entries = (Array.isArray(data.entries) ? data.entries : [])
+      .map(entry => ({ ...entry, guildId: entry.guildId || this.legacyGuildId }))
+      .filter(entry => entry.guildId && entry.userId);
+
+    return this.list();
+  }
+
+  async persist() {
+    await writeJson(this.filePath, { entries: this.entries });
+  }
+}
+
+const stores = {
+  file: FileLobbyStore,
+  memory: MemoryLobbyStore
+};
+
+/**
+ * Creates a lobby store of the requested type
+ * @param {string} type Store type ('file' or 'memory')
+ * @param {Object} options Options passed to the store constructor
+ * @returns {MemoryLobbyStore} The lobby store
+ */
+function createLobbyStore(type = 'file', options = {}) {
+  const Store = stores[type];
+
+  if (!Store) {
+    throw new Error(`Unknown lobby store type: ${type}`);
+  }
+
+  return new Store(options);
+}
+
+module.exports = {
+  MemoryLobbyStore,
+  FileLobbyStore,
+  createLobbyStore
+};
@@ -0,0 +1,35 @@
+/**
+ * Logger
+ *
+ * Leveled console logging for SuperLoader and the other helpers that log
+ * through a logger rather than console directly. Set LOG_LEVEL to one of
+ * debug, info, warn or error (default: info) to choose what is printed.
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// LOG_LEVEL is read on every call, so it can be set after this module is loaded
+function enabled(level) {
+  const threshold = LEVELS.indexOf(process.env.LOG_LEVEL);
+  return LEVELS.indexOf(level) >= (threshold === -1 ? 1 : threshold);
+}
+
+function log(level, message) {
+  if (!enabled(level)) return;
+
+  const line = `[${level}] ${message}`;
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+module.exports = {
+  debug: message => log('debug', message),
+  info: message => log('info', message),
+  warn: message => log('warn', message),
+  error: message => log('error', message)
+};
@@ -0,0 +1,35 @@
+/**
+ * Map Config
+ *
+ * Loads the map pools and map-vote settings from config/maps_servers.yaml.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_PATH = path.join(__dirname, '../config/maps_servers.yaml');
+
+/**
+ * Loads the map-vote settings and pools
+ * @param {string} filePath Path to the maps YAML file
+ * @returns {Object} The vote timeout, recent-map cooldown and a pool lookup
+ */
+function loadMapConfig(filePath = DEFAULT_PATH) {
+  const config = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  const pools = config.map_pools || {};
+
+  if (!Array.isArray(pools.default) || pools.default.length === 0) {
+    throw new Error(`No default map pool defined in ${filePath}`);
+  }
+
+  return {
+    timeoutSeconds: Number(config.map_vote?.timeout_seconds ?? 45),
+    recentCooldown: Number(config.map_vote?.recent_cooldown ?? 0),
+    poolFor: queueName => pools[queueName] || pools.default
+  };
+}
+
+module.exports = {
+  loadMapConfig
+};
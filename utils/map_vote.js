@@ -0,0 +1,98 @@
+/**
+ * Map Vote
+ *
+ * Lets the players of a starting match vote on the map. The vote closes
+ * when everyone has voted or the timer runs out; ties (including nobody
+ * voting) are broken randomly.
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Returns the maps that can be voted on, leaving out recently played ones
+ * @param {string[]} pool The queue's map pool
+ * @param {string[]} recentMaps Maps played in the queue's most recent matches
+ * @returns {string[]} Vote candidates, or the whole pool if every map is on cooldown
+ */
+function mapCandidates(pool, recentMaps) {
+  const candidates = pool.filter(map => !recentMaps.includes(map));
+  return candidates.length > 0 ? candidates : [...pool];
+}
+
+class MapVote extends EventEmitter {
+  /**
+   * Creates a new MapVote instance
+   * @param {Object} options Configuration options
+   * @param {string} options.id Identifier used in select menu IDs
+   * @param {string[]} options.candidates Maps that can be voted on
+   * @param {string[]} options.voters User IDs of the players allowed to vote
+   * @param {number} options.timeoutMs How long the vote stays open
+   * @param {Function} [options.random] Random number source, defaults to Math.random
+   */
+  constructor(options) {
+    super();
+    this.id = options.id;
+    this.candidates = options.candidates;
+    this.voters = new Set(options.voters);
+    this.timeoutMs = options.timeoutMs;
+    this.random = options.random || Math.random;
+    this.votes = new Map();
+    this.timer = null;
+    this.finished = false;
+  }
+
+  /**
+   * Opens the vote
+   */
+  start() {
+    this.timer = setTimeout(() => this.close(), this.timeoutMs);
+  }
+
+  /**
+   * Records (or changes) a player's vote
+   * @param {string} userId The voter's user ID
+   * @param {string} map The map voted for
+   * @returns {boolean} False if the player can't vote or the map isn't a candidate
+   */
+  vote(userId, map) {
+    if (this.finished || !this.voters.has(userId) || !this.candidates.includes(map)) return false;
+
+    this.votes.set(userId, map);
+    this.emit('update', this);
+
+    if (this.votes.size === this.voters.size) this.close();
+    return true;
+  }
+
+  /**
+   * Counts the votes for each candidate
+   * @returns {Object} Vote count per map
+   */
+  tally() {
+    const counts = Object.fromEntries(this.candidates.map(map => [map, 0]));
+    for (const map of this.votes.values()) counts[map]++;
+    return counts;
+  }
+
+  /**
+   * Closes the vote and picks the winning map
+   */
+  close() {
+    if (this.finished) return;
+
+    this.finished = true;
+    clearTimeout(this.timer);
+
+    const counts = this.tally();
+    const top = Math.max(...Object.values(counts));
+    const leaders = this.candidates.filter(map => counts[map] === top);
+    const map = leaders[Math.floor(this.random() * leaders.length)];
+
+    this.emit('complete', { map, counts, tie: leaders.length > 1 });
+  }
+}
+
+module.exports = {
+  MapVote,
+  mapCandidates
+};
@@ -0,0 +1,23 @@
+/**
+ * Match Report
+ *
+ * Who may answer a reported result: a captain of any team other than the
+ * reporter's can confirm or dispute it while it is waiting for an answer.
+ */
+
+/**
+ * Returns whether a player can confirm or dispute a match's reported result
+ * @param {Object} match The match record, or undefined if it no longer exists
+ * @param {string} userId The user ID of the player answering
+ * @returns {boolean} True if the player is an opposing captain and the result is still unanswered
+ */
+function canAnswerReport(match, userId) {
+  if (!match || match.status !== 'reported') return false;
+
+  const team = match.captains.indexOf(userId);
+  return team !== -1 && team !== match.report.team;
+}
+
+module.exports = {
+  canAnswerReport
+};
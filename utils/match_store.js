@@ -0,0 +1,170 @@
+/**
+ * Match Store
+ *
+ * Persists match records so the bot remembers a match after /start: its
+ * teams, captains, map, start time, reported result and status.
+ *
+ * Status lifecycle:
+ *   voting -> live -> reported -> completed
+ *                              -> disputed -> completed | void
+ *
+ * A match is recorded as `voting` while its players vote on the map, so the
+ * teams survive a restart before the match goes live.
+ */
+
+const path = require('path');
+const { readJson, writeJson } = require('./json_file');
+
+class MemoryMatchStore {
+  constructor() {
+    this.matches = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Restores previously persisted matches
+   * @returns {Promise<void>}
+   */
+  async load() {}
+
+  /**
+   * Writes the current matches to the backing storage
+   * @returns {Promise<void>}
+   */
+  async persist() {}
+
+  /**
+   * Creates a live match record
+   * @param {Object} match Match details
+   * @param {string} match.guildId The guild the match was played in
+   * @param {string} match.queue The queue the match was played from
+   * @param {Object[][]} match.teams Players on each team ({ userId, username })
+   * @param {string[]} match.captains User ID of each team's captain
+   * @param {string} match.channelId Channel the match was announced in
+   * @param {string} [match.map] The map being played
+   * @param {string} [match.region] The server region picked for the match
+   * @param {string} [match.status] 'voting' while the map is voted on, defaults to 'live'
+   * @returns {Promise<Object>} The new match record
+   */
+  async create({ guildId, queue, teams, captains, channelId, map = null, region = null, status = 'live' }) {
+    const match = {
+      id: this.nextId++,
+      guildId,
+      queue,
+      teams: teams.map(team => team.map(({ userId, username }) => ({ userId, username }))),
+      captains,
+      channelId,
+      map,
+      region,
+      startedAt: Date.now(),
+      status,
+      report: null,
+      ratingChanges: null
+    };
+
+    this.matches.set(match.id, match);
+    await this.persist();
+    return match;
+  }
+
+  /**
+   * Returns a match by ID
+   * @param {number} id The match ID
+   * @returns {Object|undefined} The match record
+   */
+  get(id) {
+    return this.matches.get(Number(id));
+  }
+
+  /**
+   * Applies changes to a match record
+   * @param {number} id The match ID
+   * @param {Object} changes Fields to update
+   * @returns {Promise<Object>} The updated match record
+   */
+  async update(id, changes) {
+    const match = this.get(id);
+
+    if (!match) {
+      throw new Error(`Unknown match: ${id}`);
+    }
+
+    Object.assign(match, changes);
+    await this.persist();
+    return match;
+  }
+
+  /**
+   * Returns matches, newest first
+   * @param {Function} [filter] Only return matches this returns true for
+   * @returns {Object[]} Match records
+   */
+  list(filter = () => true) {
+    return [...this.matches.values()].filter(filter).sort((a, b) => b.id - a.id);
+  }
+
+  /**
+   * Returns whether any match passes a filter, stopping at the first that does
+   * @param {Function} filter Tests a match record
+   * @returns {boolean} True if a match passes
+   */
+  some(filter) {
+    for (const match of this.matches.values()) {
+      if (filter(match)) return true;
+    }
+    return false;
+  }
+}
+
+class FileMatchStore extends MemoryMatchStore {
+  /**
+   * Creates a new FileMatchStore instance
+   * @param {Object} options Configuration options
+   * @param {string} options.filePath Path to the JSON file holding the matches
+   * @param {string} [options.legacyGuildId] Guild to assign matches saved
+   *   before matches recorded their guild
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || path.join(__dirname, '../data/matches.json');
+    this.legacyGuildId = options.legacyGuildId || null;
+  }
+
+  async load() {
+    const data = await readJson(this.filePath, { nextId: 1, matches: [] });
+    this.matches = new Map((data.matches || [])
+      .map(match => [match.id, { ...match, guildId: match.guildId || this.legacyGuildId }]));
+    this.nextId = data.nextId || 1;
+  }
+
+  async persist() {
+    await writeJson(this.filePath, { nextId: this.nextId, matches: [...this.matches.values()] });
+  }
+}
+
+const stores = {
+  file: FileMatchStore,
+  memory: MemoryMatchStore
+};
+
+/**
+ * Creates a match store of the requested type
+ * @param {string} type Store type ('file' or 'memory')
+ * @param {Object} options Options passed to the store constructor
+ * @returns {MemoryMatchStore} The match store
+ */
+function createMatchStore(type = 'file', options = {}) {
+  const Store = stores[type];
+
+  if (!Store) {
+    throw new Error(`Unknown match store type: ${type}`);
+  }
+
+  return new Store(options);
+}
+
+module.exports = {
+  MemoryMatchStore,
+  FileMatchStore,
+  createMatchStore
+};
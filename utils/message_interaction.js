@@ -0,0 +1,89 @@
+/**
+ * Message Interaction
+ *
+ * Wraps a text message (e.g. `++` or `!add duel`) so it can be passed to the
+ * same command handlers as a slash-command interaction. Only the parts of
+ * the interaction API the handlers use are provided; ephemeral replies are
+ * sent as normal replies since text messages have no ephemeral form.
+ */
+
+class MessageInteraction {
+  /**
+   * Creates a new MessageInteraction instance
+   * @param {Object} message The discord.js message
+   * @param {string} commandName The canonical command name
+   * @param {Object} options Option values keyed by option name
+   */
+  constructor(message, commandName, options = {}) {
+    this.message = message;
+    this.commandName = commandName;
+    this.user = message.author;
+    this.member = message.member;
+    this.memberPermissions = message.member?.permissions || null;
+    this.channel = message.channel;
+    this.channelId = message.channelId;
+    this.guild = message.guild;
+    this.guildId = message.guildId;
+    this.replyMessage = null;
+
+    const get = name => (options[name] === undefined ? null : options[name]);
+    this.options = {
+      getString: get,
+      getInteger: get,
+      getBoolean: get,
+      getUser: get,
+      getSubcommand: () => get('subcommand')
+    };
+  }
+
+  isChatInputCommand() {
+    return true;
+  }
+
+  isButton() {
+    return false;
+  }
+
+  isStringSelectMenu() {
+    return false;
+  }
+
+  /**
+   * Replies to the original message
+   * @param {string|Object} payload Message content or options
+   * @returns {Promise<Object>} The reply message
+   */
+  async reply(payload) {
+    const { ephemeral, ...options } = typeof payload === 'string' ? { content: payload } : payload;
+    this.replyMessage = await this.message.reply(options);
+    return this.replyMessage;
+  }
+
+  /**
+   * Whether reply() has been called
+   * @returns {boolean} True once the command has replied
+   */
+  get replied() {
+    return this.replyMessage !== null;
+  }
+
+  /**
+   * Sends a further reply to the original message
+   * @param {string|Object} payload Message content or options
+   * @returns {Promise<Object>} The reply message
+   */
+  async followUp(payload) {
+    const { ephemeral, ...options } = typeof payload === 'string' ? { content: payload } : payload;
+    return this.message.reply(options);
+  }
+
+  /**
+   * Returns the reply sent by reply()
+   * @returns {Promise<Object>} The reply message
+   */
+  async fetchReply() {
+    return this.replyMessage;
+  }
+}
+
+module.exports = MessageInteraction;
@@ -0,0 +1,59 @@
+/**
+ * Notification Commands
+ *
+ * Handlers for the commands added by the `add-command-handlers` step of
+ * config/notification_super_loader.yaml. The step names them, and the
+ * command registry looks them up here.
+ */
+
+const { getTrigger } = require('./notification_config');
+
+const TIER_NAMES = ['critical', 'important', 'informational'];
+
+/**
+ * /notifytier - sets the highest notification tier the player gets DMs for
+ * @param {Object} interaction The slash-command interaction
+ * @param {Object} bot The bot context (uses preferences)
+ * @returns {Promise<void>}
+ */
+async function handleNotifyTierCommand(interaction, bot) {
+  const maxTier = interaction.options.getInteger('max_tier');
+  const { notification_tiers: tiers } = bot.preferences.get(interaction.user.id);
+
+  await bot.preferences.update(interaction.user.id, { notification_tiers: { ...tiers, max_tier: maxTier } });
+  await interaction.reply({
+    content: `🔔 You'll get DMs up to tier ${maxTier} (${TIER_NAMES.slice(0, maxTier + 1).join(', ')}).`,
+    ephemeral: true
+  });
+}
+
+/**
+ * /notifystatus - shows the player's tier and which DMs that covers
+ * @param {Object} interaction The slash-command interaction
+ * @param {Object} bot The bot context (uses preferences, dmConfig and featureFlags)
+ * @returns {Promise<void>}
+ */
+async function handleNotifyStatusCommand(interaction, bot) {
+  const { max_tier: maxTier } = bot.preferences.get(interaction.user.id).notification_tiers;
+
+  // Without enhanced notifications every DM is sent whatever the tier
+  const routed = bot.featureFlags.isEnabled('enhanced_notifications', { guildId: interaction.guildId, userId: interaction.user.id });
+
+  const lines = Object.keys(bot.dmConfig.triggers || {}).map(type => {
+    const trigger = getTrigger(bot.dmConfig, type);
+    const state = !trigger.enabled ? 'off for everyone' : trigger.tier <= maxTier || !routed ? 'on' : 'muted';
+    return `• ${type} (tier ${trigger.tier}): ${state}`;
+  });
+
+  if (!routed) lines.push('Tier routing is off for you here, so every enabled DM is sent.');
+
+  await interaction.reply({
+    content: `🔔 **Your notifications** — up to tier ${maxTier} (${TIER_NAMES[maxTier]})\n${lines.join('\n')}`,
+    ephemeral: true
+  });
+}
+
+module.exports = {
+  handleNotifyTierCommand,
+  handleNotifyStatusCommand
+};
@@ -0,0 +1,68 @@
+/**
+ * Notification Config
+ *
+ * Reads the DM notification settings (triggers, timeouts and templates)
+ * from config/dm_notification.yml so the slash-command bot uses the same
+ * wording and timeouts as the notification agent.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_PATH = path.join(__dirname, '../config/dm_notification.yml');
+
+/**
+ * Loads the dm_notification section of the config file
+ * @param {string} filePath Path to the notification YAML file
+ * @returns {Object} The DM notification settings
+ */
+function loadDmNotificationConfig(filePath = DEFAULT_PATH) {
+  const config = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  return config.dm_notification || {};
+}
+
+/**
+ * Returns the settings for a single notification trigger
+ * @param {Object} config The DM notification settings
+ * @param {string} type The trigger name (e.g. 'pre_game')
+ * @returns {Object} Whether the trigger is enabled, its tier, timeout and template
+ */
+function getTrigger(config, type) {
+  const trigger = config.triggers?.[type] || {};
+
+  return {
+    enabled: config.enabled !== false && trigger.enabled !== false,
+    tier: trigger.tier ?? 2,
+    timeoutSeconds: config.timeout_seconds?.[type] ?? 0,
+    template: config.dm_templates?.[type] || ''
+  };
+}
+
+/**
+ * Returns how long a player can sit in a queue before the match_queue
+ * keep-alive is sent
+ * @param {Object} config The DM notification settings
+ * @returns {number} Idle period in minutes
+ */
+function getKeepAliveIdleMinutes(config) {
+  return Number(config.keep_alive_idle_minutes ?? 45);
+}
+
+/**
+ * Fills {placeholders} in a DM template
+ * @param {string} template The template string
+ * @param {Object} values Placeholder values
+ * @returns {string} The rendered message
+ */
+function renderTemplate(template, values = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined ? String(values[key]) : match);
+}
+
+module.exports = {
+  loadDmNotificationConfig,
+  getTrigger,
+  getKeepAliveIdleMinutes,
+  renderTemplate
+};
@@ -0,0 +1,139 @@
+/**
+ * Onboarding
+ *
+ * The wizard first-time players get when they join a queue: the welcome
+ * embed from config/qwtf_parity.yaml and three questions (region, preferred
+ * classes and notification tier) from config/onboarding.yaml, answered with
+ * select menus. Each answer is saved as soon as it is picked; Done or Skip
+ * closes the wizard for good. /profile edit reopens it to change the answers.
+ *
+ * Component custom IDs are `onboarding:<region|classes|tier|done|skip>`;
+ * the wizard is only ever shown to the player it is for, so they carry no
+ * user ID.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, StringSelectMenuBuilder } = require('discord.js');
+const MessageInteraction = require('./message_interaction');
+
+const DEFAULT_PATH = path.join(__dirname, '../config/onboarding.yaml');
+const PARITY_PATH = path.join(__dirname, '../config/qwtf_parity.yaml');
+
+const TIERS = [
+  { label: 'Critical only', description: 'Ready checks and keep-alives', value: '0' },
+  { label: 'Important', description: 'Also match results and role reminders', value: '1' },
+  { label: 'Everything', description: 'Also announcements and tips', value: '2' }
+];
+
+/**
+ * Loads the onboarding settings and the welcome embed
+ * @param {string} filePath Path to the onboarding YAML file
+ * @param {string} parityPath Path to the QWTF parity YAML file
+ * @returns {Object} Delivery, classes, when to trigger and the welcome embed
+ *   (null when welcome_embed is disabled)
+ */
+function loadOnboardingConfig(filePath = DEFAULT_PATH, parityPath = PARITY_PATH) {
+  const config = (yaml.load(fs.readFileSync(filePath, 'utf8')) || {}).onboarding || {};
+  const welcome = (yaml.load(fs.readFileSync(parityPath, 'utf8')) || {}).pug_bot?.welcome_embed || {};
+  const trigger = welcome.auto_trigger || {};
+
+  const settings = {
+    delivery: config.delivery || 'ephemeral',
+    classes: config.classes || [],
+    maxClasses: Number(config.max_classes ?? 3),
+    onFirstJoin: trigger.on_first_join !== false,
+    cooldownHours: Number(trigger.cooldown_hours ?? 24),
+    welcomeEmbed: welcome.enabled === false ? null : {
+      title: welcome.title,
+      description: welcome.description,
+      color: welcome.color,
+      fields: (welcome.fields || []).map(({ name, value, inline }) => ({ name, value, inline: Boolean(inline) }))
+    }
+  };
+
+  if (!['ephemeral', 'dm'].includes(settings.delivery)) {
+    throw new Error(`onboarding.delivery must be "ephemeral" or "dm", got ${settings.delivery}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Returns whether a player should be shown the wizard now
+ * @param {Object} onboarding The player's onboarding preferences ({ completedAt, promptedAt })
+ * @param {Object} config The onboarding settings
+ * @param {number} [now] Current timestamp, defaults to now
+ * @returns {boolean} True if they haven't finished it and weren't shown it within the cooldown
+ */
+function shouldOnboard(onboarding, config, now = Date.now()) {
+  if (!config.onFirstJoin || onboarding.completedAt) return false;
+  return !onboarding.promptedAt || onboarding.promptedAt <= now - config.cooldownHours * 60 * 60 * 1000;
+}
+
+/**
+ * Builds the wizard message, showing the player's current answers
+ * @param {Object} config The onboarding settings
+ * @param {Object} preferences The player's preferences
+ * @param {string[]} regions Supported regions
+ * @param {Object} [options] Message options
+ * @param {boolean} [options.welcome] Include the welcome embed
+ * @param {boolean} [options.editing] Word it for a returning player changing their answers
+ * @returns {Object} Message options with embeds and components
+ */
+function onboardingMessage(config, preferences, regions, { welcome = true, editing = false } = {}) {
+  const { regions: { preferred }, classes = [], notification_tiers: tiers } = preferences;
+  const embeds = welcome && config.welcomeEmbed ? [new EmbedBuilder(config.welcomeEmbed)] : [];
+
+  const select = (id, placeholder, options, extra = {}) => new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder().setCustomId(`onboarding:${id}`).setPlaceholder(placeholder)
+      .addOptions(options).setMinValues(extra.min ?? 1).setMaxValues(extra.max ?? 1));
+
+  const components = [
+    select('region', 'Which region do you play from?', regions.map(region =>
+      ({ label: region, value: region, default: region === preferred }))),
+    select('tier', 'Which DMs do you want?', TIERS.map(tier =>
+      ({ ...tier, default: Number(tier.value) === tiers.max_tier })))
+  ];
+  if (config.classes.length > 0) {
+    components.splice(1, 0, select('classes', `Which classes do you like to play? (up to ${config.maxClasses})`,
+      config.classes.map(name => ({ label: name, value: name, default: classes.includes(name) })),
+      { min: 1, max: Math.min(config.maxClasses, config.classes.length) }));
+  }
+  components.push(new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('onboarding:done').setLabel('Done').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId('onboarding:skip').setLabel('Skip').setStyle(ButtonStyle.Secondary)));
+
+  return {
+    content: editing
+      ? '⚙️ Update how you play — each answer is saved as soon as you pick it.'
+      : '👋 First time here? Tell us a bit about how you play — you can change it later with /profile edit.',
+    embeds,
+    components
+  };
+}
+
+/**
+ * Sends the wizard under the command's reply or as a DM, as delivery says.
+ * Text commands such as ++ have no ephemeral replies, so they always get a DM
+ * rather than showing the player's answers to the whole channel.
+ * @param {Object} interaction The interaction that triggered the wizard
+ * @param {Object} message The wizard from onboardingMessage
+ * @param {Object} config The onboarding settings
+ * @returns {Promise<void>}
+ */
+async function sendOnboarding(interaction, message, config) {
+  if (config.delivery === 'ephemeral' && !(interaction instanceof MessageInteraction)) {
+    await interaction.followUp({ ...message, ephemeral: true });
+  } else {
+    await interaction.user.send(message);
+  }
+}
+
+module.exports = {
+  loadOnboardingConfig,
+  shouldOnboard,
+  onboardingMessage,
+  sendOnboarding
+};
@@ -0,0 +1,141 @@
+/**
+ * Parties
+ *
+ * Premade duos and trios that queue together. A party's leader invites a
+ * player, who joins the party by accepting within INVITE_TTL_MS; accepting an
+ * invite from someone not yet in a party starts one with them as leader.
+ * Parties are kept in memory only, like ready checks and drafts, so they
+ * don't survive a restart.
+ */
+
+const INVITE_TTL_MS = 5 * 60 * 1000;
+
+class Parties {
+  constructor() {
+    this.parties = new Map();
+    this.invites = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Returns the party a player is in
+   * @param {string} guildId The guild the party is in
+   * @param {string} userId The player's user ID
+   * @returns {Object|undefined} The party, with its id, leaderId and members
+   */
+  of(guildId, userId) {
+    return [...this.parties.values()].find(party =>
+      party.guildId === guildId && party.members.some(member => member.userId === userId));
+  }
+
+  /**
+   * Invites a player, replacing any earlier invite between the two. The
+   * invite is to the inviter's current party, or a new one if they have none.
+   * @param {string} guildId The guild the party is in
+   * @param {Object} from The inviting player, with userId and username
+   * @param {Object} to The invited player, with userId and username
+   * @param {number} [now] Current timestamp, defaults to now
+   * @returns {Object} The invite, with the party it is to and when it expires
+   */
+  invite(guildId, from, to, now = Date.now()) {
+    this.invites = this.invites.filter(invite =>
+      !(invite.guildId === guildId && invite.from.userId === from.userId && invite.to.userId === to.userId));
+
+    const partyId = this.of(guildId, from.userId)?.id ?? null;
+    const invite = { guildId, from, to, partyId, expiresAt: now + INVITE_TTL_MS };
+    this.invites.push(invite);
+    return invite;
+  }
+
+  /**
+   * Returns a player's open invite, the latest one unless an inviter is given
+   * @param {string} guildId The guild the party is in
+   * @param {string} userId The invited player's user ID
+   * @param {string} [fromId] Only look for an invite from this player
+   * @param {number} [now] Current timestamp, defaults to now
+   * @returns {Object|undefined} The invite
+   */
+  inviteFor(guildId, userId, fromId, now = Date.now()) {
+    this.invites = this.invites.filter(invite => invite.expiresAt > now);
+
+    return this.invites.filter(invite =>
+      invite.guildId === guildId && invite.to.userId === userId && (!fromId || invite.from.userId === fromId)).pop();
+  }
+
+  /**
+   * Accepts an invite, joining (or starting) the inviter's party. The
+   * player's other invites are dropped. An invite is stale, and dropped
+   * without joining, once the inviter no longer leads the party it was to
+   * or, if they had none, has joined one since.
+   * @param {Object} invite The invite from inviteFor
+   * @returns {Object|null} The party the player is now in, or null if the invite was stale
+   */
+  accept(invite) {
+    const { guildId, from, to, partyId } = invite;
+    let party = this.of(guildId, from.userId);
+    const current = party ? party.id === partyId && party.leaderId === from.userId : partyId === null;
+
+    if (!current) {
+      this.invites = this.invites.filter(other => other !== invite);
+      return null;
+    }
+
+    this.invites = this.invites.filter(other => !(other.guildId === guildId && other.to.userId === to.userId));
+    if (!party) {
+      party = { id: this.nextId++, guildId, leaderId: from.userId, members: [from] };
+      this.parties.set(party.id, party);
+    }
+
+    party.members.push(to);
+    return party;
+  }
+
+  /**
+   * Removes a player from their party. A party left with one member is
+   * disbanded, and if the leader leaves the longest-standing member leads.
+   * @param {string} guildId The guild the party is in
+   * @param {string} userId The player's user ID
+   * @returns {Object|null} The party they left, or null if they weren't in one
+   */
+  leave(guildId, userId) {
+    const party = this.of(guildId, userId);
+    if (!party) return null;
+
+    party.members = party.members.filter(member => member.userId !== userId);
+    if (party.members.length < 2) {
+      this.parties.delete(party.id);
+    } else if (party.leaderId === userId) {
+      party.leaderId = party.members[0].userId;
+    }
+
+    return party;
+  }
+}
+
+/**
+ * Takes up to `count` players in order without splitting a party: a party
+ * that doesn't fit in the remaining slots is passed over for later players
+ * @param {Object[]} players Lobby entries, in queue order
+ * @param {number} count How many players to take
+ * @param {Function} groupOf Returns the party ID of a player, or undefined
+ * @returns {Object[]} The players taken
+ */
+function takeWithParties(players, count, groupOf) {
+  const taken = [];
+
+  for (const player of players) {
+    if (taken.includes(player)) continue;
+
+    const group = groupOf(player);
+    const unit = group === undefined ? [player] : players.filter(other => groupOf(other) === group);
+    if (taken.length + unit.length <= count) taken.push(...unit);
+  }
+
+  return taken;
+}
+
+module.exports = {
+  Parties,
+  takeWithParties,
+  INVITE_TTL_MS
+};
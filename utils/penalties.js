@@ -0,0 +1,158 @@
+/**
+ * Penalties
+ *
+ * Turns strikes into queue bans, using the rules in config/reputation.yaml.
+ * Strikes expire strike_decay_hours after they were given. When a new strike
+ * brings a player's active strikes to ban_threshold or more they are banned
+ * from queueing; the ban is the next of ban_durations_minutes after the bans
+ * they got in the last escalation_reset_days, so repeat offenders sit out
+ * longer each time.
+ *
+ * The functions here work on a player's strike store record and return a
+ * new one rather than changing it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_PATH = path.join(__dirname, '../config/reputation.yaml');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How each strike reason reads in replies
+const REASONS = {
+  ready_check_failed: 'failed a ready check',
+  left_started_match: 'left a started match',
+  no_show: 'no-show',
+  admin: 'given by an admin'
+};
+
+/**
+ * Loads the penalty rules
+ * @param {string} filePath Path to the reputation YAML file
+ * @returns {Object} Strikes per reason, decay, ban threshold and durations
+ */
+function loadPenaltyConfig(filePath = DEFAULT_PATH) {
+  const config = (yaml.load(fs.readFileSync(filePath, 'utf8')) || {}).reputation || {};
+
+  const rules = {
+    strikes: {
+      ready_check_failed: 1,
+      left_started_match: 2,
+      no_show: 2,
+      ...config.strikes
+    },
+    strikeDecayHours: Number(config.strike_decay_hours ?? 72),
+    banThreshold: Number(config.ban_threshold ?? 3),
+    banDurationsMinutes: (config.ban_durations_minutes || [15, 60, 1440]).map(Number),
+    escalationResetDays: Number(config.escalation_reset_days ?? 30)
+  };
+
+  if (rules.banDurationsMinutes.length === 0) {
+    throw new Error('reputation.ban_durations_minutes needs at least one duration');
+  }
+
+  return rules;
+}
+
+/**
+ * Works out where a player stands
+ * @param {Object} record The player's strike store record
+ * @param {Object} rules The penalty rules
+ * @param {number} [now] Current timestamp, defaults to now
+ * @returns {Object} { strikes: active strike count, active: the active strikes,
+ *   ban: the ban in force or null, recentBans: bans counting towards the next one }
+ */
+function standing(record, rules, now = Date.now()) {
+  const active = record.strikes.filter(strike => strike.at > now - rules.strikeDecayHours * HOUR_MS);
+  const ban = record.bans.filter(b => b.until > now).sort((a, b) => b.until - a.until)[0] || null;
+
+  return {
+    strikes: active.reduce((total, strike) => total + strike.weight, 0),
+    active,
+    ban,
+    recentBans: record.bans.filter(b => b.at > now - rules.escalationResetDays * DAY_MS).length
+  };
+}
+
+/**
+ * Adds a strike, banning the player if it takes them to the threshold
+ * @param {Object} record The player's strike store record
+ * @param {Object} strike The strike
+ * @param {string} strike.reason One of the reasons in rules.strikes, or 'admin'
+ * @param {number} [strike.weight] Strikes to add, defaults to the reason's
+ * @param {string} [strike.by] User ID of the admin who gave it
+ * @param {Object} rules The penalty rules
+ * @param {number} [now] Current timestamp, defaults to now
+ * @returns {Object} { record: the updated record, ban: the new ban or null }
+ */
+function addStrike(record, { reason, weight, by = null }, rules, now = Date.now()) {
+  // Expired strikes and bans too old to escalate no longer matter
+  const kept = {
+    strikes: record.strikes.filter(s => s.at > now - rules.strikeDecayHours * HOUR_MS),
+    bans: record.bans.filter(b => b.until > now || b.at > now - rules.escalationResetDays * DAY_MS)
+  };
+  kept.strikes.push({ reason, weight: weight ?? rules.strikes[reason] ?? 1, at: now, by });
+
+  const current = standing(kept, rules, now);
+  if (current.strikes < rules.banThreshold) return { record: kept, ban: null };
+
+  const durations = rules.banDurationsMinutes;
+  const minutes = durations[Math.min(current.recentBans, durations.length - 1)];
+  const ban = { at: now, until: Math.max(now + minutes * 60 * 1000, current.ban?.until || 0), minutes };
+  kept.bans.push(ban);
+  return { record: kept, ban };
+}
+
+/**
+ * Removes a player's most recent active strikes and lifts their ban
+ * @param {Object} record The player's strike store record
+ * @param {Object} rules The penalty rules
+ * @param {number} [count] Strikes to remove, defaults to all of them
+ * @param {number} [now] Current timestamp, defaults to now
+ * @returns {Object} The updated record
+ */
+function pardon(record, rules, count = Infinity, now = Date.now()) {
+  const active = new Set(standing(record, rules, now).active);
+  let remaining = count;
+  const strikes = [];
+
+  for (const strike of [...record.strikes].reverse()) {
+    if (!active.has(strike) || remaining <= 0) {
+      strikes.unshift(strike);
+    } else if (strike.weight > remaining) {
+      strikes.unshift({ ...strike, weight: strike.weight - remaining });
+      remaining = 0;
+    } else {
+      remaining -= strike.weight;
+    }
+  }
+
+  return {
+    strikes,
+    // Lifted bans stay on record so the next one still escalates
+    bans: record.bans.map(b => (b.until > now ? { ...b, until: now } : b))
+  };
+}
+
+/**
+ * Describes a number of minutes, e.g. "15 minutes", "1 hour", "2 days"
+ * @param {number} minutes The duration in minutes
+ * @returns {string} The description
+ */
+function formatDuration(minutes) {
+  const [amount, unit] = minutes % 1440 === 0 ? [minutes / 1440, 'day']
+    : minutes % 60 === 0 ? [minutes / 60, 'hour']
+      : [minutes, 'minute'];
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  REASONS,
+  loadPenaltyConfig,
+  standing,
+  addStrike,
+  pardon,
+  formatDuration
+};
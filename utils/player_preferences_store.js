@@ -0,0 +1,140 @@
+/**
+ * Player Preferences Store
+ *
+ * Keeps the preferences each player sets for themselves, keyed by Discord
+ * user ID and shared across guilds. `notification_tiers` follows the
+ * user_preferences field added by the notification upgrade: the highest
+ * notification tier the player wants DMs for (0 critical, 1 important,
+ * 2 informational). `regions` holds the server region the player prefers
+ * and any others they will also play in, `classes` the classes they like to
+ * play, `onboarding` when they were last shown the onboarding wizard and
+ * when they finished it, and `notifyQueues` the queues they want to hear
+ * about when they are filling up (queue key to { dm }, see /notify).
+ * FilePlayerPreferencesStore persists them to a JSON file under data/;
+ * MemoryPlayerPreferencesStore keeps them in process and is used for tests.
+ */
+
+const path = require('path');
+const { readJson, writeJson } = require('./json_file');
+
+const DEFAULT_PREFERENCES = {
+  notification_tiers: {
+    max_tier: 2,
+    tier0_enabled: true,
+    tier1_enabled: true,
+    tier2_enabled: true
+  },
+  regions: {
+    preferred: null,
+    acceptable: []
+  },
+  classes: [],
+  onboarding: {
+    promptedAt: null,
+    completedAt: null
+  },
+  notifyQueues: {}
+};
+
+class MemoryPlayerPreferencesStore {
+  constructor() {
+    this.players = new Map();
+  }
+
+  /**
+   * Restores previously persisted preferences
+   * @returns {Promise<void>}
+   */
+  async load() {}
+
+  /**
+   * Writes the current preferences to the backing storage
+   * @returns {Promise<void>}
+   */
+  async persist() {}
+
+  /**
+   * Returns a player's preferences, with defaults for anything not set
+   * @param {string} userId The player's Discord user ID
+   * @returns {Object} The player's preferences
+   */
+  get(userId) {
+    const preferences = this.players.get(userId) || {};
+    return {
+      ...DEFAULT_PREFERENCES,
+      ...preferences,
+      notification_tiers: { ...DEFAULT_PREFERENCES.notification_tiers, ...preferences.notification_tiers },
+      regions: { ...DEFAULT_PREFERENCES.regions, ...preferences.regions },
+      onboarding: { ...DEFAULT_PREFERENCES.onboarding, ...preferences.onboarding }
+    };
+  }
+
+  /**
+   * Lists the players whose preferences match a filter
+   * @param {Function} filter Called with each player's preferences
+   * @returns {string[]} The matching players' user IDs
+   */
+  list(filter) {
+    return [...this.players.keys()].filter(userId => filter(this.get(userId)));
+  }
+
+  /**
+   * Applies changes to a player's preferences
+   * @param {string} userId The player's Discord user ID
+   * @param {Object} changes Preferences to update
+   * @returns {Promise<Object>} The updated preferences
+   */
+  async update(userId, changes) {
+    this.players.set(userId, { ...this.players.get(userId), ...changes });
+    await this.persist();
+    return this.get(userId);
+  }
+}
+
+class FilePlayerPreferencesStore extends MemoryPlayerPreferencesStore {
+  /**
+   * Creates a new FilePlayerPreferencesStore instance
+   * @param {Object} options Configuration options
+   * @param {string} options.filePath Path to the JSON file holding the preferences
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || path.join(__dirname, '../data/player_preferences.json');
+  }
+
+  async load() {
+    const data = await readJson(this.filePath, { players: {} });
+    this.players = new Map(Object.entries(data.players || {}));
+  }
+
+  async persist() {
+    await writeJson(this.filePath, { players: Object.fromEntries(this.players) });
+  }
+}
+
+const stores = {
+  file: FilePlayerPreferencesStore,
+  memory: MemoryPlayerPreferencesStore
+};
+
+/**
+ * Creates a player preferences store of the requested type
+ * @param {string} type Store type ('file' or 'memory')
+ * @param {Object} options Options passed to the store constructor
+ * @returns {MemoryPlayerPreferencesStore} The player preferences store
+ */
+function createPlayerPreferencesStore(type = 'file', options = {}) {
+  const Store = stores[type];
+
+  if (!Store) {
+    throw new Error(`Unknown player preferences store type: ${type}`);
+  }
+
+  return new Store(options);
+}
+
+module.exports = {
+  MemoryPlayerPreferencesStore,
+  FilePlayerPreferencesStore,
+  createPlayerPreferencesStore
+};
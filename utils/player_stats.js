@@ -0,0 +1,125 @@
+/**
+ * Player Stats
+ *
+ * Works out player profiles and leaderboards from the completed match
+ * records in the match store. A player's rating is the one their latest
+ * match left them on, so it only counts rating changes from confirmed
+ * results. Matches are expected newest first, as MatchStore.list returns them.
+ */
+
+const { DEFAULT_RATING } = require('./rating_store');
+const { teamOf } = require('./substitution');
+
+/**
+ * Returns whether a completed match falls within the filters
+ * @param {Object} match The match record
+ * @param {Object} [filters] Filters to apply
+ * @param {string} [filters.queue] Only matches from this queue
+ * @param {Object} [filters.season] Only matches completed in this season ({ start, end })
+ * @returns {boolean} True if the match counts
+ */
+function matchesFilters(match, { queue = null, season = null } = {}) {
+  if (match.status !== 'completed' || !match.ratingChanges) return false;
+  if (queue && match.queue !== queue) return false;
+
+  const at = match.completedAt || match.startedAt;
+  return !season || (at >= season.start && (season.end === null || at < season.end));
+}
+
+/**
+ * Returns how a player did in a completed match
+ * @param {Object} match The match record
+ * @param {string} userId The player's Discord user ID
+ * @returns {Object|null} { match, outcome, before, after }, or null if they didn't play
+ */
+function resultFor(match, userId) {
+  const team = teamOf(match, userId);
+  const change = match.ratingChanges[userId];
+  if (team === -1 || !change) return null;
+
+  const { winner } = match.report;
+  const outcome = winner === null ? 'draw' : winner === team ? 'win' : 'loss';
+  return { match, outcome, before: change.before, after: change.after };
+}
+
+// Tallies results into games, wins, losses, draws and win rate
+function tally(results) {
+  const count = outcome => results.filter(result => result.outcome === outcome).length;
+  const wins = count('win');
+  return {
+    games: results.length,
+    wins,
+    losses: count('loss'),
+    draws: count('draw'),
+    winRate: results.length > 0 ? wins / results.length : 0
+  };
+}
+
+/**
+ * Builds a player's profile
+ * @param {Object[]} matches Match records, newest first
+ * @param {string} userId The player's Discord user ID
+ * @param {Object} [options] Profile options
+ * @param {number} [options.recent] How many recent matches to include
+ * @param {number} [options.history] How many ratings to include in the history
+ * @param {number} [options.maps] How many favourite maps to include
+ * @returns {Object} Record, rating, rating history (oldest first),
+ *   favourite maps ({ map, games }) and recent results (newest first)
+ */
+function playerProfile(matches, userId, { recent = 5, history = 10, maps = 3 } = {}) {
+  const results = matches.filter(match => matchesFilters(match))
+    .map(match => resultFor(match, userId))
+    .filter(Boolean);
+
+  const mapCounts = new Map();
+  for (const { match } of results) {
+    if (match.map) mapCounts.set(match.map, (mapCounts.get(match.map) || 0) + 1);
+  }
+
+  const ratingHistory = results.slice(0, history).map(result => result.after).reverse();
+  if (results.length > 0 && results.length <= history) ratingHistory.unshift(results[results.length - 1].before);
+
+  return {
+    ...tally(results),
+    rating: results[0]?.after ?? DEFAULT_RATING,
+    ratingHistory,
+    favouriteMaps: [...mapCounts]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, maps)
+      .map(([map, games]) => ({ map, games })),
+    recent: results.slice(0, recent)
+  };
+}
+
+/**
+ * Ranks the players of the matches that fall within the filters
+ * @param {Object[]} matches Match records, newest first
+ * @param {Object} [filters] Filters as for matchesFilters, plus:
+ * @param {number} [filters.minGames] Games a player needs to be ranked
+ * @returns {Object[]} { userId, username, rating, games, wins, losses, draws, winRate },
+ *   highest rating first, then best win rate, then most games
+ */
+function leaderboard(matches, filters = {}) {
+  const players = new Map();
+
+  for (const match of matches.filter(m => matchesFilters(m, filters))) {
+    for (const { userId, username } of match.teams.flat()) {
+      const result = resultFor(match, userId);
+      if (!result) continue;
+      // The newest match comes first and holds the current name and rating
+      if (!players.has(userId)) players.set(userId, { userId, username, results: [] });
+      players.get(userId).results.push(result);
+    }
+  }
+
+  return [...players.values()]
+    .filter(player => player.results.length >= (filters.minGames || 0))
+    .map(({ userId, username, results }) => ({ userId, username, rating: results[0].after, ...tally(results) }))
+    .sort((a, b) => b.rating - a.rating || b.winRate - a.winRate || b.games - a.games);
+}
+
+module.exports = {
+  matchesFilters,
+  playerProfile,
+  leaderboard
+};
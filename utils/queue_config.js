@@ -0,0 +1,134 @@
+/**
+ * Queue Config
+ *
+ * Loads the named queue definitions (4v4, 2v2, duel, ...) from
+ * config/queues.yaml and validates each queue's name, capacity, team count,
+ * auto-start threshold, team selection mode, notify role ping and party size.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parsePickOrder } = require('./draft');
+
+const DEFAULT_PATH = path.join(__dirname, '../config/queues.yaml');
+
+/**
+ * Normalises and validates a single queue definition
+ * @param {string} name The queue name
+ * @param {Object} definition The raw YAML definition
+ * @returns {Object} The queue definition
+ */
+function parseQueue(name, definition = {}) {
+  const queue = {
+    name,
+    description: definition.description || `${name} pickup`,
+    capacity: Number(definition.capacity),
+    teams: Number(definition.teams ?? 2),
+    autoStartAt: Number(definition.auto_start_at ?? definition.capacity),
+    mode: definition.mode || 'balanced',
+    pickOrder: String(definition.pick_order || '1-2-2-1'),
+    pickTimeoutSeconds: Number(definition.pick_timeout_seconds ?? 30),
+    notifyAt: Number(definition.notify_at ?? 0),
+    notifyCooldownMinutes: Number(definition.notify_cooldown_minutes ?? 30)
+  };
+  // Parties default to filling a whole team
+  const teamSize = Math.floor(queue.capacity / queue.teams);
+  queue.maxPartySize = Number(definition.max_party_size ?? teamSize);
+
+  // Text commands take the queue name as a single word, e.g. `!join 2v2`
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error(`Queue ${name}: name may only contain letters, digits, - and _`);
+  }
+
+  if (!Number.isInteger(queue.capacity) || queue.capacity < 2) {
+    throw new Error(`Queue ${name}: capacity must be an integer of at least 2`);
+  }
+
+  if (!Number.isInteger(queue.teams) || queue.teams < 2 || queue.teams > queue.capacity) {
+    throw new Error(`Queue ${name}: teams must be between 2 and the queue capacity`);
+  }
+
+  if (queue.capacity % queue.teams !== 0) {
+    throw new Error(`Queue ${name}: capacity must split evenly into ${queue.teams} teams`);
+  }
+
+  if (!Number.isInteger(queue.autoStartAt) || queue.autoStartAt < 0 || queue.autoStartAt > queue.capacity) {
+    throw new Error(`Queue ${name}: auto_start_at must be between 0 and the queue capacity`);
+  }
+
+  if (!Number.isInteger(queue.notifyAt) || queue.notifyAt < 0 || queue.notifyAt > queue.capacity) {
+    throw new Error(`Queue ${name}: notify_at must be between 0 and the queue capacity`);
+  }
+
+  if (!Number.isInteger(queue.maxPartySize) || queue.maxPartySize < 1 || queue.maxPartySize > teamSize) {
+    throw new Error(`Queue ${name}: max_party_size must be between 1 and the team size`);
+  }
+
+  if (!['balanced', 'draft'].includes(queue.mode)) {
+    throw new Error(`Queue ${name}: mode must be "balanced" or "draft"`);
+  }
+
+  if (queue.mode === 'draft') {
+    parsePickOrder(queue.pickOrder, queue.teams);
+  }
+
+  return queue;
+}
+
+/**
+ * Returns a copy of a queue with a different capacity, used for per-guild
+ * queue sizes. An auto-start threshold equal to the old capacity follows
+ * the new one; a lower threshold is kept but capped by the new capacity.
+ * The notify threshold scales with the capacity, so 6/8 becomes 9/12, and
+ * the party size is capped by the new team size.
+ * @param {Object} queue The queue definition
+ * @param {number} capacity The new capacity
+ * @returns {Object} The resized queue definition
+ */
+function resizeQueue(queue, capacity) {
+  if (!Number.isInteger(capacity) || capacity < Math.max(2, queue.teams)) {
+    throw new Error(`Queue ${queue.name}: capacity must be an integer of at least ${Math.max(2, queue.teams)}`);
+  }
+
+  if (capacity % queue.teams !== 0) {
+    throw new Error(`Queue ${queue.name}: capacity must split evenly into ${queue.teams} teams`);
+  }
+
+  const autoStartAt = queue.autoStartAt === queue.capacity ? capacity : Math.min(queue.autoStartAt, capacity);
+  const notifyAt = Math.min(Math.round((queue.notifyAt || 0) * capacity / queue.capacity), capacity);
+  const maxPartySize = Math.max(1, Math.min(queue.maxPartySize, Math.floor(capacity / queue.teams)));
+  return { ...queue, capacity, autoStartAt, notifyAt, maxPartySize };
+}
+
+/**
+ * Loads the queue definitions
+ * @param {string} filePath Path to the queue YAML file
+ * @returns {Object} The default queue name and a Map of queue definitions
+ */
+function loadQueueConfig(filePath = DEFAULT_PATH) {
+  const config = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  const queues = new Map();
+
+  for (const [name, definition] of Object.entries(config.queues || {})) {
+    queues.set(name, parseQueue(name, definition));
+  }
+
+  if (queues.size === 0) {
+    throw new Error(`No queues defined in ${filePath}`);
+  }
+
+  const defaultQueue = config.default_queue || queues.keys().next().value;
+
+  if (!queues.has(defaultQueue)) {
+    throw new Error(`Default queue ${defaultQueue} is not defined in ${filePath}`);
+  }
+
+  return { defaultQueue, queues };
+}
+
+module.exports = {
+  loadQueueConfig,
+  parseQueue,
+  resizeQueue
+};
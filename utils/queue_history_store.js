@@ -0,0 +1,114 @@
+/**
+ * Queue History Store
+ *
+ * Records when players join a queue and when they abandon one (dropped for
+ * not answering a keep-alive or a ready check), so the keep-alive logic can
+ * tell regulars with a good record from players who often walk away.
+ * Events older than RETENTION_MS are pruned.
+ * FileQueueHistoryStore persists the history to a JSON file under data/;
+ * MemoryQueueHistoryStore keeps it in process and is used for tests.
+ */
+
+const path = require('path');
+const { readJson, writeJson } = require('./json_file');
+
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+class MemoryQueueHistoryStore {
+  constructor() {
+    this.events = [];
+  }
+
+  /**
+   * Restores previously persisted history
+   * @returns {Promise<void>}
+   */
+  async load() {}
+
+  /**
+   * Writes the current history to the backing storage
+   * @returns {Promise<void>}
+   */
+  async persist() {}
+
+  /**
+   * Records a queue event
+   * @param {Object} event The event
+   * @param {string} event.guildId The guild the queue belongs to
+   * @param {string} event.userId The player's Discord user ID
+   * @param {string} event.type 'joined' or 'abandoned'
+   * @param {string} event.queue The queue name
+   * @param {number} [event.at] Event timestamp, defaults to now
+   * @returns {Promise<void>}
+   */
+  async record({ guildId, userId, type, queue, at = Date.now() }) {
+    this.events = this.events.filter(event => event.at > at - RETENTION_MS);
+    this.events.push({ guildId, userId, type, queue, at });
+    await this.persist();
+  }
+
+  /**
+   * Summarises a player's queue history
+   * @param {string} userId The player's Discord user ID
+   * @param {number} since Only count events after this timestamp
+   * @returns {Object} Number of joins (`count` and `queued`) and abandons
+   */
+  summary(userId, since) {
+    const events = this.events.filter(event => event.userId === userId && event.at >= since);
+    const queued = events.filter(event => event.type === 'joined').length;
+
+    return {
+      count: queued,
+      queued,
+      abandoned: events.filter(event => event.type === 'abandoned').length
+    };
+  }
+}
+
+class FileQueueHistoryStore extends MemoryQueueHistoryStore {
+  /**
+   * Creates a new FileQueueHistoryStore instance
+   * @param {Object} options Configuration options
+   * @param {string} options.filePath Path to the JSON file holding the history
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || path.join(__dirname, '../data/queue_history.json');
+  }
+
+  async load() {
+    const data = await readJson(this.filePath, { events: [] });
+    this.events = Array.isArray(data.events) ? data.events : [];
+  }
+
+  async persist() {
+    await writeJson(this.filePath, { events: this.events });
+  }
+}
+
+const stores = {
+  file: FileQueueHistoryStore,
+  memory: MemoryQueueHistoryStore
+};
+
+/**
+ * Creates a queue history store of the requested type
+ * @param {string} type Store type ('file' or 'memory')
+ * @param {Object} options Options passed to the store constructor
+ * @returns {MemoryQueueHistoryStore} The queue history store
+ */
+function createQueueHistoryStore(type = 'file', options = {}) {
+  const Store = stores[type];
+
+  if (!Store) {
+    throw new Error(`Unknown queue history store type: ${type}`);
+  }
+
+  return new Store(options);
+}
+
+module.exports = {
+  MemoryQueueHistoryStore,
+  FileQueueHistoryStore,
+  createQueueHistoryStore
+};
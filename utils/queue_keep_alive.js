@@ -0,0 +1,187 @@
+/**
+ * Queue Keep-Alive
+ *
+ * Asks players who have sat in a queue past the idle period whether they
+ * are still there, and drops them if they don't answer in time.
+ *
+ * Each idle player is run through SuperLoader's queue_keep_alive_processing
+ * step, which weighs their presence, how often they queue and how often
+ * they abandon. The step reports back through the agent manager it is
+ * given, which is this object:
+ *   queue:keep_alive_auto_confirmed  reliable regular, no keep-alive needed
+ *   queue:dnd_alert                  player is on Do Not Disturb and the queue is nearly full
+ * Recently active players have their pending keep-alive extended by the
+ * step through the Notification agent's stateStore, which is also this
+ * object.
+ *
+ * Events:
+ *   prompt   { userId, entries, timeoutMs, urgent }  send the keep-alive
+ *   confirm  { userId, auto }                       player is still there
+ *   expire   { userId, entries }                    remove the player
+ */
+
+const { EventEmitter } = require('events');
+
+class QueueKeepAlive extends EventEmitter {
+  /**
+   * Creates a new QueueKeepAlive instance
+   * @param {Object} options Configuration options
+   * @param {Object} options.lobby The lobby store
+   * @param {Object} options.loader SuperLoader used for the keep-alive decision
+   * @param {number} options.idleMs How long a player can be queued before being asked
+   * @param {number} options.timeoutMs How long a player has to answer
+   * @param {Function} [options.isBusy] Returns true for players who shouldn't be
+   *   asked right now, e.g. because they are in a ready check
+   */
+  constructor(options) {
+    super();
+    this.lobby = options.lobby;
+    this.loader = options.loader;
+    this.idleMs = options.idleMs;
+    this.timeoutMs = options.timeoutMs;
+    this.isBusy = options.isBusy || (() => false);
+    this.stateStore = new Map();
+    this.lastActive = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Checks for idle players on an interval
+   * @param {number} intervalMs Time between checks
+   */
+  start(intervalMs) {
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error(`Keep-alive check failed: ${error.message}`));
+    }, intervalMs);
+  }
+
+  /**
+   * Stops checking for idle players
+   */
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  /**
+   * Returns the agent the keep-alive step extends notifications through
+   * @param {string} name The agent name
+   * @returns {Object|null} This object for the Notification agent
+   */
+  getAgent(name) {
+    return name === 'Notification' ? this : null;
+  }
+
+  /**
+   * Records that a player did something, for the recently-active check
+   * @param {string} userId The player's Discord user ID
+   * @param {number} [at] Activity timestamp, defaults to now
+   */
+  markActive(userId, at = Date.now()) {
+    this.lastActive.set(userId, at);
+  }
+
+  /**
+   * Returns when a player was last active
+   * @param {string} userId The player's Discord user ID
+   * @returns {Promise<number|null>} Activity timestamp, or null if unknown
+   */
+  async getLastActiveTime(userId) {
+    return this.lastActive.get(userId) || null;
+  }
+
+  /**
+   * Returns whether a player has an unanswered keep-alive
+   * @param {string} userId The player's Discord user ID
+   * @returns {boolean} True while a keep-alive is pending
+   */
+  isPending(userId) {
+    return Boolean(this.stateStore.get(userId)?.match_queue);
+  }
+
+  /**
+   * Prompts newly idle players and expires unanswered keep-alives
+   * @param {number} [now] Current timestamp, defaults to now
+   * @returns {Promise<void>}
+   */
+  async sweep(now = Date.now()) {
+    const idle = new Map();
+    for (const entry of this.lobby.list()) {
+      if ((entry.activeAt || entry.joinedAt) > now - this.idleMs) continue;
+      if (!idle.has(entry.userId)) idle.set(entry.userId, []);
+      idle.get(entry.userId).push(entry);
+    }
+
+    // Players who left the queue no longer need an answer
+    for (const userId of this.stateStore.keys()) {
+      if (!idle.has(userId)) this.stateStore.delete(userId);
+    }
+
+    for (const [userId, entries] of idle) {
+      const pending = this.stateStore.get(userId)?.match_queue;
+
+      // A ready check already asks the player whether they are there
+      if (this.isBusy(userId)) {
+        this.stateStore.delete(userId);
+      } else if (!pending) {
+        await this.prompt(userId, entries, now);
+      } else if (pending.expires_at <= now) {
+        this.stateStore.delete(userId);
+        this.emit('expire', { userId, entries });
+      }
+    }
+  }
+
+  /**
+   * Answers a pending keep-alive
+   * @param {string} userId The player's Discord user ID
+   * @param {boolean} [auto] True when the keep-alive step confirmed the player
+   * @returns {boolean} False if the player had no pending keep-alive
+   */
+  confirm(userId, auto = false) {
+    const pending = this.isPending(userId);
+    this.stateStore.delete(userId);
+
+    if (pending || auto) this.emit('confirm', { userId, auto });
+    return pending;
+  }
+
+  async prompt(userId, entries, now) {
+    this.stateStore.set(userId, { match_queue: { expires_at: now + this.timeoutMs } });
+
+    const outcome = { autoConfirmed: false, urgent: false };
+    const onConfirmed = event => { if (event.userId === userId) outcome.autoConfirmed = true; };
+    const onDnd = event => { if (event.userId === userId) outcome.urgent = true; };
+    this.on('queue:keep_alive_auto_confirmed', onConfirmed);
+    this.on('queue:dnd_alert', onDnd);
+
+    try {
+      await this.loader.handleQueueKeepAliveProcessing({
+        params: {
+          userId,
+          context: {
+            match_name: entries.map(entry => entry.queue).join(', '),
+            queue_id: `${entries[0].guildId}:${entries[0].queue}`
+          }
+        }
+      });
+    } catch (error) {
+      console.error(`Keep-alive processing failed for ${userId}: ${error.message}`);
+    } finally {
+      this.off('queue:keep_alive_auto_confirmed', onConfirmed);
+      this.off('queue:dnd_alert', onDnd);
+    }
+
+    if (outcome.autoConfirmed) {
+      this.confirm(userId, true);
+      return;
+    }
+
+    // The player may have answered or left while the step was running
+    const pending = this.stateStore.get(userId)?.match_queue;
+    if (!pending) return;
+
+    this.emit('prompt', { userId, entries, timeoutMs: pending.expires_at - now, urgent: outcome.urgent });
+  }
+}
+
+module.exports = QueueKeepAlive;
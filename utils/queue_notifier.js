@@ -0,0 +1,36 @@
+/**
+ * Queue Notifier
+ *
+ * Decides when a queue pings its notify role: when a join takes it to (or,
+ * for a party joining together, past) its notify_at threshold, unless that
+ * join also starts the match, and no more than once per
+ * notify_cooldown_minutes. Players leaving and rejoining around the
+ * threshold therefore don't ping again until the cooldown is over.
+ */
+
+class QueueNotifier {
+  constructor() {
+    this.lastPings = new Map();
+  }
+
+  /**
+   * Returns whether a queue that just grew should ping, recording the ping if so
+   * @param {Object} queue The queue definition, with its guild key
+   * @param {number} size Players now waiting in the queue
+   * @param {number} [now] Current timestamp, defaults to now
+   * @param {number} [joined] How many players just joined, more than one for a party
+   * @returns {boolean} True if the queue should ping its notify role
+   */
+  shouldPing(queue, size, now = Date.now(), joined = 1) {
+    if (!queue.notifyAt || size < queue.notifyAt || size - joined >= queue.notifyAt) return false;
+    if (queue.autoStartAt > 0 && size >= queue.autoStartAt) return false;
+
+    const last = this.lastPings.get(queue.key);
+    if (last !== undefined && now - last < queue.notifyCooldownMinutes * 60 * 1000) return false;
+
+    this.lastPings.set(queue.key, now);
+    return true;
+  }
+}
+
+module.exports = QueueNotifier;
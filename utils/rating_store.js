@@ -0,0 +1,185 @@
+/**
+ * Rating Store
+ *
+ * Keeps an ELO rating and win/loss record per player, keyed by Discord user
+ * ID. Players start at DEFAULT_RATING, the same default the Ruby bot uses
+ * for `elo`. Each guild has its own ladder.
+ * FileRatingStore persists ratings to a JSON file under data/;
+ * MemoryRatingStore keeps them in process and is used for tests.
+ */
+
+const path = require('path');
+const { readJson, writeJson } = require('./json_file');
+const { winProbabilities } = require('./team_balancer');
+
+const DEFAULT_RATING = 1000;
+const K_FACTOR = 32;
+
+class MemoryRatingStore {
+  constructor() {
+    this.guilds = new Map();
+  }
+
+  /**
+   * Restores previously persisted ratings
+   * @returns {Promise<void>}
+   */
+  async load() {}
+
+  /**
+   * Writes the current ratings to the backing storage
+   * @returns {Promise<void>}
+   */
+  async persist() {}
+
+  /**
+   * Returns the player records of a guild, creating the partition if needed
+   * @param {string} guildId The guild ID
+   * @returns {Map} Player records keyed by user ID
+   */
+  playersOf(guildId) {
+    if (!this.guilds.has(guildId)) this.guilds.set(guildId, new Map());
+    return this.guilds.get(guildId);
+  }
+
+  /**
+   * Returns a player's rating
+   * @param {string} guildId The guild the rating belongs to
+   * @param {string} userId The player's Discord user ID
+   * @returns {number} The rating, or DEFAULT_RATING for unrated players
+   */
+  get(guildId, userId) {
+    return this.guilds.get(guildId)?.get(userId)?.rating ?? DEFAULT_RATING;
+  }
+
+  /**
+   * Sets a player's rating
+   * @param {string} guildId The guild the rating belongs to
+   * @param {string} userId The player's Discord user ID
+   * @param {number} rating The new rating
+   * @param {string} [username] The player's current name, kept for display
+   * @returns {Promise<void>}
+   */
+  async set(guildId, userId, rating, username) {
+    const players = this.playersOf(guildId);
+    const current = players.get(userId) || {};
+    players.set(userId, {
+      ...current,
+      username: username || current.username,
+      rating: Math.round(rating)
+    });
+    await this.persist();
+  }
+
+  /**
+   * Updates ratings and win/loss records from a confirmed result. Each team
+   * gains or loses K_FACTOR * (actual - expected), where expected is the
+   * ELO win probability of the team's average rating.
+   * @param {string} guildId The guild the match was played in
+   * @param {Object[][]} teams Players on each team ({ userId, username })
+   * @param {number|null} winner Index of the winning team, or null for a draw
+   * @returns {Promise<Object>} Rating before and after for each user ID
+   */
+  async applyResult(guildId, teams, winner) {
+    const players = this.playersOf(guildId);
+    const averages = teams.map(team =>
+      team.reduce((total, player) => total + this.get(guildId, player.userId), 0) / team.length);
+    const expected = winProbabilities(averages);
+    const changes = {};
+
+    teams.forEach((team, i) => {
+      const actual = winner === null ? 1 / teams.length : (i === winner ? 1 : 0);
+      const delta = Math.round(K_FACTOR * (actual - expected[i]));
+      const outcome = winner === null ? 'draws' : (i === winner ? 'wins' : 'losses');
+
+      for (const { userId, username } of team) {
+        const record = players.get(userId) || { rating: DEFAULT_RATING, wins: 0, losses: 0, draws: 0 };
+        const before = record.rating;
+
+        players.set(userId, {
+          ...record,
+          username,
+          rating: before + delta,
+          games: (record.games || 0) + 1,
+          [outcome]: (record[outcome] || 0) + 1
+        });
+        changes[userId] = { before, after: before + delta };
+      }
+    });
+
+    await this.persist();
+    return changes;
+  }
+
+  /**
+   * Returns every rated player of a guild
+   * @param {string} guildId The guild ID
+   * @returns {Object[]} Player records including their user ID
+   */
+  list(guildId) {
+    const players = this.guilds.get(guildId) || new Map();
+    return [...players.entries()].map(([userId, record]) => ({ userId, ...record }));
+  }
+}
+
+class FileRatingStore extends MemoryRatingStore {
+  /**
+   * Creates a new FileRatingStore instance
+   * @param {Object} options Configuration options
+   * @param {string} options.filePath Path to the JSON file holding the ratings
+   * @param {string} [options.legacyGuildId] Guild to assign ratings saved
+   *   before ratings were partitioned per guild
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || path.join(__dirname, '../data/ratings.json');
+    this.legacyGuildId = options.legacyGuildId || null;
+  }
+
+  async load() {
+    const data = await readJson(this.filePath, { guilds: {} });
+    const guilds = { ...data.guilds };
+
+    if (data.players && this.legacyGuildId) {
+      guilds[this.legacyGuildId] = { ...data.players, ...guilds[this.legacyGuildId] };
+    }
+
+    this.guilds = new Map(Object.entries(guilds)
+      .map(([guildId, players]) => [guildId, new Map(Object.entries(players))]));
+  }
+
+  async persist() {
+    const guilds = Object.fromEntries([...this.guilds]
+      .map(([guildId, players]) => [guildId, Object.fromEntries(players)]));
+    await writeJson(this.filePath, { guilds });
+  }
+}
+
+const stores = {
+  file: FileRatingStore,
+  memory: MemoryRatingStore
+};
+
+/**
+ * Creates a rating store of the requested type
+ * @param {string} type Store type ('file' or 'memory')
+ * @param {Object} options Options passed to the store constructor
+ * @returns {MemoryRatingStore} The rating store
+ */
+function createRatingStore(type = 'file', options = {}) {
+  const Store = stores[type];
+
+  if (!Store) {
+    throw new Error(`Unknown rating store type: ${type}`);
+  }
+
+  return new Store(options);
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  K_FACTOR,
+  MemoryRatingStore,
+  FileRatingStore,
+  createRatingStore
+};
@@ -0,0 +1,144 @@
+/**
+ * Ready Check
+ *
+ * Tracks which players have confirmed they are ready before a match is
+ * created. Each round runs for a fixed timeout; when it expires the players
+ * who did not confirm are reported so the caller can drop them and backfill
+ * the check from anyone still waiting in the queue.
+ */
+
+const { EventEmitter } = require('events');
+
+class ReadyCheck extends EventEmitter {
+  /**
+   * Creates a new ReadyCheck instance
+   * @param {Object} options Configuration options
+   * @param {string} options.id Identifier used in button IDs and DMs
+   * @param {string} options.queue The queue the check belongs to
+   * @param {Object[]} options.players Lobby entries taking part in the check
+   * @param {number} options.timeoutMs How long each round waits for players
+   */
+  constructor(options) {
+    super();
+    this.id = options.id;
+    this.queue = options.queue;
+    this.size = options.players.length;
+    this.timeoutMs = options.timeoutMs;
+    this.players = new Map(options.players.map(player => [player.userId, player]));
+    this.ready = new Set();
+    this.timer = null;
+    this.finished = false;
+  }
+
+  /**
+   * Starts (or restarts) the timeout for the current round
+   */
+  start() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.expire(), this.timeoutMs);
+  }
+
+  /**
+   * Marks a player as ready
+   * @param {string} userId The player's user ID
+   * @returns {boolean} False if the player is not part of this check
+   */
+  confirm(userId) {
+    if (this.finished || !this.players.has(userId)) return false;
+
+    this.ready.add(userId);
+    this.emit('update', this);
+    this.checkComplete();
+
+    return true;
+  }
+
+  /**
+   * Removes a player who left the queue during the check
+   * @param {string} userId The player's user ID
+   * @returns {boolean} False if the player is not part of this check
+   */
+  remove(userId) {
+    if (this.finished || !this.players.delete(userId)) return false;
+
+    this.ready.delete(userId);
+    this.emit('update', this);
+    return true;
+  }
+
+  /**
+   * Checks whether a player is part of this check
+   * @param {string} userId The player's user ID
+   * @returns {boolean} True if the player is taking part
+   */
+  includes(userId) {
+    return this.players.has(userId);
+  }
+
+  /**
+   * Returns the players taking part in the check
+   * @returns {Object[]} Lobby entries
+   */
+  list() {
+    return [...this.players.values()];
+  }
+
+  /**
+   * Returns the players who have not confirmed yet
+   * @returns {Object[]} Lobby entries
+   */
+  pending() {
+    return this.list().filter(player => !this.ready.has(player.userId));
+  }
+
+  /**
+   * Adds waiting players in place of those who were dropped and starts a
+   * new round
+   * @param {Object[]} players Lobby entries to add to the check
+   */
+  backfill(players) {
+    for (const player of players) {
+      this.players.set(player.userId, player);
+    }
+
+    this.start();
+    this.emit('update', this);
+    this.checkComplete();
+  }
+
+  /**
+   * Stops the check without creating a match
+   */
+  cancel() {
+    this.finish();
+    this.emit('cancel', this);
+  }
+
+  finish() {
+    this.finished = true;
+    clearTimeout(this.timer);
+  }
+
+  // The match only goes ahead once every slot is filled by a ready player
+  checkComplete() {
+    if (this.finished || this.players.size < this.size) return;
+    if (this.ready.size < this.players.size) return;
+
+    this.finish();
+    this.emit('complete', this.list());
+  }
+
+  // Drops everyone who didn't confirm this round and reports them
+  expire() {
+    if (this.finished) return;
+
+    const dropped = this.pending();
+    for (const player of dropped) {
+      this.players.delete(player.userId);
+    }
+
+    this.emit('timeout', { dropped, missing: this.size - this.players.size });
+  }
+}
+
+module.exports = ReadyCheck;
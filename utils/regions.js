@@ -0,0 +1,94 @@
+/**
+ * Regions
+ *
+ * Server regions players can ask for, from the `region_preferences`
+ * settings in config/qwtf_parity.yaml:
+ *   default            region used when nobody in a match has a preference
+ *   auto_ping          tell players when their match is outside their regions
+ *   supported_regions  regions players can pick, and servers can be in
+ * Each player has one preferred region and any number of acceptable ones.
+ * A match is played in the region acceptable to the most of its players,
+ * ties going to the region more of them prefer.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_PATH = path.join(__dirname, '../config/qwtf_parity.yaml');
+
+/**
+ * Loads the region_preferences settings
+ * @param {string} filePath Path to the QWTF parity YAML file
+ * @returns {Object} The default region, auto_ping and supported regions
+ */
+function loadRegionConfig(filePath = DEFAULT_PATH) {
+  const config = (yaml.load(fs.readFileSync(filePath, 'utf8')) || {}).pug_bot?.region_preferences || {};
+
+  const settings = {
+    defaultRegion: config.default || 'na_east',
+    autoPing: config.auto_ping !== false,
+    supportedRegions: config.supported_regions || [config.default || 'na_east']
+  };
+
+  if (!settings.supportedRegions.includes(settings.defaultRegion)) {
+    throw new Error(`region_preferences.default ${settings.defaultRegion} is not a supported region`);
+  }
+
+  return settings;
+}
+
+/**
+ * Returns whether a player is happy to play in a region
+ * @param {Object} preference The player's { preferred, acceptable } regions
+ * @param {string} region The region
+ * @returns {boolean} True if the region is preferred or acceptable
+ */
+function acceptsRegion(preference, region) {
+  return preference.preferred === region || preference.acceptable.includes(region);
+}
+
+/**
+ * Picks the region to play a match in
+ * @param {Object[]} preferences Each player's { preferred, acceptable } regions;
+ *   players without a preferred region are happy anywhere
+ * @param {Object} config The region settings from loadRegionConfig
+ * @returns {Object} { region, satisfied: players who accept it }
+ */
+function pickRegion(preferences, config) {
+  const { defaultRegion, supportedRegions } = config;
+  const choosy = preferences.filter(preference => preference.preferred);
+  const indifferent = preferences.length - choosy.length;
+
+  // The default region wins ties, then the order regions are listed in
+  const candidates = [defaultRegion, ...supportedRegions.filter(region => region !== defaultRegion)]
+    .map(region => ({
+      region,
+      satisfied: choosy.filter(preference => acceptsRegion(preference, region)).length,
+      preferred: choosy.filter(preference => preference.preferred === region).length
+    }))
+    .sort((a, b) => b.satisfied - a.satisfied || b.preferred - a.preferred);
+
+  return { region: candidates[0].region, satisfied: candidates[0].satisfied + indifferent };
+}
+
+/**
+ * Counts the players preferring each region
+ * @param {Object[]} preferences Each player's { preferred, acceptable } regions
+ * @returns {Map<string|null, number>} Player count per preferred region,
+ *   null counting players without one, most popular first
+ */
+function regionMix(preferences) {
+  const counts = new Map();
+  for (const { preferred } of preferences) {
+    counts.set(preferred || null, (counts.get(preferred || null) || 0) + 1);
+  }
+  return new Map([...counts].sort((a, b) => b[1] - a[1]));
+}
+
+module.exports = {
+  acceptsRegion,
+  loadRegionConfig,
+  pickRegion,
+  regionMix
+};
@@ -0,0 +1,173 @@
+/**
+ * Schedule
+ *
+ * Settings for scheduled pickups from config/schedule.yaml, and the parts of
+ * running them that don't need Discord: reading start times given in the
+ * configured time zone, working out which reminders are due and exporting
+ * upcoming pickups as an iCalendar (.ics) file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_PATH = path.join(__dirname, '../config/schedule.yaml');
+const MINUTE_MS = 60 * 1000;
+
+// "2026-10-23 20:00", read in the configured time zone
+const LOCAL_TIME = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})$/;
+// ISO 8601 times that carry their own offset, e.g. "2026-10-23T20:00Z"
+const ZONED_TIME = /^\d{4}-\d{2}-\d{2}T\d{1,2}:\d{2}(:\d{2})?(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Loads the scheduled pickup settings
+ * @param {string} filePath Path to the schedule YAML file
+ * @returns {Object} Time zone, reminder offsets, reminder channels and calendar settings
+ */
+function loadScheduleConfig(filePath = DEFAULT_PATH) {
+  const config = (yaml.load(fs.readFileSync(filePath, 'utf8')) || {}).schedule || {};
+
+  const settings = {
+    timezone: config.timezone || 'UTC',
+    remindersMinutes: (config.reminders_minutes || [60, 15]).map(Number).sort((a, b) => b - a),
+    dmReminders: config.dm_reminders !== false,
+    channelReminders: config.channel_reminders !== false,
+    startGraceMinutes: Number(config.start_grace_minutes ?? 30),
+    durationMinutes: Number(config.duration_minutes ?? 120),
+    calendarName: config.calendar_name || 'PUG pickups'
+  };
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: settings.timezone });
+  } catch (error) {
+    throw new Error(`schedule.timezone is not a known time zone: ${settings.timezone}`);
+  }
+
+  if (settings.remindersMinutes.some(minutes => !(minutes > 0))) {
+    throw new Error('schedule.reminders_minutes must all be positive');
+  }
+
+  return settings;
+}
+
+// How far ahead of UTC a time zone is at a moment, in milliseconds
+function zoneOffset(timestamp, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(timestamp).map(part => [part.type, Number(part.value)]));
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Reads a pickup start time
+ * @param {string} text "YYYY-MM-DD HH:MM" in the time zone, or an ISO 8601
+ *   time with its own offset
+ * @param {string} [timeZone] The time zone local times are in
+ * @returns {number|null} The timestamp, or null if the text isn't a valid time
+ */
+function parseStartTime(text, timeZone = 'UTC') {
+  const trimmed = String(text).trim();
+  if (ZONED_TIME.test(trimmed)) {
+    const timestamp = Date.parse(trimmed);
+    return Number.isNaN(timestamp) ? null : timestamp;
+  }
+
+  const local = LOCAL_TIME.exec(trimmed);
+  if (!local) return null;
+
+  const [year, month, day, hour, minute] = local.slice(1).map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const date = new Date(asUtc);
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hour > 23) return null;
+
+  // The offset is checked again at the result, for times near a DST change
+  const first = asUtc - zoneOffset(asUtc, timeZone);
+  return asUtc - zoneOffset(first, timeZone);
+}
+
+/**
+ * Returns the reminders a pickup is due that haven't been sent
+ * @param {Object} event The scheduled pickup
+ * @param {number[]} remindersMinutes Reminder offsets, in minutes before the start
+ * @param {number} [now] Current timestamp, defaults to now
+ * @returns {number[]} The due reminder offsets
+ */
+function dueReminders(event, remindersMinutes, now = Date.now()) {
+  return remindersMinutes.filter(minutes =>
+    !event.remindersSent.includes(minutes) && event.startsAt - minutes * MINUTE_MS <= now);
+}
+
+// Escapes text for an iCalendar property value
+function icsText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Formats a timestamp as an iCalendar UTC date-time, e.g. 20261023T200000Z
+function icsTime(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Folds a content line to 75 octets, continuing lines with a space
+function foldLine(line) {
+  const lines = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (lines.length === 0 ? 75 : 74)) {
+      lines.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  lines.push(current);
+  return lines.join('\r\n ');
+}
+
+/**
+ * Exports pickups as an iCalendar file
+ * @param {Object[]} events The scheduled pickups
+ * @param {Object} config The schedule settings
+ * @param {number} [now] Current timestamp, defaults to now
+ * @returns {string} The .ics file contents
+ */
+function toIcs(events, config, now = Date.now()) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//PUG Bot//Scheduled pickups//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsText(config.calendarName)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:pickup-${event.id}-${event.guildId}@pug-bot`,
+      `DTSTAMP:${icsTime(now)}`,
+      `DTSTART:${icsTime(event.startsAt)}`,
+      `DTEND:${icsTime(event.startsAt + config.durationMinutes * MINUTE_MS)}`,
+      `SUMMARY:${icsText(event.title)}`,
+      `DESCRIPTION:${icsText(`${event.queue} pickup, ${event.signups.length}/${event.capacity} signed up. ` +
+        'Sign up on Discord to be moved into the queue when it starts.')}`,
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  loadScheduleConfig,
+  parseStartTime,
+  dueReminders,
+  toIcs
+};
@@ -0,0 +1,152 @@
+/**
+ * Schedule Store
+ *
+ * Persists scheduled pickups: when they start, which queue they fill, how
+ * many can sign up, who has, the sign-up message and which reminders have
+ * gone out.
+ *
+ * Status lifecycle:
+ *   scheduled -> started | cancelled | missed
+ */
+
+const path = require('path');
+const { readJson, writeJson } = require('./json_file');
+
+class MemoryScheduleStore {
+  constructor() {
+    this.events = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Restores previously persisted pickups
+   * @returns {Promise<void>}
+   */
+  async load() {}
+
+  /**
+   * Writes the current pickups to the backing storage
+   * @returns {Promise<void>}
+   */
+  async persist() {}
+
+  /**
+   * Schedules a pickup
+   * @param {Object} event Pickup details
+   * @param {string} event.guildId The guild the pickup is in
+   * @param {string} event.queue The queue sign-ups are moved into
+   * @param {number} event.capacity How many players can sign up
+   * @param {number} event.startsAt When it starts
+   * @param {string} event.title The pickup's name
+   * @param {string} event.channelId Channel the sign-up message is posted in
+   * @param {string} event.createdBy User ID of the admin who scheduled it
+   * @param {number[]} [event.remindersSent] Reminders that shouldn't be sent
+   * @returns {Promise<Object>} The new pickup record
+   */
+  async create({ guildId, queue, capacity, startsAt, title, channelId, createdBy, remindersSent = [] }) {
+    const event = {
+      id: this.nextId++,
+      guildId,
+      queue,
+      capacity,
+      startsAt,
+      title,
+      channelId,
+      messageId: null,
+      createdBy,
+      createdAt: Date.now(),
+      signups: [],
+      remindersSent,
+      status: 'scheduled'
+    };
+
+    this.events.set(event.id, event);
+    await this.persist();
+    return event;
+  }
+
+  /**
+   * Returns a pickup by ID
+   * @param {number} id The pickup ID
+   * @returns {Object|undefined} The pickup record
+   */
+  get(id) {
+    return this.events.get(Number(id));
+  }
+
+  /**
+   * Applies changes to a pickup record
+   * @param {number} id The pickup ID
+   * @param {Object} changes Fields to update
+   * @returns {Promise<Object>} The updated pickup record
+   */
+  async update(id, changes) {
+    const event = this.get(id);
+
+    if (!event) {
+      throw new Error(`Unknown scheduled pickup: ${id}`);
+    }
+
+    Object.assign(event, changes);
+    await this.persist();
+    return event;
+  }
+
+  /**
+   * Returns pickups, soonest first
+   * @param {Function} [filter] Only return pickups this returns true for
+   * @returns {Object[]} Pickup records
+   */
+  list(filter = () => true) {
+    return [...this.events.values()].filter(filter).sort((a, b) => a.startsAt - b.startsAt);
+  }
+}
+
+class FileScheduleStore extends MemoryScheduleStore {
+  /**
+   * Creates a new FileScheduleStore instance
+   * @param {Object} options Configuration options
+   * @param {string} options.filePath Path to the JSON file holding the pickups
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || path.join(__dirname, '../data/schedule.json');
+  }
+
+  async load() {
+    const data = await readJson(this.filePath, { nextId: 1, events: [] });
+    this.events = new Map((data.events || []).map(event => [event.id, event]));
+    this.nextId = data.nextId || 1;
+  }
+
+  async persist() {
+    await writeJson(this.filePath, { nextId: this.nextId, events: [...this.events.values()] });
+  }
+}
+
+const stores = {
+  file: FileScheduleStore,
+  memory: MemoryScheduleStore
+};
+
+/**
+ * Creates a schedule store of the requested type
+ * @param {string} type Store type ('file' or 'memory')
+ * @param {Object} options Options passed to the store constructor
+ * @returns {MemoryScheduleStore} The schedule store
+ */
+function createScheduleStore(type = 'file', options = {}) {
+  const Store = stores[type];
+
+  if (!Store) {
+    throw new Error(`Unknown schedule store type: ${type}`);
+  }
+
+  return new Store(options);
+}
+
+module.exports = {
+  MemoryScheduleStore,
+  FileScheduleStore,
+  createScheduleStore
+};
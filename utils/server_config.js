@@ -0,0 +1,61 @@
+/**
+ * Server Config
+ *
+ * Loads the FortressOne game-server settings from
+ * config/server_infrastructure.yaml: the Docker image, the instances
+ * matches can be allocated to (and the region each is in) and how long a
+ * match keeps its server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_PATH = path.join(__dirname, '../config/server_infrastructure.yaml');
+const DEFAULT_PORT = 27500;
+
+/**
+ * Returns the host part of a DOCKER_HOST value such as ssh://user@host
+ * @param {string} dockerHost The DOCKER_HOST value
+ * @returns {string|null} The host name, or null for the local Docker daemon
+ */
+function dockerHostName(dockerHost) {
+  if (!dockerHost) return null;
+
+  try {
+    return new URL(dockerHost).hostname || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Loads the game-server settings
+ * @param {string} filePath Path to the server infrastructure YAML file
+ * @returns {Object} The Docker image, instances and match timeout
+ */
+function loadServerConfig(filePath = DEFAULT_PATH) {
+  const config = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  const instances = Object.entries(config.fortressone_instances || { default: {} })
+    .map(([name, instance]) => {
+      const dockerHost = instance.docker_host || config.fortressone_docker_host || '';
+      return {
+        name,
+        dockerHost,
+        publicHost: instance.public_host || config.fortressone_public_host ||
+          dockerHostName(dockerHost) || 'localhost',
+        port: Number(instance.port ?? DEFAULT_PORT),
+        region: instance.region || null
+      };
+    });
+
+  return {
+    dockerImage: config.fortressone_docker_image || 'fortressone/fortressonesv:latest',
+    instances,
+    matchTimeoutMinutes: Number(config.match_server_timeout_minutes ?? 90)
+  };
+}
+
+module.exports = {
+  loadServerConfig
+};
@@ -0,0 +1,224 @@
+/**
+ * Server Provider
+ *
+ * Gives each match a game server to connect to. Every provider has the
+ * same three methods:
+ *   allocate({ matchId, map, region })  starts a server, resolves to
+ *                                       { id, instance, host, port, password, region }
+ *                                       or null when every instance is busy
+ *   release(server)                     stops a server returned by allocate
+ *   status(server)                      resolves to 'running', 'stopped' or 'unknown'
+ *
+ * DockerServerProvider runs the FortressOne image on the instances from
+ * config/server_infrastructure.yaml, one match per instance, trying the
+ * instances in the requested region first.
+ * FakeServerProvider hands out made-up servers and is used for tests.
+ */
+
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const GAME_PORT = 27500;
+
+// Random join password for a match server
+function generatePassword() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+class FakeServerProvider {
+  /**
+   * Creates a new FakeServerProvider instance
+   * @param {Object} options Configuration options
+   * @param {number} [options.capacity] How many servers can run at once
+   * @param {string} [options.host] Host reported for every server
+   */
+  constructor(options = {}) {
+    this.capacity = options.capacity ?? Infinity;
+    this.host = options.host || '127.0.0.1';
+    this.servers = new Map();
+    this.nextPort = GAME_PORT;
+  }
+
+  /**
+   * Starts a server for a match
+   * @param {Object} request The allocation request
+   * @param {number} request.matchId The match the server is for
+   * @param {string} request.map The map to start on
+   * @param {string} [request.region] Preferred server region
+   * @returns {Promise<Object|null>} The server, or null if none is free
+   */
+  async allocate({ matchId, map, region = null }) {
+    if (this.servers.size >= this.capacity) return null;
+
+    const server = {
+      id: `fake-${matchId}`,
+      instance: 'fake',
+      host: this.host,
+      port: this.nextPort++,
+      password: generatePassword(),
+      region
+    };
+    this.servers.set(server.id, { ...server, map });
+    return server;
+  }
+
+  /**
+   * Stops a server
+   * @param {Object} server The server returned by allocate
+   * @returns {Promise<void>}
+   */
+  async release(server) {
+    this.servers.delete(server.id);
+  }
+
+  /**
+   * Reports whether a server is still running
+   * @param {Object} server The server returned by allocate
+   * @returns {Promise<string>} 'running', 'stopped' or 'unknown'
+   */
+  async status(server) {
+    return this.servers.has(server.id) ? 'running' : 'stopped';
+  }
+}
+
+class DockerServerProvider {
+  /**
+   * Creates a new DockerServerProvider instance
+   * @param {Object} options Configuration options
+   * @param {string} options.dockerImage The FortressOne image to run
+   * @param {Object[]} options.instances Instances from loadServerConfig
+   * @param {Function} [options.docker] Runs a docker command, defaults to the docker CLI
+   */
+  constructor(options) {
+    this.dockerImage = options.dockerImage;
+    this.instances = options.instances;
+    this.docker = options.docker || DockerServerProvider.dockerCli;
+    this.claimed = new Set();
+  }
+
+  /**
+   * Runs the docker CLI against an instance's Docker host
+   * @param {string[]} args Arguments passed to docker
+   * @param {string} dockerHost DOCKER_HOST for the instance, blank for local
+   * @returns {Promise<string>} The command's standard output
+   */
+  static async dockerCli(args, dockerHost) {
+    const env = dockerHost ? { ...process.env, DOCKER_HOST: dockerHost } : process.env;
+    const { stdout } = await promisify(execFile)('docker', args, { env, timeout: 60 * 1000 });
+    return stdout.trim();
+  }
+
+  containerName(instance) {
+    return `pug-fortressone-${instance.name}`;
+  }
+
+  instanceFor(server) {
+    return this.instances.find(instance => instance.name === server.instance);
+  }
+
+  async containerState(instance) {
+    try {
+      return await this.docker(['inspect', '--format', '{{.State.Status}}', this.containerName(instance)], instance.dockerHost);
+    } catch (error) {
+      // docker inspect fails when there is no such container
+      return null;
+    }
+  }
+
+  /**
+   * Returns the instances to try for a region: those in it, then those
+   * without a region, then the rest
+   * @param {string|null} region The requested region
+   * @returns {Object[]} The instances in the order to try them
+   */
+  instancesFor(region) {
+    const rank = instance => {
+      if (!region || instance.region === region) return 0;
+      return instance.region ? 2 : 1;
+    };
+    return [...this.instances].sort((a, b) => rank(a) - rank(b));
+  }
+
+  async allocate({ matchId, map, region = null }) {
+    for (const instance of this.instancesFor(region)) {
+      // Two matches starting together mustn't both pick the same idle instance
+      if (this.claimed.has(instance.name)) continue;
+      this.claimed.add(instance.name);
+
+      try {
+        const state = await this.containerState(instance);
+        if (state === 'running') continue;
+
+        const name = this.containerName(instance);
+        const password = generatePassword();
+        if (state) await this.docker(['rm', '-f', name], instance.dockerHost);
+
+        await this.docker([
+          'run', '-d', '--name', name,
+          '-p', `${instance.port}:${GAME_PORT}/udp`,
+          '-p', `${instance.port}:${GAME_PORT}/tcp`,
+          '-e', `F1_MAP=${map}`,
+          '-e', `F1_PASSWORD=${password}`,
+          '-e', `F1_SERVER_NAME=PUG match #${matchId}`,
+          this.dockerImage
+        ], instance.dockerHost);
+
+        return {
+          id: name,
+          instance: instance.name,
+          host: instance.publicHost,
+          port: instance.port,
+          password,
+          region: instance.region
+        };
+      } finally {
+        this.claimed.delete(instance.name);
+      }
+    }
+
+    return null;
+  }
+
+  async release(server) {
+    const instance = this.instanceFor(server);
+    if (!instance) return;
+
+    await this.docker(['rm', '-f', server.id], instance.dockerHost);
+  }
+
+  async status(server) {
+    const instance = this.instanceFor(server);
+    const state = instance ? await this.containerState(instance) : null;
+
+    if (state === 'running') return 'running';
+    return state ? 'stopped' : 'unknown';
+  }
+}
+
+const providers = {
+  docker: DockerServerProvider,
+  fake: FakeServerProvider
+};
+
+/**
+ * Creates a server provider of the requested type
+ * @param {string} type Provider type ('docker' or 'fake')
+ * @param {Object} options Options passed to the provider constructor
+ * @returns {Object} The server provider
+ */
+function createServerProvider(type = 'docker', options = {}) {
+  const Provider = providers[type];
+
+  if (!Provider) {
+    throw new Error(`Unknown server provider type: ${type}`);
+  }
+
+  return new Provider(options);
+}
+
+module.exports = {
+  DockerServerProvider,
+  FakeServerProvider,
+  createServerProvider
+};
@@ -0,0 +1,44 @@
+/**
+ * Stats Config
+ *
+ * Loads the /profile and /leaderboard settings from config/stats.yaml: the
+ * leaderboard page size, the minimum games to be ranked and the seasons
+ * the leaderboard can be filtered by.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_PATH = path.join(__dirname, '../config/stats.yaml');
+
+/**
+ * Loads the stats settings
+ * @param {string} filePath Path to the stats YAML file
+ * @returns {Object} The page size, minimum games and seasons, each season
+ *   { name, start, end } with end null for the current season
+ */
+function loadStatsConfig(filePath = DEFAULT_PATH) {
+  const config = (yaml.load(fs.readFileSync(filePath, 'utf8')) || {}).stats || {};
+  const leaderboard = config.leaderboard || {};
+
+  const seasons = (config.seasons || [])
+    .map(season => ({ name: String(season.name), start: new Date(season.start).getTime() }))
+    .sort((a, b) => a.start - b.start);
+
+  for (const season of seasons) {
+    if (Number.isNaN(season.start)) {
+      throw new Error(`Season ${season.name} has an invalid start date`);
+    }
+  }
+
+  return {
+    pageSize: Number(leaderboard.page_size ?? 10),
+    minGames: Number(leaderboard.min_games ?? 0),
+    seasons: seasons.map((season, i) => ({ ...season, end: seasons[i + 1]?.start ?? null }))
+  };
+}
+
+module.exports = {
+  loadStatsConfig
+};
@@ -0,0 +1,112 @@
+/**
+ * Strike Store
+ *
+ * Keeps each player's strikes and queue bans, keyed by Discord user ID and
+ * partitioned per guild. A record is { strikes, bans }: strikes are
+ * { reason, weight, at, by } and bans { at, until, minutes }, oldest first.
+ * What the strikes add up to is worked out by utils/penalties.js.
+ * FileStrikeStore persists the records to a JSON file under data/;
+ * MemoryStrikeStore keeps them in process and is used for tests.
+ */
+
+const path = require('path');
+const { readJson, writeJson } = require('./json_file');
+
+class MemoryStrikeStore {
+  constructor() {
+    this.guilds = new Map();
+  }
+
+  /**
+   * Restores previously persisted records
+   * @returns {Promise<void>}
+   */
+  async load() {}
+
+  /**
+   * Writes the current records to the backing storage
+   * @returns {Promise<void>}
+   */
+  async persist() {}
+
+  /**
+   * Returns a player's record
+   * @param {string} guildId The guild the record belongs to
+   * @param {string} userId The player's Discord user ID
+   * @returns {Object} The player's { strikes, bans }, empty if they have none
+   */
+  get(guildId, userId) {
+    const record = this.guilds.get(guildId)?.get(userId);
+    return { strikes: [...(record?.strikes || [])], bans: [...(record?.bans || [])] };
+  }
+
+  /**
+   * Replaces a player's record
+   * @param {string} guildId The guild the record belongs to
+   * @param {string} userId The player's Discord user ID
+   * @param {Object} record The player's { strikes, bans }
+   * @returns {Promise<void>}
+   */
+  async set(guildId, userId, record) {
+    if (!this.guilds.has(guildId)) this.guilds.set(guildId, new Map());
+    const players = this.guilds.get(guildId);
+
+    if (record.strikes.length === 0 && record.bans.length === 0) {
+      players.delete(userId);
+    } else {
+      players.set(userId, { strikes: record.strikes, bans: record.bans });
+    }
+    await this.persist();
+  }
+}
+
+class FileStrikeStore extends MemoryStrikeStore {
+  /**
+   * Creates a new FileStrikeStore instance
+   * @param {Object} options Configuration options
+   * @param {string} options.filePath Path to the JSON file holding the records
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || path.join(__dirname, '../data/strikes.json');
+  }
+
+  async load() {
+    const data = await readJson(this.filePath, { guilds: {} });
+    this.guilds = new Map(Object.entries(data.guilds || {})
+      .map(([guildId, players]) => [guildId, new Map(Object.entries(players))]));
+  }
+
+  async persist() {
+    const guilds = Object.fromEntries([...this.guilds]
+      .map(([guildId, players]) => [guildId, Object.fromEntries(players)]));
+    await writeJson(this.filePath, { guilds });
+  }
+}
+
+const stores = {
+  file: FileStrikeStore,
+  memory: MemoryStrikeStore
+};
+
+/**
+ * Creates a strike store of the requested type
+ * @param {string} type Store type ('file' or 'memory')
+ * @param {Object} options Options passed to the store constructor
+ * @returns {MemoryStrikeStore} The strike store
+ */
+function createStrikeStore(type = 'file', options = {}) {
+  const Store = stores[type];
+
+  if (!Store) {
+    throw new Error(`Unknown strike store type: ${type}`);
+  }
+
+  return new Store(options);
+}
+
+module.exports = {
+  MemoryStrikeStore,
+  FileStrikeStore,
+  createStrikeStore
+};
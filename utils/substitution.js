@@ -0,0 +1,112 @@
+/**
+ * Substitution
+ *
+ * Replaces a player who didn't connect to a live match. A SubRequest is
+ * the open call for a volunteer: the first one accepted takes the missing
+ * player's place, and the request expires if nobody volunteers in time.
+ *
+ * Events:
+ *   complete  { volunteer }  a volunteer was accepted
+ *   expire                   nobody volunteered in time
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Returns the index of the team a player is on
+ * @param {Object} match The match record
+ * @param {string} userId The player's Discord user ID
+ * @returns {number} The team index, or -1 if the player isn't in the match
+ */
+function teamOf(match, userId) {
+  return match.teams.findIndex(team => team.some(player => player.userId === userId));
+}
+
+/**
+ * Works out the match record changes for swapping a volunteer in. The
+ * volunteer takes the player's place on the team, and their captaincy if
+ * they were captain.
+ * @param {Object} match The match record
+ * @param {string} outUserId The player being replaced
+ * @param {Object} incoming The volunteer ({ userId, username })
+ * @param {Object} [details] Extra fields recorded with the substitution, e.g. requestedBy
+ * @returns {Object} The teams, captains and subs to update the match with
+ */
+function substitute(match, outUserId, incoming, details = {}) {
+  const team = teamOf(match, outUserId);
+  if (team === -1) {
+    throw new Error(`Player ${outUserId} is not in match #${match.id}`);
+  }
+
+  const player = { userId: incoming.userId, username: incoming.username };
+
+  return {
+    teams: match.teams.map((members, i) => (i === team
+      ? members.map(member => (member.userId === outUserId ? player : member))
+      : members)),
+    captains: match.captains.map(captain => (captain === outUserId ? incoming.userId : captain)),
+    subs: [...(match.subs || []), { ...details, team, out: outUserId, in: incoming.userId, at: Date.now() }]
+  };
+}
+
+class SubRequest extends EventEmitter {
+  /**
+   * Creates a new SubRequest instance
+   * @param {Object} options Configuration options
+   * @param {string} options.id Identifier used in button IDs
+   * @param {number} options.matchId The match needing a substitute
+   * @param {Object} options.player The player being replaced ({ userId, username })
+   * @param {string} options.requestedBy User ID of whoever asked for the sub
+   * @param {number} options.timeoutMs How long the request stays open
+   */
+  constructor(options) {
+    super();
+    this.id = options.id;
+    this.matchId = options.matchId;
+    this.player = options.player;
+    this.requestedBy = options.requestedBy;
+    this.timeoutMs = options.timeoutMs;
+    this.volunteer = null;
+    this.timer = null;
+    this.finished = false;
+  }
+
+  /**
+   * Opens the request
+   */
+  start() {
+    this.timer = setTimeout(() => {
+      this.finished = true;
+      this.emit('expire');
+    }, this.timeoutMs);
+  }
+
+  /**
+   * Accepts a volunteer if nobody has been accepted yet
+   * @param {Object} volunteer The volunteer ({ userId, username })
+   * @returns {boolean} False if the request is already filled or expired
+   */
+  accept(volunteer) {
+    if (this.finished) return false;
+
+    this.finished = true;
+    this.volunteer = volunteer;
+    clearTimeout(this.timer);
+    this.emit('complete', { volunteer });
+    return true;
+  }
+
+  /**
+   * Closes the request without a volunteer, e.g. because the match ended
+   */
+  cancel() {
+    this.finished = true;
+    clearTimeout(this.timer);
+  }
+}
+
+module.exports = {
+  SubRequest,
+  substitute,
+  teamOf
+};
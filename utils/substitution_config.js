@@ -0,0 +1,43 @@
+/**
+ * Substitution Config
+ *
+ * Loads the /sub rules from config/substitution.yaml: how many players a
+ * match can replace, how long a call for a volunteer stays open, who may
+ * ask for one and the penalty for the player who didn't show.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_PATH = path.join(__dirname, '../config/substitution.yaml');
+
+/**
+ * Loads the substitution rules
+ * @param {string} filePath Path to the substitution YAML file
+ * @returns {Object} The substitution rules
+ */
+function loadSubstitutionConfig(filePath = DEFAULT_PATH) {
+  const config = (yaml.load(fs.readFileSync(filePath, 'utf8')) || {}).substitution || {};
+  const penalty = config.no_show_penalty || {};
+
+  const rules = {
+    maxSubsPerMatch: Number(config.max_subs_per_match ?? 2),
+    requestTimeoutSeconds: Number(config.request_timeout_seconds ?? 300),
+    requestedBy: config.requested_by || 'players',
+    noShowPenalty: {
+      enabled: penalty.enabled !== false,
+      ratingPoints: Number(penalty.rating_points ?? 0)
+    }
+  };
+
+  if (!['players', 'captains'].includes(rules.requestedBy)) {
+    throw new Error(`substitution.requested_by must be "players" or "captains", got ${rules.requestedBy}`);
+  }
+
+  return rules;
+}
+
+module.exports = {
+  loadSubstitutionConfig
+};
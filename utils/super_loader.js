@@ -11,15 +11,14 @@ const path = require('path');
 const yaml = require('js-yaml');
 const { EventEmitter } = require('events');
 const logger = require('../utils/logger');
-const discord = require('../utils/discord');
-const database = require('../utils/database');
 
 class SuperLoader extends EventEmitter {
   /**
    * Creates a new SuperLoader instance
    * @param {Object} options Configuration options
    * @param {string} options.configPath Path to the directory containing loader YAML files
-   * @param {Object} options.dependencies Dependencies injected into the loader
+   * @param {Object} options.dependencies Dependencies injected into the loader; a
+   *   `featureFlags` dependency lets steps with a `feature_flag` be switched off
    * @param {boolean} options.dryRun If true, simulates execution without making actual changes
    */
   constructor(options = {}) {
@@ -150,6 +149,17 @@ class SuperLoader extends EventEmitter {
     try {
       const results = [];
       
+      // Steps tied to a feature flag only run while the flag is fully rolled out
+      const featureFlags = this.dependencies.featureFlags;
+      if (step.feature_flag && featureFlags && !featureFlags.isEnabled(step.feature_flag)) {
+        logger.info(`Skipping step ${step.id}: feature flag ${step.feature_flag} is off`);
+        return {
+          success: true,
+          skipped: true,
+          details: []
+        };
+      }
+      
       // Execute each sub-step
       for (const subStep of step.steps) {
         const handler = this.handlers[subStep.type];
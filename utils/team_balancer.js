@@ -0,0 +1,173 @@
+/**
+ * Team Balancer
+ *
+ * Splits a list of players into teams so the average ratings are as close
+ * as possible. Two-team splits of up to EXHAUSTIVE_LIMIT players are
+ * searched exhaustively; anything larger places players strongest first on
+ * the weakest team with room and is improved with pairwise swaps until no
+ * swap helps. Parties are kept on one team: the exhaustive search prefers
+ * splits that break up the fewest parties, and the larger splits place and
+ * swap a party as a unit, weighed by its combined rating.
+ */
+
+const EXHAUSTIVE_LIMIT = 16;
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+const average = values => (values.length ? sum(values) / values.length : 0);
+
+/**
+ * Returns the sizes teams should have so they differ by at most one player
+ * @param {number} playerCount Number of players
+ * @param {number} teamCount Number of teams
+ * @returns {number[]} Team sizes
+ */
+function teamSizes(playerCount, teamCount) {
+  return Array.from({ length: teamCount }, (_, i) =>
+    Math.floor(playerCount / teamCount) + (i < playerCount % teamCount ? 1 : 0));
+}
+
+// Difference between the strongest and weakest team's average rating
+function spread(teams, ratingOf) {
+  const averages = teams.map(team => average(team.map(ratingOf)));
+  return Math.max(...averages) - Math.min(...averages);
+}
+
+// Number of parties with members on more than one team
+function splitParties(teams, groupOf) {
+  const teamOfGroup = new Map();
+  const split = new Set();
+
+  teams.forEach((team, i) => team.forEach(player => {
+    const group = groupOf(player);
+    if (group === undefined) return;
+    if (teamOfGroup.has(group) && teamOfGroup.get(group) !== i) split.add(group);
+    teamOfGroup.set(group, i);
+  }));
+
+  return split.size;
+}
+
+function exhaustiveSplit(players, ratingOf, groupOf) {
+  const [size] = teamSizes(players.length, 2);
+  let best = null;
+
+  // Player 0 always goes in the first team, which halves the search space
+  for (let mask = 1; mask < (1 << players.length); mask += 2) {
+    let bits = 0;
+    for (let m = mask; m; m &= m - 1) bits++;
+    if (bits !== size) continue;
+
+    const teams = [[], []];
+    players.forEach((player, i) => teams[(mask >> i) & 1 ? 0 : 1].push(player));
+
+    const split = splitParties(teams, groupOf);
+    const score = spread(teams, ratingOf);
+    if (!best || split < best.split || (split === best.split && score < best.score)) best = { teams, split, score };
+  }
+
+  return best.teams;
+}
+
+// Groups players into units: each party together, everyone else alone
+function partyUnits(players, groupOf) {
+  const units = new Map();
+  players.forEach((player, i) => {
+    const group = groupOf(player);
+    const key = group === undefined ? `solo:${i}` : `party:${group}`;
+    if (!units.has(key)) units.set(key, []);
+    units.get(key).push(player);
+  });
+  return [...units.values()];
+}
+
+function swapSplit(players, teamCount, ratingOf, groupOf) {
+  const sizes = teamSizes(players.length, teamCount);
+  const total = unit => sum(unit.map(ratingOf));
+  // Bigger parties are placed first so they still find a team with room
+  const units = partyUnits(players, groupOf).sort((a, b) => b.length - a.length || total(b) - total(a));
+  const teams = Array.from({ length: teamCount }, () => []);
+
+  for (const unit of units) {
+    const open = teams.map((_, i) => i).filter(i => teams[i].flat().length + unit.length <= sizes[i]);
+
+    if (open.length > 0) {
+      const weakest = open.reduce((a, b) => (total(teams[b].flat()) < total(teams[a].flat()) ? b : a));
+      teams[weakest].push(unit);
+      continue;
+    }
+
+    // No team has room for the whole party, so it has to be split up
+    for (const player of unit) {
+      const i = teams.findIndex((team, t) => team.flat().length < sizes[t]);
+      teams[i].push([player]);
+    }
+  }
+
+  const flat = () => teams.map(team => team.flat());
+  let improved = true;
+  while (improved) {
+    improved = false;
+    const current = spread(flat(), ratingOf);
+
+    for (let a = 0; a < teamCount && !improved; a++) {
+      for (let b = a + 1; b < teamCount && !improved; b++) {
+        for (let i = 0; i < teams[a].length && !improved; i++) {
+          for (let j = 0; j < teams[b].length && !improved; j++) {
+            // Only same-sized units are swapped so team sizes don't change
+            if (teams[a][i].length !== teams[b][j].length) continue;
+
+            [teams[a][i], teams[b][j]] = [teams[b][j], teams[a][i]];
+            if (spread(flat(), ratingOf) < current) {
+              improved = true;
+            } else {
+              [teams[a][i], teams[b][j]] = [teams[b][j], teams[a][i]];
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return flat();
+}
+
+/**
+ * Predicts each team's chance of winning from its average rating, using the
+ * ELO expected score (generalised to more than two teams)
+ * @param {number[]} averages Average rating of each team
+ * @returns {number[]} Win probabilities summing to 1
+ */
+function winProbabilities(averages) {
+  const strengths = averages.map(rating => Math.pow(10, rating / 400));
+  const total = sum(strengths);
+  return strengths.map(strength => strength / total);
+}
+
+/**
+ * Splits players into rating-balanced teams
+ * @param {Object[]} players The players to split
+ * @param {number} teamCount Number of teams
+ * @param {Function} ratingOf Returns a player's rating
+ * @param {Function} [groupOf] Returns the party ID of a player, or undefined
+ *   if they queued alone
+ * @returns {Object} The teams, each team's average rating and win probability
+ */
+function balanceTeams(players, teamCount, ratingOf, groupOf = () => undefined) {
+  const teams = teamCount === 2 && players.length <= EXHAUSTIVE_LIMIT
+    ? exhaustiveSplit(players, ratingOf, groupOf)
+    : swapSplit(players, teamCount, ratingOf, groupOf);
+
+  const averages = teams.map(team => average(team.map(ratingOf)));
+
+  return {
+    teams,
+    averages,
+    winProbabilities: winProbabilities(averages)
+  };
+}
+
+module.exports = {
+  balanceTeams,
+  teamSizes,
+  winProbabilities
+};
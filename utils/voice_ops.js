@@ -0,0 +1,88 @@
+/**
+ * Voice Ops
+ *
+ * Settings for the temporary team voice channels from config/voice_ops.yaml,
+ * and the pieces of them that don't need Discord: channel names, which
+ * leftover channel belongs to which match, and the permission overwrites
+ * that keep each channel to its team.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { OverwriteType, PermissionFlagsBits } = require('discord.js');
+const { renderTemplate } = require('./notification_config');
+
+const DEFAULT_PATH = path.join(__dirname, '../config/voice_ops.yaml');
+
+/**
+ * Loads the team voice channel settings
+ * @param {string} filePath Path to the voice ops YAML file
+ * @returns {Object} { enabled, channelName, movePlayers, returnToLobby }
+ */
+function loadVoiceConfig(filePath = DEFAULT_PATH) {
+  const config = (yaml.load(fs.readFileSync(filePath, 'utf8')) || {}).voice_ops || {};
+
+  const settings = {
+    enabled: config.enabled !== false,
+    channelName: config.channel_name || 'Match #{match_id} - Team {team}',
+    movePlayers: config.move_players !== false,
+    returnToLobby: config.return_to_lobby !== false
+  };
+
+  if (!settings.channelName.includes('{match_id}') || !settings.channelName.includes('{team}')) {
+    throw new Error('voice_ops.channel_name must include {match_id} and {team}');
+  }
+
+  return settings;
+}
+
+/**
+ * Names a team's voice channel
+ * @param {Object} config The voice settings
+ * @param {number} matchId The match ID
+ * @param {number} team The team index, from 0
+ * @returns {string} The channel name
+ */
+function teamChannelName(config, matchId, team) {
+  return renderTemplate(config.channelName, { match_id: matchId, team: team + 1 });
+}
+
+/**
+ * Works out which match a channel was created for from its name
+ * @param {Object} config The voice settings
+ * @param {string} name The channel name
+ * @returns {number|null} The match ID, or null if the bot didn't name it
+ */
+function matchIdFromChannel(config, name) {
+  const pattern = config.channelName
+    .split(/(\{match_id\}|\{team\})/)
+    .map(part => (part === '{match_id}' ? '(\\d+)' : part === '{team}' ? '\\d+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  const found = new RegExp(`^${pattern}$`).exec(name);
+  return found ? Number(found[1]) : null;
+}
+
+/**
+ * Builds the permission overwrites for a team's channel: nobody else can
+ * connect, the team can connect and speak, and the bot can move players in
+ * @param {string} guildId The guild ID, which is also its @everyone role ID
+ * @param {string} botId The bot's user ID
+ * @param {Object[]} team The team's players
+ * @returns {Object[]} Permission overwrites for discord.js
+ */
+function teamOverwrites(guildId, botId, team) {
+  const { Connect, Speak, ViewChannel, MoveMembers, ManageChannels } = PermissionFlagsBits;
+  return [
+    { id: guildId, type: OverwriteType.Role, deny: [Connect] },
+    { id: botId, type: OverwriteType.Member, allow: [ViewChannel, Connect, MoveMembers, ManageChannels] },
+    ...team.map(player => ({ id: player.userId, type: OverwriteType.Member, allow: [ViewChannel, Connect, Speak] }))
+  ];
+}
+
+module.exports = {
+  loadVoiceConfig,
+  teamChannelName,
+  matchIdFromChannel,
+  teamOverwrites
+};